@@ -0,0 +1,381 @@
+// Rule-based bot players. Bots are ordinary seats in the engine (player.isBot); this module
+// only decides what they do. Like the engine it has no networking and sets no timers:
+//   planBotTurns(game, events)       which bots should act after these events, and how soon
+//   decideBotTurn(game, turn)        what a bot does when its turn comes up: {action, next}
+//   planRestoredBotTurns(game)       turns to plan again for a round restored after a restart
+// A turn is {botId, intent, round, delayMs, ...details}. The transport waits delayMs, calls decideBotTurn,
+// dispatches the action (with playerId = botId) and schedules any follow-up turns.
+//
+// Bots only use what a player in their seat would know: their own role, the location if they
+// aren't the spy, and what was said and done in the room.
+const {
+    getRoundLog,
+    getGameLocations,
+    getLocationCategory,
+    getLocationRoles,
+    getFellowSpies,
+    isChatOpen,
+    isRoundPaused,
+    buildAccusationTurnInfo
+} = require('./gameEngine');
+
+// [min, max] random delays in ms
+const FIRST_QUESTION_DELAY_MS = [15000, 30000];
+const QUESTION_INTERVAL_MS = [45000, 90000];
+const ANSWER_DELAY_MS = [2000, 5000];
+const TURN_QUESTION_DELAY_MS = [3000, 8000]; // With question turns on, a bot asker picks someone this soon
+const VOTE_DELAY_MS = [2000, 6000];
+const FINAL_ACCUSATION_DELAY_MS = [3000, 8000];
+const RETRY_DELAY_MS = [8000, 12000]; // The round is paused or an accusation is open: try again later
+
+// When in the round (as a share of its length) bots make their big move
+const ACCUSE_AT = [0.55, 0.7];
+const GUESS_AT = [0.6, 0.8];
+
+const ACCUSE_THRESHOLD = 1.5; // Suspicion a non-spy bot needs before accusing anyone
+const VOTE_THRESHOLD = 1; // Suspicion that makes a non-spy bot vote yes
+
+const VAGUE_WORDS = /\b(maybe|probably|depends|not sure|hmm+|sometimes|usually|kind of|sort of|i guess|hard to say|whatever|normal|the usual)\b/i;
+const STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'from', 'this', 'that', 'there', 'here', 'what', 'your']);
+
+const QUESTIONS = [
+    '{name}, how did you get here today?',
+    '{name}, what are you wearing right now?',
+    '{name}, how long do people usually stay here?',
+    '{name}, would you bring kids here?',
+    '{name}, is it noisy here?',
+    '{name}, what time of day is best to be here?',
+    '{name}, what would you never do here?',
+    '{name}, how much does it cost to be here?'
+];
+
+// Hints that fit every location in a category without naming it
+const CATEGORY_ANSWERS = {
+    'Public Places': ['Anyone can walk in, that\'s the charm.', 'Lots of strangers around, all doing their own thing.', 'Free for most people, which is nice.'],
+    'Transportation': ['Everyone here is on their way somewhere else.', 'I keep checking the time so I don\'t miss anything.', 'You need a ticket or a plan to be here.'],
+    'Entertainment': ['People come here to have fun, mostly in the evening.', 'It gets loud when the show starts.', 'I paid to get in and I want my money\'s worth.'],
+    'Food & Dining': ['I came hungry.', 'The smell alone is worth the trip.', 'Someone is always asking what you want to order.'],
+    'Healthcare': ['Nobody is here because they want to be.', 'Everyone talks quietly and waits a lot.', 'I washed my hands twice on the way in.'],
+    'Education': ['You learn something whether you want to or not.', 'There is a schedule and everyone follows it.', 'Bring a notebook.'],
+    'Business': ['Dress code applies.', 'Everyone here is working or pretending to.', 'Time is money around here.'],
+    'Services': ['You come here to get something done.', 'Expect a queue.', 'Someone behind a counter helps you out.'],
+    'Accommodation': ['People sleep here, just not at home.', 'Check-in time matters.', 'I left my suitcase in the room.'],
+    'Retail': ['I came with a list and I will leave with more.', 'Prices are on everything.', 'Watch out for the checkout line.'],
+    'Unique Locations': ['Not many people ever get to see this place.', 'You would need a good story to explain being here.', 'It\'s unlike anywhere else I\'ve been.'],
+    'Outdoor Adventures': ['Check the weather before you come.', 'Good shoes are a must.', 'Fresh air and a bit of danger.']
+};
+
+const GENERIC_ANSWERS = ['I come here more often than I admit.', 'Everyone here knows why they came.', 'You would recognise it straight away.'];
+
+// What a spy says when they have no idea
+const SPY_ANSWERS = ['Depends on the day, honestly.', 'Hmm, hard to say. It\'s pretty normal.', 'Probably the same as everyone else.', 'Sometimes! Not sure it matters.', 'The usual, I guess.'];
+
+function randomBetween([min, max], random) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+function pick(list, random) {
+    return list[Math.floor(random() * list.length)];
+}
+
+function getBots(game) {
+    return Array.from(game.players.values()).filter(player => player.isBot);
+}
+
+function getRoundLength(game) {
+    return game.settings.roundSeconds * 1000;
+}
+
+// A bot's turn; `round` ties it to the round it was planned for
+function createTurn(game, bot, intent, delayMs, details = {}) {
+    return { botId: bot.id, intent, round: game.startTime, delayMs, ...details };
+}
+
+function words(text) {
+    return (text.toLowerCase().match(/[a-z']+/g) || []).filter(word => word.length >= 4 && !STOP_WORDS.has(word));
+}
+
+// Words that give a location away: its name and its occupations
+function getLocationWords(game, location) {
+    return new Set(words([location, ...getLocationRoles(game, location)].join(' ')));
+}
+
+const CHAT_EVENTS = ['chat', 'question_asked', 'question_answered'];
+
+function isQuestion(text) {
+    return text.trim().endsWith('?');
+}
+
+// What other players said this round, free chat and question turns alike, as {playerId, text, isQuestion}
+function getRoundChat(game, exceptId) {
+    return getRoundLog(game)
+        .filter(event => CHAT_EVENTS.includes(event.type) && event.playerId !== exceptId)
+        .map(event => ({
+            playerId: event.playerId,
+            text: event.text,
+            isQuestion: event.type === 'question_asked' || isQuestion(event.text)
+        }));
+}
+
+function mentions(text, name) {
+    return new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text);
+}
+
+// How suspicious each other active player looks to a non-spy bot, highest first.
+// Answers that show knowledge of the location clear a player; vague answers and silence don't.
+function rankSuspects(game, bot, random = Math.random) {
+    const locationWords = getLocationWords(game, game.location);
+    const chat = getRoundChat(game, bot.id).filter(message => !message.isQuestion);
+
+    return Array.from(game.players.values())
+        .filter(player => player.id !== bot.id && !player.isCaught)
+        .map(player => {
+            const answers = chat.filter(message => message.playerId === player.id);
+            let score = answers.length === 0 ? 0.5 : 0;
+            answers.forEach(({ text }) => {
+                if (words(text).some(word => locationWords.has(word))) score -= 1;
+                if (VAGUE_WORDS.test(text)) score += 1;
+            });
+            return { player, score, tieBreak: random() };
+        })
+        .sort((a, b) => b.score - a.score || a.tieBreak - b.tieBreak);
+}
+
+// A spy bot's best guess: the location whose words came up most in the chat.
+// Words shared by many locations count for less.
+function guessLocation(game, bot, random = Math.random) {
+    const locations = getGameLocations(game);
+    const wordsByLocation = new Map(locations.map(location => [location, getLocationWords(game, location)]));
+
+    const spread = new Map();
+    wordsByLocation.forEach(locationWords => locationWords.forEach(word => {
+        spread.set(word, (spread.get(word) || 0) + 1);
+    }));
+
+    const spoken = getRoundChat(game, bot.id).flatMap(message => words(message.text));
+    const scored = locations.map(location => {
+        const locationWords = wordsByLocation.get(location);
+        const score = spoken.filter(word => locationWords.has(word))
+            .reduce((total, word) => total + 1 / spread.get(word), 0);
+        return { location, score, tieBreak: random() };
+    });
+
+    scored.sort((a, b) => b.score - a.score || a.tieBreak - b.tieBreak);
+    return scored[0].location;
+}
+
+// Who a spy bot points at: whoever the room already suspects, never a known fellow spy
+function pickSpyTarget(game, bot, random) {
+    const fellowIds = getFellowSpies(game, bot).map(spy => spy.id);
+    const candidates = Array.from(game.players.values())
+        .filter(player => player.id !== bot.id && !player.isCaught && !fellowIds.includes(player.id));
+    if (candidates.length === 0) return null;
+
+    const accused = getRoundLog(game)
+        .filter(event => event.type === 'accusation_started')
+        .map(event => event.suspectId);
+    const suspected = candidates.filter(player => accused.includes(player.id));
+    return pick(suspected.length > 0 ? suspected : candidates, random);
+}
+
+// Who a bot asker questions: anyone still in the round except whoever just asked it,
+// unless they are the only one left
+function pickQuestionTarget(game, bot, random) {
+    const candidates = Array.from(game.players.values())
+        .filter(player => player.id !== bot.id && !player.isCaught && !player.isMuted);
+    const allowed = candidates.filter(player => player.id !== game.questionTurn.noAskBackId);
+    return pick(allowed.length > 0 ? allowed : candidates, random);
+}
+
+function answerFor(game, bot, random) {
+    if (bot.role === 'spy') return pick(SPY_ANSWERS, random);
+    return pick(CATEGORY_ANSWERS[getLocationCategory(game, game.location)] || GENERIC_ANSWERS, random);
+}
+
+// Bot turns to schedule after a dispatch, given the events it produced
+function planBotTurns(game, events, random = Math.random) {
+    const bots = getBots(game);
+    if (bots.length === 0) return [];
+
+    const turns = [];
+
+    // With question turns on, bots speak when the turn reaches them instead of on their own schedule
+    const planQuestionTurn = turn => {
+        if (!turn) return;
+        const bot = bots.find(candidate => candidate.id === (turn.targetId || turn.askerId));
+        if (!bot) return;
+
+        turns.push(turn.targetId
+            ? createTurn(game, bot, 'answer', randomBetween(ANSWER_DELAY_MS, random), { inTurn: true })
+            : createTurn(game, bot, 'ask', randomBetween(TURN_QUESTION_DELAY_MS, random), { inTurn: true }));
+    };
+
+    events.forEach(event => {
+        switch (event.type) {
+            case 'roundStarted':
+                bots.forEach(bot => {
+                    if (!game.questionTurn) {
+                        turns.push(createTurn(game, bot, 'ask', randomBetween(FIRST_QUESTION_DELAY_MS, random)));
+                    }
+                    const [intent, share] = bot.role === 'spy' ? ['guess', GUESS_AT] : ['accuse', ACCUSE_AT];
+                    const at = share[0] + random() * (share[1] - share[0]);
+                    turns.push(createTurn(game, bot, intent, Math.round(getRoundLength(game) * at)));
+                });
+                planQuestionTurn(game.questionTurn);
+                break;
+            case 'questionTurn':
+                planQuestionTurn(event.payload);
+                break;
+            case 'chatMessage': {
+                const { playerId, text, type } = event.payload;
+                if (type !== 'player' || !isQuestion(text)) break;
+                bots.filter(bot => bot.id !== playerId && mentions(text, bot.name))
+                    .forEach(bot => turns.push(createTurn(game, bot, 'answer', randomBetween(ANSWER_DELAY_MS, random))));
+                break;
+            }
+            case 'accusationStarted': {
+                const { accuserId, suspectId } = event.payload;
+                bots.filter(bot => !bot.isCaught && bot.id !== accuserId && bot.id !== suspectId)
+                    .forEach(bot => turns.push(createTurn(game, bot, 'vote', randomBetween(VOTE_DELAY_MS, random), { suspectId })));
+                break;
+            }
+            case 'accusationTurn': {
+                const bot = bots.find(candidate => candidate.id === event.payload.playerId);
+                if (bot) {
+                    turns.push(createTurn(game, bot, 'finalAccuse', randomBetween(FINAL_ACCUSATION_DELAY_MS, random)));
+                }
+                break;
+            }
+        }
+    });
+    return turns;
+}
+
+// A restart loses every planned turn. Plan again from where the round stands: whatever the
+// room is waiting on a bot for, and each bot's own schedule. Call after restoreClocks, while
+// timer.remainingMs still holds what was left of the round when it was saved.
+function planRestoredBotTurns(game, random = Math.random) {
+    if (!['playing', 'accusing', 'voting'].includes(game.status)) return [];
+
+    const events = [];
+    if (game.questionTurn) events.push({ type: 'questionTurn', payload: game.questionTurn });
+    if (game.accusation) events.push({ type: 'accusationStarted', payload: game.accusation });
+    const accusationTurn = game.status === 'voting' && !game.accusation ? buildAccusationTurnInfo(game) : null;
+    if (accusationTurn) events.push({ type: 'accusationTurn', payload: accusationTurn });
+
+    const turns = planBotTurns(game, events, random);
+    if (game.status === 'voting') return turns;
+
+    // The big move keeps its place in the round, or comes soon if that has passed
+    const elapsedMs = getRoundLength(game) - game.timer.remainingMs;
+    getBots(game).forEach(bot => {
+        if (!game.questionTurn) {
+            turns.push(createTurn(game, bot, 'ask', randomBetween(FIRST_QUESTION_DELAY_MS, random)));
+        }
+        const [intent, share] = bot.role === 'spy' ? ['guess', GUESS_AT] : ['accuse', ACCUSE_AT];
+        const at = share[0] + random() * (share[1] - share[0]);
+        const delayMs = Math.round(getRoundLength(game) * at) - elapsedMs;
+        turns.push(createTurn(game, bot, intent, Math.max(delayMs, randomBetween(FIRST_QUESTION_DELAY_MS, random))));
+    });
+    return turns;
+}
+
+// What a bot does now that its turn has come: {action, next}, either of which may be missing.
+// Turns from an earlier round, or for a bot that has left, do nothing.
+function decideBotTurn(game, turn, random = Math.random) {
+    const bot = game.players.get(turn.botId);
+    if (!bot || turn.round !== game.startTime) return {};
+
+    const isOnHold = game.status === 'accusing' || isRoundPaused(game);
+    const retry = { next: [{ ...turn, delayMs: randomBetween(RETRY_DELAY_MS, random) }] }; // Same turn, a little later
+
+    if (turn.inTurn) {
+        return decideQuestionTurn(game, bot, turn, isOnHold ? retry : null, random);
+    }
+
+    switch (turn.intent) {
+        case 'ask': {
+            if (isOnHold) return retry;
+            if (game.status !== 'playing' || !isChatOpen(game)) return {};
+
+            const target = pick(Array.from(game.players.values())
+                .filter(player => player.id !== bot.id && !player.isCaught), random);
+            if (!target || bot.isCaught) return {};
+            return {
+                action: { type: 'sendMessage', text: pick(QUESTIONS, random).replace('{name}', target.name) },
+                next: [createTurn(game, bot, 'ask', randomBetween(QUESTION_INTERVAL_MS, random))]
+            };
+        }
+        case 'answer':
+            if (game.status !== 'playing' || !isChatOpen(game) || bot.isCaught) return {};
+            return { action: { type: 'sendMessage', text: answerFor(game, bot, random) } };
+        case 'accuse': {
+            if (isOnHold) return retry;
+            if (game.status !== 'playing' || bot.hasAccused || bot.isCaught) return {};
+
+            const [top] = rankSuspects(game, bot, random);
+            if (!top || top.score < ACCUSE_THRESHOLD) return {};
+            return { action: { type: 'accusePlayer', suspectId: top.player.id } };
+        }
+        case 'guess':
+            if (isOnHold) return retry;
+            if (game.status !== 'playing' || bot.hasGuessed || bot.isCaught) return {};
+            return { action: { type: 'spyGuess', location: guessLocation(game, bot, random) } };
+        case 'vote': {
+            const { accusation } = game;
+            if (!accusation || accusation.suspectId !== turn.suspectId || accusation.votes.has(bot.id)) return {};
+            return { action: { type: 'castAccusationVote', approve: shouldConvict(game, bot, accusation.suspectId, random) } };
+        }
+        case 'finalAccuse': {
+            const info = buildAccusationTurnInfo(game);
+            if (game.status !== 'voting' || game.accusation || !info || info.playerId !== bot.id) return {};
+
+            const target = bot.role === 'spy' ? pickSpyTarget(game, bot, random) : rankSuspects(game, bot, random)[0]?.player;
+            return target ? { action: { type: 'accusePlayer', suspectId: target.id } } : {};
+        }
+        default:
+            return {};
+    }
+}
+
+// Asking or answering when a question turn reaches the bot; the turn may have moved on since
+function decideQuestionTurn(game, bot, turn, retry, random) {
+    const questionTurn = game.questionTurn;
+    if (retry) return retry;
+    if (game.status !== 'playing' || !questionTurn || bot.isCaught) return {};
+
+    if (turn.intent === 'ask') {
+        if (questionTurn.askerId !== bot.id || questionTurn.targetId) return {};
+        const target = pickQuestionTarget(game, bot, random);
+        if (!target) return {};
+        return {
+            action: { type: 'askQuestion', targetId: target.id, text: pick(QUESTIONS, random).replace('{name}', target.name) }
+        };
+    }
+
+    if (turn.intent === 'answer' && questionTurn.targetId === bot.id) {
+        return { action: { type: 'answerQuestion', text: answerFor(game, bot, random) } };
+    }
+    return {};
+}
+
+// Spy bots back any accusation that isn't against a known fellow spy; non-spy bots
+// convict their top suspect or anyone who looks suspicious enough
+function shouldConvict(game, bot, suspectId, random) {
+    if (bot.role === 'spy') {
+        return !getFellowSpies(game, bot).some(spy => spy.id === suspectId);
+    }
+
+    const ranking = rankSuspects(game, bot, random);
+    const suspect = ranking.find(entry => entry.player.id === suspectId);
+    return Boolean(suspect) && (suspect === ranking[0] || suspect.score >= VOTE_THRESHOLD);
+}
+
+module.exports = {
+    VOTE_DELAY_MS,
+    planBotTurns,
+    planRestoredBotTurns,
+    decideBotTurn,
+    rankSuspects,
+    guessLocation
+};
@@ -1,4 +1,13 @@
 // Client-side game logic for Spyfall
+
+// Private suspicion tags for other players, in the order a tap cycles through them
+const SUSPICION_LEVELS = [
+    { level: 'trusted', icon: '😇', label: 'Trusted' },
+    { level: 'unsure', icon: '🤔', label: 'Unsure' },
+    { level: 'suspicious', icon: '🕵️', label: 'Suspicious' }
+];
+const MAX_SUSPICION_NOTE_LENGTH = 80;
+
 class SpyfallGame {
     constructor() {
         this.socket = io();
@@ -7,6 +16,10 @@ class SpyfallGame {
         this.maxReconnectionAttempts = 3;
         this.reconnectTimeout = null;
         this.isReconnecting = false; // Prevent duplicate reconnection attempts
+        this.timerEndsAt = null; // Local end of the round clock (null while paused)
+        this.timerInterval = null;
+        this.lastTimerSecond = null;
+        this.lastSeenMessageId = 0; // Newest chat message shown, to count what a reconnect missed
 
         this.gameState = {
             roomCode: null,
@@ -16,9 +29,26 @@ class SpyfallGame {
             sessionStartTime: null,       // NEW: Track session age
             players: [],
             role: null,
+            occupation: null,
+            fellowSpies: [],
+            deviceSeats: [],              // Players sharing this phone, with their roles
+            firstQuestioner: null,
+            questionTurn: null,
+            isCaught: false,
+            hasAccused: false,
             location: null,
-            timer: 480,
+            timer: { remainingMs: 480000, isPaused: true, pausedBy: null },
             locations: [],
+            locationBoard: [],            // Locations in play by category: [{category, locations}]
+            locationMarks: {},            // location -> 'crossed' | 'starred', private to this device
+            suspicionNotes: {},           // playerId -> {level, note}, private to this device
+            match: null,
+            settings: null,
+            locationCategories: [],
+            customPacks: [],
+            spectators: [],
+            isSpectator: false,
+            isLocked: false,
             isHost: false
         };
 
@@ -28,7 +58,10 @@ class SpyfallGame {
             PLAYER_ID: 'spyfall_player_id',
             ROOM_CODE: 'spyfall_room_code',
             PLAYER_NAME: 'spyfall_player_name',
-            SESSION_TIME: 'spyfall_session_time'
+            SESSION_TIME: 'spyfall_session_time',
+            HIDDEN_PLAYERS: 'spyfall_hidden_players', // Suffixed with the room code
+            LOCATION_MARKS: 'spyfall_location_marks', // Suffixed with the room code
+            SUSPICION_NOTES: 'spyfall_suspicion_notes' // Suffixed with the room code
         };
 
         // Attempt to restore session on load
@@ -68,6 +101,18 @@ class SpyfallGame {
 
     clearSessionStorage() {
         try {
+            // Per-room keys first, while the room code is still known
+            const roomCode = this.gameState.roomCode || localStorage.getItem(this.STORAGE_KEYS.ROOM_CODE);
+            if (roomCode) {
+                [
+                    this.STORAGE_KEYS.HIDDEN_PLAYERS,
+                    this.STORAGE_KEYS.LOCATION_MARKS,
+                    this.STORAGE_KEYS.SUSPICION_NOTES
+                ].forEach(key => {
+                    localStorage.removeItem(`${key}_${roomCode}`);
+                });
+            }
+
             Object.values(this.STORAGE_KEYS).forEach(key => {
                 localStorage.removeItem(key);
             });
@@ -171,6 +216,15 @@ class SpyfallGame {
             this.showPlayerNameInput('join');
         });
 
+        document.getElementById('watch-room-btn').addEventListener('click', () => {
+            this.showPlayerNameInput('watch');
+        });
+
+        // Back into a running game from another device: same room code and name, host approves
+        document.getElementById('rejoin-room-btn').addEventListener('click', () => {
+            this.showPlayerNameInput('rejoin');
+        });
+
         document.getElementById('confirm-action-btn').addEventListener('click', () => {
             this.handleConfirmAction();
         });
@@ -180,16 +234,88 @@ class SpyfallGame {
             this.startGame();
         });
 
+        // Custom location packs
+        document.getElementById('save-pack-btn').addEventListener('click', () => {
+            this.saveCustomPack();
+        });
+
+        document.getElementById('upload-pack-btn').addEventListener('click', () => {
+            document.getElementById('pack-file').click();
+        });
+
+        document.getElementById('pack-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.uploadCustomPack(file);
+            }
+        });
+
+        document.getElementById('import-pack-btn').addEventListener('click', () => {
+            this.importCustomPack();
+        });
+
+        document.getElementById('download-log-btn').addEventListener('click', () => {
+            this.socket.emit('requestGameLog');
+        });
+
+        document.getElementById('lock-room-btn').addEventListener('click', () => {
+            this.socket.emit('setRoomLocked', !this.gameState.isLocked);
+        });
+
+        document.getElementById('add-bot-btn').addEventListener('click', () => {
+            this.socket.emit('addBot');
+        });
+
         document.getElementById('leave-room-btn').addEventListener('click', () => {
             this.leaveRoom();
         });
 
+        document.getElementById('join-game-btn').addEventListener('click', () => {
+            this.socket.emit('joinAsPlayer');
+        });
+
+        // Room settings events (host only)
+        document.querySelectorAll('#room-settings select[data-setting]').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.updateSetting(e.target.dataset.setting, parseInt(e.target.value, 10));
+            });
+        });
+
+        document.querySelectorAll('#room-settings input[data-toggle]').forEach(toggle => {
+            toggle.addEventListener('change', (e) => {
+                this.updateSetting(e.target.dataset.toggle, e.target.checked);
+            });
+        });
+
+        document.getElementById('setting-blocked-words').addEventListener('change', (e) => {
+            const words = e.target.value.split(',').map(word => word.trim()).filter(Boolean);
+            this.updateSetting('blockedWords', words);
+        });
+
         // Game events
         document.getElementById('call-vote-btn').addEventListener('click', () => {
             this.playSound('vote');
             this.callVote();
         });
 
+        // Voting screen events
+        document.getElementById('vote-yes-btn').addEventListener('click', () => {
+            this.castAccusationVote(true);
+        });
+
+        document.getElementById('vote-no-btn').addEventListener('click', () => {
+            this.castAccusationVote(false);
+        });
+
+        document.getElementById('cancel-accusation-btn').addEventListener('click', () => {
+            this.switchScreen('game');
+        });
+
+        document.getElementById('pause-game-btn').addEventListener('click', () => {
+            this.togglePause();
+        });
+
         document.getElementById('submit-guess-btn').addEventListener('click', () => {
             this.playSound('button');
             this.submitSpyGuess();
@@ -206,6 +332,71 @@ class SpyfallGame {
             }
         });
 
+        // In-person events
+        document.getElementById('add-device-seat-btn').addEventListener('click', () => {
+            this.addDeviceSeat();
+        });
+
+        document.getElementById('device-seat-name').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addDeviceSeat();
+            }
+        });
+
+        document.getElementById('table-timer-btn').addEventListener('click', () => {
+            document.getElementById('table-timer').classList.remove('hidden');
+        });
+
+        document.getElementById('close-table-timer-btn').addEventListener('click', () => {
+            document.getElementById('table-timer').classList.add('hidden');
+        });
+
+        document.getElementById('pass-device-btn').addEventListener('click', () => {
+            this.showPassDevice();
+        });
+
+        document.getElementById('close-pass-device-btn').addEventListener('click', () => {
+            document.getElementById('pass-device').classList.add('hidden');
+        });
+
+        document.getElementById('reveal-seat-btn').addEventListener('click', () => {
+            this.renderSeatRole(this.revealingSeat);
+            this.showPassDeviceStep('pass-device-reveal');
+        });
+
+        document.getElementById('cancel-reveal-btn').addEventListener('click', () => {
+            this.showPassDevice();
+        });
+
+        document.getElementById('hide-role-btn').addEventListener('click', () => {
+            this.showPassDevice();
+        });
+
+        document.getElementById('seat-guess-btn').addEventListener('click', () => {
+            this.submitSeatGuess();
+        });
+
+        // Question turn events
+        document.getElementById('ask-question-btn').addEventListener('click', () => {
+            this.askQuestion();
+        });
+
+        document.getElementById('question-input').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.askQuestion();
+            }
+        });
+
+        document.getElementById('answer-question-btn').addEventListener('click', () => {
+            this.answerQuestion();
+        });
+
+        document.getElementById('answer-input').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.answerQuestion();
+            }
+        });
+
         // Add button click sounds to all buttons
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('btn') && !e.target.disabled) {
@@ -226,6 +417,23 @@ class SpyfallGame {
             this.backToMenu();
         });
 
+        document.getElementById('next-round-btn').addEventListener('click', () => {
+            this.nextRound();
+        });
+
+        document.getElementById('view-standings-btn').addEventListener('click', () => {
+            this.showFinalStandings();
+        });
+
+        // Final standings events
+        document.getElementById('new-match-btn').addEventListener('click', () => {
+            this.newGame();
+        });
+
+        document.getElementById('standings-menu-btn').addEventListener('click', () => {
+            this.backToMenu();
+        });
+
         // Input validation
         document.getElementById('player-name').addEventListener('input', (e) => {
             e.target.value = e.target.value.replace(/[^a-zA-Z0-9 ]/g, '');
@@ -268,6 +476,12 @@ class SpyfallGame {
             this.gameState.playerId = data.playerId;
             this.gameState.reconnectionToken = data.reconnectionToken;
             this.gameState.players = data.players;
+            this.gameState.settings = data.settings;
+            this.gameState.locationCategories = data.locationCategories;
+            this.gameState.customPacks = data.customPacks;
+            this.gameState.spectators = data.spectators;
+            this.gameState.isSpectator = false;
+            this.gameState.isLocked = data.isLocked;
             this.gameState.isHost = true;
             this.gameState.sessionStartTime = Date.now();
 
@@ -280,6 +494,13 @@ class SpyfallGame {
             this.gameState.playerId = data.playerId;
             this.gameState.reconnectionToken = data.reconnectionToken;
             this.gameState.players = data.players;
+            this.gameState.settings = data.settings;
+            this.gameState.locationCategories = data.locationCategories;
+            this.gameState.customPacks = data.customPacks;
+            this.gameState.spectators = data.spectators;
+            this.gameState.isSpectator = false;
+            this.gameState.isLocked = data.isLocked;
+            this.gameState.playerName = data.player.name;
             this.gameState.isHost = data.player.isHost;
             this.gameState.sessionStartTime = Date.now();
 
@@ -287,6 +508,34 @@ class SpyfallGame {
             this.showLobby();
         });
 
+        // Watching a room: never carries the location or roles while a round is running
+        this.socket.on('spectating', (data) => {
+            this.handleSpectating(data);
+        });
+
+        this.socket.on('spectatorsUpdated', (data) => {
+            this.gameState.spectators = data.spectators;
+            this.updateSpectatorInfo();
+        });
+
+        this.socket.on('roomClosed', () => {
+            this.showError('The room was closed');
+            this.backToMenu();
+        });
+
+        this.socket.on('settingsUpdated', (data) => {
+            this.gameState.settings = data.settings;
+            this.renderSettings();
+            this.updatePlayersDisplay();
+        });
+
+        this.socket.on('locationPacksUpdated', (data) => {
+            this.gameState.locationCategories = data.locationCategories;
+            this.gameState.customPacks = data.customPacks;
+            this.gameState.settings = data.settings;
+            this.renderSettings();
+        });
+
         this.socket.on('playerJoined', (data) => {
             this.gameState.players = data.players;
             this.updatePlayersDisplay();
@@ -294,51 +543,163 @@ class SpyfallGame {
 
         this.socket.on('playerLeft', (data) => {
             this.gameState.players = data.players;
-            if (data.newHost === this.socket.id) {
+            if (data.newHost === this.gameState.playerId) {
                 this.gameState.isHost = true;
+                this.updateHostControls();
             }
             this.updatePlayersDisplay();
         });
 
+        // Host moderation
+        this.socket.on('kicked', (data) => {
+            this.showError(data.banned ? 'You were banned from this room' : 'The host removed you from the room');
+            this.backToMenu();
+        });
+
+        this.socket.on('roomLockChanged', (data) => {
+            this.gameState.isLocked = data.isLocked;
+            this.updateHostControls();
+        });
+
+        this.socket.on('playerMuted', (data) => {
+            this.gameState.players = data.players;
+            this.updatePlayersDisplay();
+            this.updateGamePlayersList();
+            if (data.playerId === this.gameState.playerId) {
+                this.showNotification(data.isMuted ? 'The host muted you' : 'The host unmuted you');
+            } else if (this.gameState.isHost) {
+                this.showNotification(`${data.playerName} is ${data.isMuted ? 'muted' : 'unmuted'}`);
+            }
+        });
+
+        this.socket.on('messageReported', () => {
+            this.showNotification('Thanks - the host has been told');
+        });
+
+        // Host only: someone flagged a message
+        this.socket.on('chatReported', (data) => {
+            this.showNotification(`🚩 A message from ${data.playerName} was reported: "${data.text}"`);
+            this.playSound('notification');
+        });
+
         // Game events
         this.socket.on('gameStarted', (data) => {
             this.gameState.role = data.role;
+            this.gameState.occupation = data.occupation;
+            this.gameState.fellowSpies = data.fellowSpies;
+            this.gameState.deviceSeats = data.deviceSeats;
+            this.gameState.firstQuestioner = data.firstQuestioner;
+            this.gameState.isCaught = false;
+            this.gameState.hasAccused = false;
             this.gameState.location = data.location;
             this.gameState.players = data.players;
-            this.gameState.timer = data.timer;
             this.gameState.locations = data.locations;
+            this.gameState.locationBoard = data.locationBoard;
+            this.gameState.match = data.match;
+            this.gameState.questionTurn = data.questionTurn;
+            this.setLocationMarks({});
+            this.setSuspicionNotes({});
+            this.setTimer(data.timer);
             this.playSound('gameStart');
             this.showGame();
         });
 
-        this.socket.on('timerUpdate', (timer) => {
-            this.gameState.timer = timer;
-            this.updateTimer();
-            // Play timer tick sound for last 10 seconds
-            if (timer <= 10 && timer > 0) {
-                this.playSound('timer');
+        // Occasional drift correction, plus pauses and resumes
+        this.socket.on('timerSync', (timer) => {
+            this.setTimer(timer);
+        });
+
+        // A spy was caught or guessed wrong while other spies remain hidden
+        this.socket.on('spyEliminated', (data) => {
+            this.gameState.players = data.players;
+            if (data.playerId === this.gameState.playerId) {
+                this.gameState.isCaught = true;
+                this.updateRoleCard();
+                this.renderLocationBoard();
             }
+            this.switchScreen('game');
+            this.updateGamePlayersList();
+            this.playSound('notification');
+            this.showNotification(`${data.playerName} was a spy! ${data.spiesRemaining} still hidden.`);
         });
 
         // Voting events
-        this.socket.on('voteStarted', (data) => {
+        this.socket.on('accusationStarted', (accusation) => {
+            // Only now is our accusation used up; the server may have refused it
+            if (accusation.accuserId === this.gameState.playerId) {
+                this.gameState.hasAccused = true;
+                this.updateAccuseButton();
+            }
             this.playSound('notification');
-            this.showVoting(data.players);
+            this.showAccusationVote(accusation, false);
         });
 
-        this.socket.on('voteUpdate', (data) => {
+        this.socket.on('accusationVoteUpdate', (data) => {
             this.playSound('vote');
-            this.updateVotingStatus(data.votesSubmitted, data.totalPlayers);
+            this.updateVotingStatus(data.votesSubmitted, data.totalVoters);
+        });
+
+        this.socket.on('accusationResult', (result) => {
+            if (!result.passed) {
+                this.showNotification(`The accusation against ${result.suspectName} failed (${result.yesVotes} yes, ${result.noVotes} no)`);
+            }
+        });
+
+        this.socket.on('roundResumed', (data) => {
+            this.setTimer(data.timer);
+            this.switchScreen('game');
+        });
+
+        // End-of-timer accusations, one player at a time
+        this.socket.on('accusationTurn', (turn) => {
+            this.setTimer({ remainingMs: 0, isPaused: true, pausedBy: null });
+            this.playSound('notification');
+            this.showAccusationTurn(turn);
         });
 
         // Game end
         this.socket.on('gameEnded', (result) => {
+            this.stopTimer();
+            this.closeOverlays();
+            this.gameState.match = result.match;
             // Play win/lose sound based on result
             const isWin = this.determineWinStatus(result);
-            this.playSound(isWin ? 'success' : 'error');
+            if (this.gameState.isSpectator) {
+                this.playSound('notification');
+            } else {
+                this.playSound(isWin ? 'success' : 'error');
+            }
             this.showResults(result);
         });
 
+        this.socket.on('gameLog', (data) => {
+            this.downloadGameLog(data);
+        });
+
+        this.socket.on('returnedToLobby', (data) => {
+            this.closeOverlays();
+            this.gameState.players = data.players;
+            this.gameState.role = null;
+            this.gameState.occupation = null;
+            this.gameState.location = null;
+            this.gameState.match = null;
+            this.showLobby();
+            if (data.reason === 'not_enough_players') {
+                this.showNotification('Too many players left, so the round was called off');
+            }
+        });
+
+        // Whose turn it is to ask, and who is on the spot
+        this.socket.on('questionTurn', (turn) => {
+            const wasAsked = turn && turn.targetId === this.gameState.playerId;
+            this.gameState.questionTurn = turn;
+            this.updateQuestionTurn();
+            this.updateGamePlayersList();
+            if (wasAsked || (turn && !turn.targetId && turn.askerId === this.gameState.playerId)) {
+                this.playSound('notification');
+            }
+        });
+
         // Chat events
         this.socket.on('chatMessage', (message) => {
             // Only play chat sound for other players' messages
@@ -353,6 +714,17 @@ class SpyfallGame {
             this.handleReconnectionSuccess(gameState);
         });
 
+        this.socket.on('rejoinPending', (data) => {
+            this.showNotification(`Waiting for the host to let you back in as ${data.playerName}...`);
+        });
+
+        // Host only: someone without a token wants a disconnected player's seat
+        this.socket.on('rejoinRequested', (data) => {
+            this.playSound('notification');
+            const approve = confirm(`Someone wants to rejoin as ${data.playerName} from a new device. Let them back in?\n\nOnly say yes if you know it's really them.`);
+            this.socket.emit('answerRejoin', { requestId: data.requestId, approve });
+        });
+
         this.socket.on('reconnectFailed', (reason) => {
             this.isReconnecting = false; // Clear reconnection state
             clearTimeout(this.reconnectTimeout);
@@ -392,11 +764,12 @@ class SpyfallGame {
         });
 
         this.socket.on('hostChanged', (data) => {
-            if (data.newHostId === this.gameState.playerId) {
-                this.gameState.isHost = true;
-                this.showNotification('You have reclaimed host control!');
+            this.gameState.isHost = data.newHostId === this.gameState.playerId;
+            if (data.players) {
+                this.gameState.players = data.players;
             }
-            this.showNotification(data.message);
+            this.updateHostControls();
+            this.showNotification(this.gameState.isHost ? 'You are now the host!' : data.message);
         });
 
         // Handle automatic reconnection on disconnect
@@ -430,33 +803,34 @@ class SpyfallGame {
         this.gameState.playerName = gameState.player.name;
         this.gameState.isHost = gameState.player.isHost;
         this.gameState.role = gameState.player.role;
+        this.gameState.occupation = gameState.player.occupation;
+        this.gameState.isCaught = gameState.player.isCaught;
+        this.gameState.hasAccused = gameState.player.hasAccused;
+        this.gameState.fellowSpies = gameState.game.fellowSpies;
+        this.gameState.deviceSeats = gameState.game.deviceSeats;
+        this.gameState.firstQuestioner = gameState.game.firstQuestioner;
         this.gameState.players = gameState.game.players;
-        this.gameState.timer = gameState.game.timer;
         this.gameState.location = gameState.game.location;
         this.gameState.locations = gameState.game.locations;
+        this.gameState.locationBoard = gameState.game.locationBoard;
+        this.gameState.match = gameState.game.match; // Before the marks and notes, which belong to its round
+        this.gameState.locationMarks = this.loadLocationMarks();
+        this.gameState.suspicionNotes = this.loadSuspicionNotes();
+        this.gameState.questionTurn = gameState.game.questionTurn;
+        this.gameState.settings = gameState.game.settings;
+        this.gameState.isLocked = gameState.game.isLocked;
+        this.gameState.locationCategories = gameState.game.locationCategories;
+        this.gameState.customPacks = gameState.game.customPacks;
+        this.gameState.spectators = gameState.game.spectators;
+        this.setTimer(gameState.game.timer);
 
         // Save updated session
         this.saveSessionToStorage();
 
-        // Navigate to appropriate screen based on game status
-        switch (gameState.game.status) {
-            case 'lobby':
-                this.showLobby();
-                break;
-            case 'playing':
-                this.showGame();
-                this.updateLocationDisplay();
-                this.updateTimer();
-                break;
-            case 'voting':
-                this.showVoting(gameState.game.players);
-                break;
-            default:
-                this.showLobby();
-        }
+        // Count before the chat is redrawn, which marks everything as seen
+        const missedCount = this.calculateMissedMessages(gameState.game.chatHistory);
+        this.showPhase(gameState.game, gameState.game.hasVotedOnAccusation, gameState.game.myVote);
 
-        // Show reconnection notification with missed messages indicator
-        const missedCount = this.calculateMissedMessages();
         if (missedCount > 0) {
             this.showNotification(`Reconnected! You missed ${missedCount} messages while disconnected.`);
         } else {
@@ -469,6 +843,60 @@ class SpyfallGame {
         this.reconnectionAttempts = 0;
     }
 
+    // Enter a room as a spectator
+    handleSpectating(data) {
+        const game = data.game;
+
+        this.gameState.roomCode = data.roomCode;
+        this.gameState.playerId = data.spectatorId;
+        this.gameState.isSpectator = true;
+        this.gameState.isHost = false;
+        this.gameState.role = 'spectator';
+        this.gameState.players = game.players;
+        this.gameState.spectators = data.spectators;
+        this.gameState.locations = game.locations;
+        this.gameState.locationBoard = game.locationBoard;
+        this.gameState.match = game.match;
+        this.gameState.locationMarks = this.loadLocationMarks();
+        this.gameState.suspicionNotes = this.loadSuspicionNotes();
+        this.gameState.firstQuestioner = game.firstQuestioner;
+        this.gameState.questionTurn = game.questionTurn;
+        this.gameState.settings = game.settings;
+        this.gameState.isLocked = game.isLocked;
+        this.gameState.locationCategories = game.locationCategories;
+        this.gameState.customPacks = game.customPacks;
+        this.setTimer(game.timer);
+
+        this.showPhase(game, true, null);
+        this.showNotification(`You are watching room ${data.roomCode}`);
+    }
+
+    // Put a (re)joining client on the screen for the room's current phase, from a
+    // reconnect or spectate snapshot
+    showPhase(game, hasVoted, myVote) {
+        switch (game.status) {
+            case 'playing':
+                this.showGame(game.chatHistory);
+                break;
+            case 'accusing':
+            case 'voting':
+                this.showGame(game.chatHistory);
+                if (game.accusation) {
+                    this.showAccusationVote(game.accusation, hasVoted, myVote);
+                } else if (game.accusationTurn) {
+                    this.showAccusationTurn(game.accusationTurn);
+                }
+                break;
+            case 'ended':
+                this.stopTimer();
+                this.gameState.match = game.result.match;
+                this.showResults(game.result);
+                break;
+            default:
+                this.showLobby();
+        }
+    }
+
     handleSocketDisconnect() {
         console.log('📡 Socket disconnected. Attempting auto-reconnection...');
         this.showConnectionStatus('disconnected');
@@ -535,12 +963,14 @@ class SpyfallGame {
         }, 3000);
     }
 
-    calculateMissedMessages() {
-        // Simple approximation - in a real implementation, server would track this
-        if (!this.gameState.sessionStartTime) return 0;
+    // Messages from other players that arrived while we were away. After a page reload
+    // nothing counts as seen, so there is nothing to compare against.
+    calculateMissedMessages(chatHistory = []) {
+        if (!this.lastSeenMessageId) return 0;
 
-        const disconnectTime = (Date.now() - this.gameState.sessionStartTime) / 1000;
-        return Math.floor(disconnectTime / 30); // Estimate ~1 message per 30 seconds
+        return chatHistory.filter(message =>
+            message.id > this.lastSeenMessageId && message.type !== 'system' && message.playerId !== this.gameState.playerId
+        ).length;
     }
 
     // Show player name input based on action
@@ -550,7 +980,7 @@ class SpyfallGame {
         document.getElementById('player-name-section').classList.remove('hidden');
         document.getElementById('confirm-action-btn').classList.remove('hidden');
 
-        if (action === 'join') {
+        if (action === 'join' || action === 'watch' || action === 'rejoin') {
             document.getElementById('room-code-section').classList.remove('hidden');
         }
 
@@ -570,7 +1000,7 @@ class SpyfallGame {
 
         if (this.currentAction === 'create') {
             this.socket.emit('createRoom', playerName);
-        } else if (this.currentAction === 'join') {
+        } else {
             const roomCode = document.getElementById('room-code').value.trim();
 
             if (!roomCode || roomCode.length !== 4) {
@@ -578,7 +1008,8 @@ class SpyfallGame {
                 return;
             }
 
-            this.socket.emit('joinRoom', { roomCode, playerName });
+            const events = { join: 'joinRoom', watch: 'spectateRoom', rejoin: 'requestRejoin' };
+            this.socket.emit(events[this.currentAction], { roomCode, playerName });
         }
     }
 
@@ -586,15 +1017,211 @@ class SpyfallGame {
     showLobby() {
         this.switchScreen('lobby');
         document.getElementById('lobby-room-code').textContent = this.gameState.roomCode;
-        this.updatePlayersDisplay();
+        this.updateHostControls();
+
+        // Spectators can take a seat from the lobby
+        document.getElementById('join-game-btn').classList.toggle('hidden', !this.gameState.isSpectator);
+    }
+
+    // Start and lock buttons, settings and the pause button follow whoever is host
+    updateHostControls() {
+        const isHost = this.gameState.isHost;
 
-        // Update start game button
         const startBtn = document.getElementById('start-game-btn');
-        if (this.gameState.isHost) {
-            startBtn.disabled = this.gameState.players.length < 4;
+        if (isHost) {
+            startBtn.style.display = '';
         } else {
             startBtn.style.display = 'none';
         }
+
+        const lockBtn = document.getElementById('lock-room-btn');
+        lockBtn.classList.toggle('hidden', !isHost);
+        lockBtn.textContent = this.gameState.isLocked ? '🔓 Unlock Room' : '🔒 Lock Room';
+        document.getElementById('add-bot-btn').classList.toggle('hidden', !isHost);
+
+        document.getElementById('lobby-room-info').textContent = this.gameState.isLocked
+            ? '🔒 This room is locked - nobody new can join'
+            : 'Share this code with friends to join!';
+
+        this.renderSettings();
+        this.updatePlayersDisplay();
+        this.updatePauseControls();
+
+        if (this.currentScreen === 'results' && this.gameState.match) {
+            this.updateMatchControls(this.gameState.match);
+        }
+    }
+
+    // Show how many people are watching
+    updateSpectatorInfo() {
+        const spectators = this.gameState.spectators || [];
+        const text = spectators.length > 0
+            ? `👀 Watching: ${spectators.map(spectator => spectator.name).join(', ')}`
+            : '';
+
+        ['lobby-spectators', 'game-spectators'].forEach(id => {
+            const element = document.getElementById(id);
+            element.textContent = text;
+            element.classList.toggle('hidden', spectators.length === 0);
+        });
+    }
+
+    // Show the current room settings; only the host can edit them
+    renderSettings() {
+        const settings = this.gameState.settings;
+        if (!settings) return;
+
+        const isHost = this.gameState.isHost;
+
+        const maxPlayersSelect = document.getElementById('setting-max-players');
+        if (maxPlayersSelect.options.length === 0) {
+            for (let count = 4; count <= 15; count++) {
+                const option = document.createElement('option');
+                option.value = count;
+                option.textContent = `${count} players`;
+                maxPlayersSelect.appendChild(option);
+            }
+        }
+
+        document.querySelectorAll('#room-settings select[data-setting]').forEach(select => {
+            select.value = settings[select.dataset.setting];
+            select.disabled = !isHost;
+        });
+
+        document.querySelectorAll('#room-settings input[data-toggle]').forEach(toggle => {
+            toggle.checked = settings[toggle.dataset.toggle];
+            toggle.disabled = !isHost;
+        });
+
+        const blockedWordsInput = document.getElementById('setting-blocked-words');
+        blockedWordsInput.value = settings.blockedWords.join(', ');
+        blockedWordsInput.disabled = !isHost;
+
+        const categoriesContainer = document.getElementById('setting-categories');
+        categoriesContainer.innerHTML = '';
+        this.gameState.locationCategories.forEach(category => {
+            const labelElement = document.createElement('label');
+            labelElement.className = 'category-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = category;
+            checkbox.checked = settings.categories.includes(category);
+            checkbox.disabled = !isHost;
+            checkbox.addEventListener('change', () => {
+                const selected = Array.from(categoriesContainer.querySelectorAll('input:checked'))
+                    .map(input => input.value);
+                this.updateSetting('categories', selected);
+            });
+
+            labelElement.appendChild(checkbox);
+            labelElement.appendChild(document.createTextNode(` ${category}`));
+            categoriesContainer.appendChild(labelElement);
+        });
+
+        this.renderCustomPacks();
+    }
+
+    // List the room's custom packs; the host also gets the pack editor
+    renderCustomPacks() {
+        const isHost = this.gameState.isHost;
+        const packs = this.gameState.customPacks || [];
+        const list = document.getElementById('custom-pack-list');
+        list.innerHTML = '';
+
+        if (packs.length === 0) {
+            list.textContent = isHost ? 'Make your own pack below.' : 'None yet';
+        }
+
+        packs.forEach(pack => {
+            const packElement = document.createElement('div');
+            packElement.className = 'custom-pack';
+
+            const nameElement = document.createElement('span');
+            nameElement.textContent = `${pack.name} (${pack.locationCount} locations)`;
+            packElement.appendChild(nameElement);
+
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'player-action-btn';
+            copyBtn.textContent = '📋 Copy Code';
+            copyBtn.addEventListener('click', () => this.copyPackCode(pack));
+            packElement.appendChild(copyBtn);
+
+            if (isHost) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'player-action-btn';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => {
+                    this.socket.emit('removeLocationPack', pack.name);
+                });
+                packElement.appendChild(removeBtn);
+            }
+
+            list.appendChild(packElement);
+        });
+
+        document.getElementById('custom-pack-editor').classList.toggle('hidden', !isHost);
+    }
+
+    // Build a pack from the lobby form: one location per line, optional roles after a colon
+    saveCustomPack() {
+        const nameInput = document.getElementById('pack-name');
+        const locationsInput = document.getElementById('pack-locations');
+
+        const locations = locationsInput.value.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [name, roles = ''] = line.split(':');
+                return {
+                    name: name.trim(),
+                    roles: roles.split(',').map(role => role.trim()).filter(Boolean)
+                };
+            });
+
+        this.socket.emit('addLocationPack', { name: nameInput.value.trim(), locations });
+        nameInput.value = '';
+        locationsInput.value = '';
+    }
+
+    // Send an uploaded JSON pack file; the server validates it like any other pack
+    async uploadCustomPack(file) {
+        if (file.size > 100 * 1024) {
+            this.showError('Pack files must be under 100 KB');
+            return;
+        }
+
+        try {
+            this.socket.emit('addLocationPack', JSON.parse(await file.text()));
+        } catch (error) {
+            this.showError('That file is not a valid JSON pack');
+        }
+    }
+
+    importCustomPack() {
+        const codeInput = document.getElementById('pack-code');
+        const code = codeInput.value.trim();
+        if (!code) return;
+
+        this.socket.emit('addLocationPack', { code });
+        codeInput.value = '';
+    }
+
+    copyPackCode(pack) {
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(pack.code)
+                .then(() => this.showNotification(`Code for "${pack.name}" copied`))
+                .catch(() => prompt('Copy this pack code:', pack.code));
+        } else {
+            prompt('Copy this pack code:', pack.code);
+        }
+    }
+
+    // Send a settings change to the server
+    updateSetting(key, value) {
+        if (this.gameState.isHost) {
+            this.socket.emit('updateSettings', { [key]: value });
+        }
     }
 
     // Update players display in lobby
@@ -602,7 +1229,11 @@ class SpyfallGame {
         const playersContainer = document.getElementById('players-list');
         const playerCount = document.getElementById('player-count');
 
+        const maxPlayers = this.gameState.settings ? this.gameState.settings.maxPlayers : 15;
+
         playerCount.textContent = this.gameState.players.length;
+        document.getElementById('player-limit').textContent = maxPlayers;
+        this.updateSpectatorInfo();
 
         playersContainer.innerHTML = '';
         this.gameState.players.forEach(player => {
@@ -628,6 +1259,18 @@ class SpyfallGame {
                 statusElement.appendChild(hostBadge);
             }
 
+            if (player.isBot) {
+                statusElement.appendChild(this.createBotBadge());
+            }
+
+            if (player.deviceOwnerId) {
+                statusElement.appendChild(this.createDeviceBadge(player));
+            }
+
+            if (player.isMuted) {
+                statusElement.appendChild(this.createMutedBadge());
+            }
+
             // Show connection status
             if (player.isConnected === false) {
                 const disconnectedBadge = document.createElement('span');
@@ -638,57 +1281,202 @@ class SpyfallGame {
 
             playerElement.appendChild(nameElement);
             playerElement.appendChild(statusElement);
+
+            // Host tools for everyone else in the room; players can take back their own phone
+            const isOnMyPhone = player.deviceOwnerId && player.deviceOwnerId === this.gameState.playerId;
+            if ((this.gameState.isHost && player.id !== this.gameState.playerId) || isOnMyPhone) {
+                playerElement.appendChild(this.createPlayerActions(player));
+            }
+
             playersContainer.appendChild(playerElement);
         });
 
+        const canShareDevice = this.isInPerson() && !this.gameState.isSpectator;
+        document.getElementById('device-seats').classList.toggle('hidden', !canShareDevice);
+
         // Update start button if host
         if (this.gameState.isHost) {
             const startBtn = document.getElementById('start-game-btn');
-            startBtn.disabled = this.gameState.players.length < 4 || this.gameState.players.length > 15;
+            startBtn.disabled = this.gameState.players.length < 4 || this.gameState.players.length > maxPlayers;
         }
     }
 
-    // Start the game
-    startGame() {
-        if (this.gameState.isHost) {
-            this.socket.emit('startGame');
-        }
+    createDeviceBadge(player) {
+        const owner = this.gameState.players.find(candidate => candidate.id === player.deviceOwnerId);
+        const deviceBadge = document.createElement('span');
+        deviceBadge.className = 'bot-badge device-badge';
+        deviceBadge.textContent = '📱 SHARED';
+        deviceBadge.title = owner ? `Plays on ${owner.name}'s phone` : 'Plays on a shared phone';
+        return deviceBadge;
     }
 
-    // Show game screen
-    showGame() {
-        this.switchScreen('game');
+    createMutedBadge() {
+        const mutedBadge = document.createElement('span');
+        mutedBadge.className = 'bot-badge muted-badge';
+        mutedBadge.textContent = '🔇 MUTED';
+        return mutedBadge;
+    }
 
-        // Update room code
-        document.getElementById('game-room-code').textContent = this.gameState.roomCode;
+    createBotBadge() {
+        const botBadge = document.createElement('span');
+        botBadge.className = 'bot-badge';
+        botBadge.textContent = '🤖 BOT';
+        return botBadge;
+    }
 
-        // Update role card
-        const roleCard = document.getElementById('role-card');
+    // Make host / kick / ban buttons for one player in the lobby list
+    createPlayerActions(player) {
+        const actions = document.createElement('span');
+        actions.className = 'player-actions';
+
+        const addAction = (label, title, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'player-action-btn';
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+
+        // Bots can only be removed
+        if (player.isBot) {
+            addAction('Remove', `Remove the bot ${player.name}`, () => {
+                this.socket.emit('kickPlayer', player.id);
+            });
+            return actions;
+        }
+
+        // So can players on a shared phone, by the host or the phone's owner
+        if (player.deviceOwnerId) {
+            addAction('Remove', `Remove ${player.name} from the room`, () => {
+                this.socket.emit('removeDeviceSeat', player.id);
+            });
+            return actions;
+        }
+
+        if (player.isConnected !== false) {
+            addAction('👑', `Make ${player.name} the host`, () => {
+                this.socket.emit('transferHost', player.id);
+            });
+        }
+        addAction(player.isMuted ? 'Unmute' : 'Mute', `${player.isMuted ? 'Let' : 'Stop'} ${player.name} chat${player.isMuted ? '' : 'ting'}`, () => {
+            this.socket.emit('mutePlayer', { targetId: player.id, muted: !player.isMuted });
+        });
+        addAction('Kick', `Remove ${player.name} from the room`, () => {
+            this.socket.emit('kickPlayer', player.id);
+        });
+        addAction('Ban', `Remove ${player.name} and stop them rejoining`, () => {
+            if (confirm(`Ban ${player.name} from this room?`)) {
+                this.socket.emit('banPlayer', player.id);
+            }
+        });
+
+        return actions;
+    }
+
+    // Seat someone without a phone on this one (in-person rooms)
+    addDeviceSeat() {
+        const input = document.getElementById('device-seat-name');
+        const name = input.value.trim();
+
+        if (name.length < 2) {
+            this.showError('Player name must be at least 2 characters');
+            return;
+        }
+
+        this.socket.emit('addDeviceSeat', name);
+        input.value = '';
+    }
+
+    isInPerson() {
+        return Boolean(this.gameState.settings && this.gameState.settings.inPerson);
+    }
+
+    isMySeat(playerId) {
+        return (this.gameState.deviceSeats || []).some(seat => seat.id === playerId);
+    }
+
+    // Start the game
+    startGame() {
+        if (this.gameState.isHost) {
+            this.socket.emit('startGame');
+        }
+    }
+
+    // Show game screen
+    showGame(chatHistory = []) {
+        this.switchScreen('game');
+
+        // Update room code and round progress
+        document.getElementById('game-room-code').textContent = this.gameState.roomCode;
+        if (this.gameState.match) {
+            document.getElementById('game-round').textContent = this.gameState.match.round;
+            document.getElementById('game-total-rounds').textContent = this.gameState.match.totalRounds;
+        }
+
+        // Update role card
+        this.updateRoleCard();
+        if (this.gameState.role === 'spy') {
+            this.populateLocationSelect();
+        }
+
+        // Update players list
+        this.updateGamePlayersList();
+        this.renderLocationBoard();
+
+        // Initialize chat (read-only for spectators, and when the host turned free chat off;
+        // hidden unless question turns still need it to show questions and answers)
+        const chatEnabled = !this.gameState.settings || (this.gameState.settings.chatEnabled && !this.isInPerson());
+        document.getElementById('chat-section').classList.toggle('hidden', !chatEnabled && !this.gameState.questionTurn);
+        document.getElementById('chat-input-section').classList.toggle('hidden', this.gameState.isSpectator || !chatEnabled);
+        this.initializeChat(chatHistory);
+        this.updateQuestionTurn();
+        this.updateInPersonPanel();
+        this.updateSpectatorInfo();
+
+        // Start timer
+        this.updateTimer();
+    }
+
+    // Show the player's role, location and occupation
+    updateRoleCard() {
+        const roleCard = document.getElementById('role-card');
         const roleDisplay = document.getElementById('role-display');
         const locationDisplay = document.getElementById('location-display');
 
-        if (this.gameState.role === 'spy') {
+        if (this.gameState.isSpectator) {
+            roleCard.className = 'role-card role-spectator';
+            roleDisplay.textContent = '👀 You are SPECTATING';
+            locationDisplay.innerHTML = '<div class="location-info">The location and spies are revealed when the round ends</div>';
+            document.getElementById('spy-guess-section').classList.add('hidden');
+        } else if (this.gameState.role === 'spy') {
             roleCard.className = 'role-card role-spy';
             roleDisplay.textContent = '🕵️ You are the SPY';
-            locationDisplay.innerHTML = '<div class="location-info">Find out the location!</div>';
 
-            // Show spy guess section
-            document.getElementById('spy-guess-section').classList.remove('hidden');
-            this.populateLocationSelect();
+            if (this.gameState.isCaught) {
+                locationDisplay.innerHTML = '<div class="location-info">You have been exposed!</div>';
+            } else {
+                locationDisplay.innerHTML = '<div class="location-info">Find out the location!</div>';
+            }
+
+            if (this.gameState.fellowSpies && this.gameState.fellowSpies.length > 0) {
+                const names = this.gameState.fellowSpies.map(spy => this.escapeHtml(spy.name)).join(', ');
+                locationDisplay.innerHTML += `<div class="occupation-info">Fellow spies: ${names}</div>`;
+            }
+
+            // Show spy guess section while this spy is still in play
+            document.getElementById('spy-guess-section').classList.toggle('hidden', this.gameState.isCaught);
         } else {
             roleCard.className = 'role-card role-nonspy';
             roleDisplay.textContent = '🔍 You are a NON-SPY';
-            locationDisplay.innerHTML = `<div class="location-info">Location: ${this.gameState.location}</div>`;
+            document.getElementById('spy-guess-section').classList.add('hidden');
+            locationDisplay.innerHTML = `<div class="location-info">Location: ${this.escapeHtml(this.gameState.location)}</div>`;
+            if (this.gameState.occupation) {
+                locationDisplay.innerHTML += `<div class="occupation-info">Your occupation: ${this.escapeHtml(this.gameState.occupation)}</div>`;
+            }
         }
 
-        // Update players list
-        this.updateGamePlayersList();
-
-        // Initialize chat
-        this.initializeChat();
-
-        // Start timer
-        this.updateTimer();
+        this.updateAccuseButton();
     }
 
     // Populate location select for spy
@@ -704,11 +1492,111 @@ class SpyfallGame {
         });
     }
 
+    // Every location in play, grouped by category. Players cross locations out or star
+    // them; the spy can guess straight from the board.
+    renderLocationBoard() {
+        const container = document.getElementById('location-board-groups');
+        container.innerHTML = '';
+
+        const board = this.gameState.locationBoard || [];
+        document.getElementById('location-board').classList.toggle('hidden', board.length === 0);
+        const canGuess = this.gameState.role === 'spy' && !this.gameState.isCaught && !this.gameState.isSpectator;
+
+        board.forEach(group => {
+            const groupElement = document.createElement('div');
+            groupElement.className = 'board-category';
+
+            const heading = document.createElement('h4');
+            heading.textContent = group.category;
+            groupElement.appendChild(heading);
+
+            const grid = document.createElement('div');
+            grid.className = 'board-locations';
+
+            group.locations.forEach(location => {
+                const mark = this.gameState.locationMarks[location];
+                const tile = document.createElement('div');
+                tile.className = mark ? `board-location ${mark}` : 'board-location';
+                tile.addEventListener('click', () => this.cycleLocationMark(location));
+
+                const name = document.createElement('span');
+                name.textContent = location;
+                tile.appendChild(name);
+
+                if (canGuess && mark !== 'crossed') {
+                    const guessButton = document.createElement('button');
+                    guessButton.className = 'board-guess-btn';
+                    guessButton.textContent = '🎯';
+                    guessButton.title = `Guess ${location}`;
+                    guessButton.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        if (confirm(`Guess ${location}? A wrong guess exposes you.`)) {
+                            this.socket.emit('spyGuess', location);
+                        }
+                    });
+                    tile.appendChild(guessButton);
+                }
+
+                grid.appendChild(tile);
+            });
+
+            groupElement.appendChild(grid);
+            container.appendChild(groupElement);
+        });
+    }
+
+    // No mark -> crossed out -> starred -> no mark
+    cycleLocationMark(location) {
+        const marks = { ...this.gameState.locationMarks };
+        if (!marks[location]) {
+            marks[location] = 'crossed';
+        } else if (marks[location] === 'crossed') {
+            marks[location] = 'starred';
+        } else {
+            delete marks[location];
+        }
+        this.setLocationMarks(marks);
+        this.renderLocationBoard();
+    }
+
+    // Marks belong to the current round; a new round starts them over
+    setLocationMarks(marks) {
+        this.gameState.locationMarks = marks;
+        try {
+            this.saveRoundData(this.STORAGE_KEYS.LOCATION_MARKS, marks);
+        } catch (e) {
+            console.warn('Failed to save location marks to localStorage:', e);
+        }
+    }
+
+    loadLocationMarks() {
+        try {
+            return this.loadRoundData(this.STORAGE_KEYS.LOCATION_MARKS);
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Saved under the room code and tagged with the round, so a player who missed the start
+    // of a round doesn't get an earlier round's data back when they reconnect
+    saveRoundData(key, data) {
+        const round = this.gameState.match ? this.gameState.match.startedAt : null;
+        localStorage.setItem(`${key}_${this.gameState.roomCode}`, JSON.stringify({ round, data }));
+    }
+
+    loadRoundData(key) {
+        const round = this.gameState.match ? this.gameState.match.startedAt : null;
+        const stored = JSON.parse(localStorage.getItem(`${key}_${this.gameState.roomCode}`));
+        return stored && stored.round === round && stored.data ? stored.data : {};
+    }
+
     // Update game players list
     updateGamePlayersList() {
         const playersContainer = document.getElementById('game-players-list');
         playersContainer.innerHTML = '';
 
+        const turn = this.gameState.questionTurn;
+
         this.gameState.players.forEach(player => {
             const playerElement = document.createElement('div');
             playerElement.className = 'player-item';
@@ -717,39 +1605,541 @@ class SpyfallGame {
             nameElement.className = 'player-name';
             nameElement.textContent = player.name;
 
+            const notes = this.gameState.suspicionNotes[player.id];
+            if (notes && notes.note) {
+                const noteElement = document.createElement('span');
+                noteElement.className = 'suspicion-note';
+                noteElement.textContent = notes.note;
+                nameElement.appendChild(noteElement);
+            }
+
             const statusElement = document.createElement('span');
             statusElement.className = 'player-status';
             if (player.isHost) {
                 statusElement.textContent = 'HOST';
             }
 
+            // Highlight whoever holds the question turn
+            if (turn && player.id === turn.targetId) {
+                playerElement.classList.add('on-the-spot');
+                statusElement.appendChild(this.createTurnBadge('ANSWERING'));
+            } else if (turn && player.id === turn.askerId) {
+                playerElement.classList.add('asking');
+                statusElement.appendChild(this.createTurnBadge('ASKING'));
+            }
+
+            if (player.isBot) {
+                statusElement.appendChild(this.createBotBadge());
+            }
+
+            if (player.isCaught) {
+                const caughtBadge = document.createElement('span');
+                caughtBadge.className = 'caught-badge';
+                caughtBadge.textContent = 'SPY';
+                statusElement.appendChild(caughtBadge);
+            }
+
+            if (player.isMuted) {
+                statusElement.appendChild(this.createMutedBadge());
+            }
+
             playerElement.appendChild(nameElement);
             playerElement.appendChild(statusElement);
+            if (player.id !== this.gameState.playerId) {
+                playerElement.appendChild(this.createSuspicionActions(player));
+            }
+            if (player.id !== this.gameState.playerId && !player.isBot && !player.deviceOwnerId) {
+                playerElement.appendChild(this.createChatActions(player));
+            }
+            if (this.gameState.isHost && player.id !== this.gameState.playerId) {
+                playerElement.appendChild(this.createRemoveActions(player));
+            }
             playersContainer.appendChild(playerElement);
         });
     }
 
+    // Tag a player with how suspicious they seem, and jot a note; only this device sees either
+    createSuspicionActions(player) {
+        const actions = document.createElement('span');
+        actions.className = 'player-actions';
+
+        const notes = this.gameState.suspicionNotes[player.id] || {};
+        const current = SUSPICION_LEVELS.find(entry => entry.level === notes.level);
+
+        const levelButton = document.createElement('button');
+        levelButton.className = 'player-action-btn';
+        levelButton.textContent = current ? current.icon : '🏷️';
+        levelButton.title = current ? `${current.label} - tap to change` : `Tag ${player.name}`;
+        levelButton.addEventListener('click', () => {
+            const next = SUSPICION_LEVELS[SUSPICION_LEVELS.indexOf(current) + 1];
+            this.updateSuspicionNotes(player.id, { level: next ? next.level : null });
+        });
+        actions.appendChild(levelButton);
+
+        const noteButton = document.createElement('button');
+        noteButton.className = 'player-action-btn';
+        noteButton.textContent = '📝';
+        noteButton.title = `Note about ${player.name}`;
+        noteButton.addEventListener('click', () => {
+            const note = prompt(`Note about ${player.name} (only you see this):`, notes.note || '');
+            if (note !== null) {
+                this.updateSuspicionNotes(player.id, { note: note.trim().substring(0, MAX_SUSPICION_NOTE_LENGTH) });
+            }
+        });
+        actions.appendChild(noteButton);
+
+        return actions;
+    }
+
+    // One line about a player for the voting screen: their tag and note, if any
+    describeSuspicion(playerId) {
+        const notes = this.gameState.suspicionNotes[playerId];
+        if (!notes) return '';
+
+        const level = SUSPICION_LEVELS.find(entry => entry.level === notes.level);
+        return [level ? `${level.icon} ${level.label}` : '', notes.note || ''].filter(Boolean).join(' - ');
+    }
+
+    updateSuspicionNotes(playerId, changes) {
+        const notes = { ...this.gameState.suspicionNotes };
+        const updated = { ...notes[playerId], ...changes };
+        if (updated.level || updated.note) {
+            notes[playerId] = updated;
+        } else {
+            delete notes[playerId];
+        }
+        this.setSuspicionNotes(notes);
+        this.updateGamePlayersList();
+    }
+
+    // Notes belong to the current round, like the location board's marks
+    setSuspicionNotes(notes) {
+        this.gameState.suspicionNotes = notes;
+        try {
+            this.saveRoundData(this.STORAGE_KEYS.SUSPICION_NOTES, notes);
+        } catch (e) {
+            console.warn('Failed to save suspicion notes to localStorage:', e);
+        }
+    }
+
+    loadSuspicionNotes() {
+        try {
+            return this.loadRoundData(this.STORAGE_KEYS.SUSPICION_NOTES);
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Hide a player's chat on this device; the host can also mute them for everyone
+    createChatActions(player) {
+        const actions = document.createElement('span');
+        actions.className = 'player-actions';
+
+        const isHidden = this.getHiddenPlayers().has(player.id);
+        const hideButton = document.createElement('button');
+        hideButton.className = 'player-action-btn';
+        hideButton.textContent = isHidden ? 'Show' : 'Hide';
+        hideButton.title = isHidden ? `Show ${player.name}'s messages again` : `Hide ${player.name}'s messages on this device`;
+        hideButton.addEventListener('click', () => this.setPlayerHidden(player.id, !isHidden));
+        actions.appendChild(hideButton);
+
+        if (this.gameState.isHost) {
+            const muteButton = document.createElement('button');
+            muteButton.className = 'player-action-btn';
+            muteButton.textContent = player.isMuted ? 'Unmute' : 'Mute';
+            muteButton.addEventListener('click', () => {
+                this.socket.emit('mutePlayer', { targetId: player.id, muted: !player.isMuted });
+            });
+            actions.appendChild(muteButton);
+        }
+
+        return actions;
+    }
+
+    // Host tools mid-round: the round carries on without whoever is removed
+    createRemoveActions(player) {
+        const actions = document.createElement('span');
+        actions.className = 'player-actions';
+
+        const kickButton = document.createElement('button');
+        kickButton.className = 'player-action-btn';
+        kickButton.textContent = player.isBot || player.deviceOwnerId ? 'Remove' : 'Kick';
+        kickButton.title = `Remove ${player.name} from the room`;
+        kickButton.addEventListener('click', () => {
+            if (confirm(`Remove ${player.name} from the room? The round carries on without them.`)) {
+                this.socket.emit('kickPlayer', player.id);
+            }
+        });
+        actions.appendChild(kickButton);
+
+        if (!player.isBot && !player.deviceOwnerId) {
+            const banButton = document.createElement('button');
+            banButton.className = 'player-action-btn';
+            banButton.textContent = 'Ban';
+            banButton.title = `Remove ${player.name} and stop them rejoining`;
+            banButton.addEventListener('click', () => {
+                if (confirm(`Ban ${player.name} from this room?`)) {
+                    this.socket.emit('banPlayer', player.id);
+                }
+            });
+            actions.appendChild(banButton);
+        }
+
+        return actions;
+    }
+
+    getHiddenPlayers() {
+        try {
+            const stored = localStorage.getItem(`${this.STORAGE_KEYS.HIDDEN_PLAYERS}_${this.gameState.roomCode}`);
+            return new Set(stored ? JSON.parse(stored) : []);
+        } catch (e) {
+            return new Set();
+        }
+    }
+
+    setPlayerHidden(playerId, hidden) {
+        const hiddenPlayers = this.getHiddenPlayers();
+        if (hidden) {
+            hiddenPlayers.add(playerId);
+        } else {
+            hiddenPlayers.delete(playerId);
+        }
+
+        try {
+            localStorage.setItem(`${this.STORAGE_KEYS.HIDDEN_PLAYERS}_${this.gameState.roomCode}`, JSON.stringify([...hiddenPlayers]));
+        } catch (e) {
+            console.warn('Failed to save hidden players to localStorage:', e);
+        }
+
+        document.querySelectorAll('#chat-messages .chat-message').forEach(element => {
+            if (element.dataset.playerId === playerId) {
+                element.classList.toggle('hidden', hidden);
+            }
+        });
+        this.updateGamePlayersList();
+    }
+
+    // In-person rooms: big buttons, no chat, and the table timer and pass-the-device tools
+    updateInPersonPanel() {
+        const inPerson = this.isInPerson();
+        document.body.classList.toggle('in-person', inPerson);
+        document.getElementById('in-person-panel').classList.toggle('hidden', !inPerson);
+
+        const questioner = this.gameState.firstQuestioner;
+        const isMe = questioner && questioner.id === this.gameState.playerId;
+        document.getElementById('first-questioner').textContent = questioner
+            ? `🎤 ${isMe ? 'You ask' : `${questioner.name} asks`} the first question`
+            : '';
+        document.getElementById('table-timer-questioner').textContent = questioner
+            ? `🎤 ${questioner.name} asks the first question`
+            : '';
+        document.getElementById('table-timer-round').textContent = this.gameState.match ? this.gameState.match.round : 1;
+
+        const hasSeats = (this.gameState.deviceSeats || []).length > 0;
+        document.getElementById('pass-device-btn').classList.toggle('hidden', !hasSeats);
+    }
+
+    closeOverlays() {
+        document.getElementById('table-timer').classList.add('hidden');
+        document.getElementById('pass-device').classList.add('hidden');
+        this.renderSeatRole(null);
+    }
+
+    showPassDeviceStep(stepId) {
+        ['pass-device-list', 'pass-device-handoff', 'pass-device-reveal'].forEach(id => {
+            document.getElementById(id).classList.toggle('hidden', id !== stepId);
+        });
+    }
+
+    // Pick who gets the phone next
+    showPassDevice() {
+        const container = document.getElementById('pass-device-seats');
+        container.innerHTML = '';
+
+        this.gameState.deviceSeats.forEach(seat => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary pass-device-seat';
+            button.textContent = seat.name;
+            button.addEventListener('click', () => {
+                this.revealingSeat = seat;
+                document.getElementById('pass-device-handoff-title').textContent = `Hand the phone to ${seat.name}`;
+                this.showPassDeviceStep('pass-device-handoff');
+            });
+            container.appendChild(button);
+        });
+
+        this.revealingSeat = null;
+        this.renderSeatRole(null);
+        this.showPassDeviceStep('pass-device-list');
+        document.getElementById('pass-device').classList.remove('hidden');
+    }
+
+    // The role card for whoever holds the phone; cleared as soon as they hide it
+    renderSeatRole(seat) {
+        const card = document.getElementById('seat-role-card');
+        const guessSection = document.getElementById('seat-guess');
+        card.innerHTML = '';
+        guessSection.classList.add('hidden');
+        if (!seat) return;
+
+        const current = this.gameState.players.find(player => player.id === seat.id);
+        const isCaught = Boolean(current && current.isCaught);
+
+        if (seat.role === 'spy') {
+            card.className = 'role-card role-spy';
+            card.innerHTML = `
+                <div class="role-header">${this.escapeHtml(seat.name)}</div>
+                <div class="seat-role-display">🕵️ You are the SPY</div>
+                <div class="location-info">${isCaught ? 'You have been exposed!' : 'Find out the location!'}</div>
+            `;
+            if (seat.fellowSpies.length > 0) {
+                const names = seat.fellowSpies.map(spy => this.escapeHtml(spy.name)).join(', ');
+                card.innerHTML += `<div class="occupation-info">Fellow spies: ${names}</div>`;
+            }
+
+            // A spy sharing the phone guesses privately, while they hold it
+            if (!isCaught && !seat.hasGuessed) {
+                const select = document.getElementById('seat-location-guess');
+                select.innerHTML = '<option value="">Select location...</option>';
+                this.gameState.locations.forEach(location => {
+                    const option = document.createElement('option');
+                    option.value = location;
+                    option.textContent = location;
+                    select.appendChild(option);
+                });
+                guessSection.classList.remove('hidden');
+            }
+        } else {
+            card.className = 'role-card role-nonspy';
+            card.innerHTML = `
+                <div class="role-header">${this.escapeHtml(seat.name)}</div>
+                <div class="seat-role-display">🔍 You are a NON-SPY</div>
+                <div class="location-info">Location: ${this.escapeHtml(seat.location)}</div>
+                <div class="occupation-info">Your occupation: ${this.escapeHtml(seat.occupation || '')}</div>
+            `;
+        }
+    }
+
+    submitSeatGuess() {
+        const location = document.getElementById('seat-location-guess').value;
+        if (!location || !this.revealingSeat) {
+            this.showError('Please select a location');
+            return;
+        }
+
+        this.socket.emit('seatAction', { seatId: this.revealingSeat.id, type: 'spyGuess', location });
+        this.revealingSeat.hasGuessed = true;
+        this.showPassDevice();
+    }
+
+    createTurnBadge(text) {
+        const badge = document.createElement('span');
+        badge.className = 'turn-badge';
+        badge.textContent = text;
+        return badge;
+    }
+
+    // Show who asks and who answers, with the ask or answer form for whoever's turn it is
+    updateQuestionTurn() {
+        const turn = this.gameState.questionTurn;
+        const panel = document.getElementById('question-turn');
+        const askForm = document.getElementById('ask-question-form');
+        const answerForm = document.getElementById('answer-question-form');
+        const status = document.getElementById('question-turn-status');
+
+        panel.classList.toggle('hidden', !turn);
+        if (!turn) return;
+
+        const myId = this.gameState.playerId;
+        const isAsking = !this.gameState.isSpectator && turn.askerId === myId && !turn.targetId;
+        const isAnswering = !this.gameState.isSpectator && turn.targetId === myId;
+
+        if (!turn.targetId) {
+            status.textContent = isAsking ? 'Your turn: pick someone and ask them a question' : `${turn.askerName} is choosing who to ask...`;
+        } else {
+            const asker = turn.askerId === myId ? 'You' : turn.askerName;
+            const target = isAnswering ? 'you' : turn.targetName;
+            status.textContent = `${asker} asked ${target}: "${turn.question}"`;
+        }
+
+        askForm.classList.toggle('hidden', !isAsking);
+        answerForm.classList.toggle('hidden', !isAnswering);
+
+        if (isAsking) {
+            this.populateQuestionTargets(turn);
+        }
+    }
+
+    // Everyone still in the round except the asker; whoever just asked can't be asked back
+    // unless they are the only choice
+    populateQuestionTargets(turn) {
+        const select = document.getElementById('question-target');
+        const candidates = this.gameState.players.filter(player => player.id !== this.gameState.playerId && !player.isCaught);
+        const canAskBack = candidates.every(player => player.id === turn.noAskBackId);
+        select.innerHTML = '<option value="">Ask who?</option>';
+
+        candidates.forEach(player => {
+            const option = document.createElement('option');
+            option.value = player.id;
+            option.textContent = player.name;
+            if (player.id === turn.noAskBackId && !canAskBack) {
+                option.disabled = true;
+                option.textContent += ' (no asking back)';
+            }
+            select.appendChild(option);
+        });
+    }
+
+    askQuestion() {
+        const targetId = document.getElementById('question-target').value;
+        const input = document.getElementById('question-input');
+        const question = input.value.trim();
+
+        if (!targetId) {
+            this.showError('Pick someone to ask');
+            return;
+        }
+
+        if (!question) {
+            return;
+        }
+
+        this.socket.emit('askQuestion', { targetId, question });
+        input.value = '';
+    }
+
+    answerQuestion() {
+        const input = document.getElementById('answer-input');
+        const answer = input.value.trim();
+
+        if (!answer) {
+            return;
+        }
+
+        this.socket.emit('answerQuestion', answer);
+        input.value = '';
+    }
+
+    // Start (or correct) the local countdown from a server timer snapshot
+    setTimer(timer) {
+        this.gameState.timer = timer;
+        this.timerEndsAt = timer.isPaused ? null : Date.now() + timer.remainingMs;
+
+        if (!this.timerInterval) {
+            this.timerInterval = setInterval(() => this.updateTimer(), 250);
+        }
+
+        this.updateTimer();
+        this.updatePauseControls();
+    }
+
+    stopTimer() {
+        clearInterval(this.timerInterval);
+        this.timerInterval = null;
+    }
+
+    getRemainingSeconds() {
+        const remainingMs = this.timerEndsAt === null
+            ? this.gameState.timer.remainingMs
+            : Math.max(0, this.timerEndsAt - Date.now());
+        return Math.ceil(remainingMs / 1000);
+    }
+
     // Update timer display
     updateTimer() {
         const timerElement = document.getElementById('game-timer');
-        const minutes = Math.floor(this.gameState.timer / 60);
-        const seconds = this.gameState.timer % 60;
+        const remaining = this.getRemainingSeconds();
+        const minutes = Math.floor(remaining / 60);
+        const seconds = remaining % 60;
 
         timerElement.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+        document.getElementById('table-timer-clock').textContent = timerElement.textContent;
 
         // Change color based on time remaining
-        if (this.gameState.timer <= 60) {
+        if (remaining <= 60) {
             timerElement.style.color = '#f44336'; // Red
-        } else if (this.gameState.timer <= 120) {
+        } else if (remaining <= 120) {
             timerElement.style.color = '#FF9800'; // Orange
         } else {
             timerElement.style.color = '#FF9800'; // Default orange
         }
+
+        const { pausedBy, waitingFor = [] } = this.gameState.timer;
+        let label = 'Time Remaining';
+        if (pausedBy === 'host') {
+            label = 'Paused';
+        } else if (pausedBy === 'disconnect') {
+            label = `Waiting for ${waitingFor.join(', ') || 'players'}`;
+        }
+        document.getElementById('timer-label').textContent = label;
+
+        // Play timer tick sound for last 10 seconds (once per second)
+        if (remaining !== this.lastTimerSecond) {
+            if (this.timerEndsAt !== null && remaining <= 10 && remaining > 0) {
+                this.playSound('timer');
+            }
+            this.lastTimerSecond = remaining;
+        }
+    }
+
+    // Host-only pause button; hidden while an accusation or the final phase holds the clock.
+    // Resuming while the room waits for dropped players carries on without them.
+    updatePauseControls() {
+        const pauseBtn = document.getElementById('pause-game-btn');
+        const timer = this.gameState.timer;
+        const canResume = this.isResumablePause();
+
+        pauseBtn.classList.toggle('hidden', !this.gameState.isHost || (timer.isPaused && !canResume));
+        pauseBtn.textContent = canResume ? '▶️ Resume' : '⏸️ Pause';
+    }
+
+    isResumablePause() {
+        const { pausedBy } = this.gameState.timer;
+        return pausedBy === 'host' || pausedBy === 'disconnect';
     }
 
-    // Call for vote
+    togglePause() {
+        if (this.gameState.isHost) {
+            this.socket.emit(this.isResumablePause() ? 'resumeGame' : 'pauseGame');
+        }
+    }
+
+    // Open the suspect picker for this round's accusation
     callVote() {
-        this.socket.emit('callVote');
+        if (this.gameState.hasAccused && this.gameState.deviceSeats.length === 0) {
+            this.showError('You have already made an accusation this round');
+            return;
+        }
+
+        this.showAccusationPicker(true);
+    }
+
+    // Submit an accusation against a suspect, for this player or someone sharing the phone
+    accusePlayer(suspectId) {
+        const accuseAs = document.getElementById('accuse-as');
+        const seatId = accuseAs.classList.contains('hidden') ? null : accuseAs.value;
+        if (seatId && seatId !== this.gameState.playerId) {
+            this.socket.emit('seatAction', { seatId, type: 'accusePlayer', suspectId });
+            return;
+        }
+
+        this.socket.emit('accusePlayer', suspectId);
+    }
+
+    // Submit a yes/no vote on the open accusation
+    castAccusationVote(approve) {
+        this.socket.emit('castAccusationVote', approve);
+        document.getElementById('accusation-vote').classList.add('hidden');
+        document.getElementById('voting-instruction').textContent = 'Vote submitted. Waiting for the others...';
+    }
+
+    updateAccuseButton() {
+        const accuseBtn = document.getElementById('call-vote-btn');
+        accuseBtn.classList.toggle('hidden', this.gameState.isSpectator);
+        // Players sharing this phone may still have their own accusation
+        const canAccuseForSeats = (this.gameState.deviceSeats || []).length > 0;
+        accuseBtn.disabled = (this.gameState.hasAccused || this.gameState.isCaught) && !canAccuseForSeats;
+        accuseBtn.textContent = this.gameState.hasAccused && !canAccuseForSeats ? 'Accusation Used' : 'Accuse Someone';
     }
 
     // Submit spy guess
@@ -765,44 +2155,163 @@ class SpyfallGame {
         this.socket.emit('spyGuess', guessedLocation);
     }
 
-    // Show voting screen
-    showVoting(players) {
+    // Who can accuse from this phone: the player, and anyone sharing it. `onlyId` narrows
+    // it down to one of them (a final accusation turn).
+    populateAccuseAs(onlyId = null) {
+        const select = document.getElementById('accuse-as');
+        const seats = this.gameState.deviceSeats || [];
+        select.innerHTML = '';
+        select.classList.toggle('hidden', seats.length === 0);
+        if (seats.length === 0) return;
+
+        const me = { id: this.gameState.playerId, name: `${this.gameState.playerName} (you)` };
+        [me, ...seats]
+            .filter(player => !onlyId || player.id === onlyId)
+            .forEach(player => {
+                const option = document.createElement('option');
+                option.value = player.id;
+                option.textContent = `Accusing as ${player.name}`;
+                select.appendChild(option);
+            });
+        select.disabled = Boolean(onlyId);
+    }
+
+    // Show the list of players that can be accused
+    showAccusationPicker(canCancel, accuserId = null) {
         this.switchScreen('voting');
+        this.populateAccuseAs(accuserId);
+        document.getElementById('seat-votes').classList.add('hidden');
 
-        const votingContainer = document.getElementById('voting-players-list');
-        const totalPlayersSpan = document.getElementById('total-players');
+        document.getElementById('voting-title').textContent = '🗳️ Accuse a Player';
+        document.getElementById('voting-instruction').textContent = 'Click on who you think is the Spy:';
+        document.getElementById('suspect-note').classList.add('hidden');
+        document.getElementById('accusation-vote').classList.add('hidden');
+        document.getElementById('voting-status').classList.add('hidden');
+        document.getElementById('cancel-accusation-btn').classList.toggle('hidden', !canCancel);
 
-        totalPlayersSpan.textContent = players.length;
+        const votingContainer = document.getElementById('voting-players-list');
         votingContainer.innerHTML = '';
+        votingContainer.classList.remove('hidden');
+
+        // With players sharing the phone, anyone but whoever is accusing can be picked
+        this.gameState.players
+            .filter(player => !player.isCaught && (player.id !== this.gameState.playerId || this.gameState.deviceSeats.length > 0))
+            .forEach(player => {
+                const playerElement = document.createElement('div');
+                playerElement.className = 'vote-player';
+                playerElement.dataset.playerId = player.id;
+
+                const nameElement = document.createElement('div');
+                nameElement.className = 'vote-player-name';
+                nameElement.textContent = player.name;
+
+                playerElement.appendChild(nameElement);
+
+                const suspicion = this.describeSuspicion(player.id);
+                if (suspicion) {
+                    const noteElement = document.createElement('div');
+                    noteElement.className = 'vote-player-note';
+                    noteElement.textContent = suspicion;
+                    playerElement.appendChild(noteElement);
+                }
 
-        players.forEach(player => {
-            const playerElement = document.createElement('div');
-            playerElement.className = 'vote-player';
-            playerElement.dataset.playerId = player.id;
+                playerElement.addEventListener('click', () => {
+                    playerElement.classList.add('voted');
+                    this.accusePlayer(player.id);
+                });
 
-            const nameElement = document.createElement('div');
-            nameElement.className = 'vote-player-name';
-            nameElement.textContent = player.name;
+                votingContainer.appendChild(playerElement);
+            });
+    }
 
-            playerElement.appendChild(nameElement);
+    // Show an open accusation and, if we have a say, the yes/no buttons
+    showAccusationVote(accusation, hasVoted, myVote = null) {
+        this.switchScreen('voting');
 
-            playerElement.addEventListener('click', () => {
-                // Remove previous vote highlight
-                document.querySelectorAll('.vote-player').forEach(el => {
-                    el.classList.remove('voted');
-                });
+        const playerId = this.gameState.playerId;
+        const isSuspect = accusation.suspectId === playerId;
+        const canVote = !hasVoted && !isSuspect && accusation.accuserId !== playerId &&
+            !this.gameState.isCaught && !this.gameState.isSpectator;
+
+        let instruction = `${accusation.accuserName} accuses ${accusation.suspectName}. Is ${accusation.suspectName} the spy?`;
+        if (isSuspect) {
+            instruction = `${accusation.accuserName} accuses you of being the spy! Everyone else is voting.`;
+        } else if (myVote !== null) {
+            instruction += ` You voted ${myVote ? 'yes' : 'no'}. Waiting for the others...`;
+        } else if (!canVote) {
+            instruction += ' Waiting for the others...';
+        }
+
+        document.getElementById('voting-title').textContent = accusation.isFinal ? '⏰ Final Accusation' : '⚖️ Accusation';
+        document.getElementById('voting-instruction').textContent = instruction;
+        const suspicion = isSuspect ? '' : this.describeSuspicion(accusation.suspectId);
+        document.getElementById('suspect-note').textContent = `Your notes on ${accusation.suspectName}: ${suspicion}`;
+        document.getElementById('suspect-note').classList.toggle('hidden', !suspicion);
+        document.getElementById('accuse-as').classList.add('hidden');
+        this.renderSeatVotes(accusation);
+        document.getElementById('voting-players-list').classList.add('hidden');
+        document.getElementById('cancel-accusation-btn').classList.add('hidden');
+        document.getElementById('accusation-vote').classList.toggle('hidden', !canVote);
+        document.getElementById('voting-status').classList.remove('hidden');
+        this.updateVotingStatus(accusation.votesSubmitted, accusation.totalVoters);
+    }
 
-                // Highlight selected player
-                playerElement.classList.add('voted');
+    // Yes/no buttons for each player sharing this phone who has a say in the accusation
+    renderSeatVotes(accusation) {
+        const container = document.getElementById('seat-votes');
+        container.innerHTML = '';
 
-                // Submit vote
-                this.socket.emit('submitVote', player.id);
+        const voters = (this.gameState.deviceSeats || []).filter(seat => {
+            const current = this.gameState.players.find(player => player.id === seat.id);
+            return current && !current.isCaught && seat.id !== accusation.suspectId && seat.id !== accusation.accuserId;
+        });
+        container.classList.toggle('hidden', voters.length === 0);
+
+        voters.forEach(seat => {
+            const row = document.createElement('div');
+            row.className = 'seat-vote';
+
+            const name = document.createElement('span');
+            name.className = 'seat-vote-name';
+            name.textContent = seat.name;
+            row.appendChild(name);
+
+            [[true, 'Yes', 'btn-primary'], [false, 'No', 'btn-danger']].forEach(([approve, label, style]) => {
+                const button = document.createElement('button');
+                button.className = `btn ${style}`;
+                button.textContent = label;
+                button.addEventListener('click', () => {
+                    this.socket.emit('seatAction', { seatId: seat.id, type: 'castAccusationVote', approve });
+                    row.innerHTML = `<span class="seat-vote-name">${this.escapeHtml(seat.name)}: vote submitted</span>`;
+                });
+                row.appendChild(button);
             });
 
-            votingContainer.appendChild(playerElement);
+            container.appendChild(row);
         });
     }
 
+    // After time runs out each player gets one turn to accuse
+    showAccusationTurn(turn) {
+        if (turn.playerId === this.gameState.playerId || this.isMySeat(turn.playerId)) {
+            const isMe = turn.playerId === this.gameState.playerId;
+            this.showAccusationPicker(false, turn.playerId);
+            document.getElementById('voting-title').textContent = `⏰ ${isMe ? 'Your' : `${turn.playerName}'s`} Final Accusation (${turn.turn}/${turn.totalTurns})`;
+            document.getElementById('voting-instruction').textContent = `Time's up! ${isMe ? 'You have' : `${turn.playerName} has`} ${turn.secondsToAccuse} seconds to accuse someone.`;
+            return;
+        }
+
+        this.switchScreen('voting');
+        document.getElementById('voting-title').textContent = `⏰ Final Accusations (${turn.turn}/${turn.totalTurns})`;
+        document.getElementById('voting-instruction').textContent = `Time's up! Waiting for ${turn.playerName} to accuse someone...`;
+        document.getElementById('accuse-as').classList.add('hidden');
+        document.getElementById('seat-votes').classList.add('hidden');
+        document.getElementById('voting-players-list').classList.add('hidden');
+        document.getElementById('accusation-vote').classList.add('hidden');
+        document.getElementById('cancel-accusation-btn').classList.add('hidden');
+        document.getElementById('voting-status').classList.add('hidden');
+    }
+
     // Update voting status
     updateVotingStatus(votesSubmitted, totalPlayers) {
         document.getElementById('votes-cast').textContent = votesSubmitted;
@@ -820,7 +2329,11 @@ class SpyfallGame {
 
         // Set location and spy info
         locationElement.textContent = result.location;
-        spyElement.textContent = result.spy.name;
+        document.getElementById('reveal-spy-label').textContent = result.spies.length === 1 ? 'Spy' : 'Spies';
+        spyElement.textContent = result.spies.map(spy => spy.name).join(', ');
+        this.renderRoleReveal(result.players);
+        this.renderVoteBreakdown(result.votes);
+        this.renderTimeline(result.log || []);
 
         // Determine result based on reason and current player's role
         let title = '';
@@ -861,6 +2374,17 @@ class SpyfallGame {
                 }
                 break;
 
+            case 'spy_left':
+                if (this.gameState.role === 'spy') {
+                    title = '😞 You Lost!';
+                    details = 'The last hidden spy left the game.';
+                } else {
+                    title = '🎉 You Won!';
+                    details = 'The spy left the game before being caught.';
+                    isWin = true;
+                }
+                break;
+
             case 'spy_wrong_guess':
                 if (this.gameState.role === 'spy') {
                     title = '😞 You Lost!';
@@ -873,18 +2397,13 @@ class SpyfallGame {
                 break;
 
             case 'timeout':
-                title = '⏰ Time\'s Up!';
-                details = 'The game ended because time ran out. No one wins!';
-                break;
-
-            case 'vote_tie':
                 if (this.gameState.role === 'spy') {
                     title = '🎉 You Won!';
-                    details = 'The vote ended in a tie! No one was accused, so you remain hidden.';
+                    details = 'Time ran out and no accusation stuck. You remain hidden!';
                     isWin = true;
                 } else {
                     title = '😞 You Lost!';
-                    details = 'The vote ended in a tie! No one was accused, so the spy wins.';
+                    details = 'Time ran out and no accusation was unanimous. The spy wins!';
                 }
                 break;
         }
@@ -892,12 +2411,218 @@ class SpyfallGame {
         titleElement.textContent = title;
         titleElement.className = isWin ? 'win-title' : 'lose-title';
         detailsElement.textContent = details;
+
+        // Spectators get a neutral summary instead of win/lose
+        if (this.gameState.isSpectator) {
+            titleElement.textContent = '🏁 Round Over';
+            titleElement.className = '';
+            detailsElement.textContent = this.describeResult(result.reason);
+        }
+
+        this.updateMatchControls(result.match);
+    }
+
+    // Show running scores and the buttons for the next step of the match
+    updateMatchControls(match) {
+        document.getElementById('results-round').textContent = match.round;
+        document.getElementById('results-total-rounds').textContent = match.totalRounds;
+        this.renderStandings(document.getElementById('match-standings'), match.standings, true);
+
+        const isHost = this.gameState.isHost;
+        document.getElementById('next-round-btn').classList.toggle('hidden', !isHost || match.isFinalRound);
+        document.getElementById('new-game-btn').classList.toggle('hidden', !isHost);
+        document.getElementById('view-standings-btn').classList.toggle('hidden', !match.isFinalRound);
+        document.getElementById('waiting-for-host').classList.toggle('hidden', isHost || match.isFinalRound);
+    }
+
+    // Render a ranked score list
+    renderStandings(container, standings, showRoundPoints) {
+        container.innerHTML = '';
+
+        standings.forEach((entry, index) => {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'standings-item';
+            if (entry.playerId === this.gameState.playerId) {
+                rowElement.classList.add('standings-self');
+            }
+
+            const rankElement = document.createElement('span');
+            rankElement.className = 'standings-rank';
+            rankElement.textContent = `#${index + 1}`;
+
+            const nameElement = document.createElement('span');
+            nameElement.className = 'standings-name';
+            nameElement.textContent = entry.name;
+
+            const scoreElement = document.createElement('span');
+            scoreElement.className = 'standings-score';
+            scoreElement.textContent = showRoundPoints && entry.roundPoints > 0
+                ? `${entry.score} pts (+${entry.roundPoints})`
+                : `${entry.score} pts`;
+
+            rowElement.appendChild(rankElement);
+            rowElement.appendChild(nameElement);
+            rowElement.appendChild(scoreElement);
+            container.appendChild(rowElement);
+        });
+    }
+
+    // Show the final standings after the last round of a match
+    showFinalStandings() {
+        if (!this.gameState.match) return;
+
+        this.switchScreen('standings');
+        this.renderStandings(document.getElementById('final-standings-list'), this.gameState.match.standings, false);
+        document.getElementById('new-match-btn').classList.toggle('hidden', !this.gameState.isHost);
+    }
+
+    // List every player's occupation on the results screen
+    renderRoleReveal(players) {
+        const rolesContainer = document.getElementById('reveal-roles');
+        rolesContainer.innerHTML = '';
+
+        players.forEach(player => {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'reveal-role-item';
+
+            const nameElement = document.createElement('span');
+            nameElement.className = 'reveal-role-name';
+            nameElement.textContent = player.name;
+
+            const roleElement = document.createElement('span');
+            roleElement.className = player.role === 'spy' ? 'reveal-role reveal-role-spy' : 'reveal-role';
+            roleElement.textContent = player.role === 'spy' ? 'Spy' : (player.occupation || 'Non-Spy');
+
+            rowElement.appendChild(nameElement);
+            rowElement.appendChild(roleElement);
+            rolesContainer.appendChild(rowElement);
+        });
+    }
+
+    // Per-player summary of accusations: who they accused and who voted against them
+    renderVoteBreakdown(votes) {
+        const container = document.getElementById('vote-breakdown');
+        container.innerHTML = '';
+
+        if (!votes || votes.accusations.length === 0) {
+            container.textContent = 'Nobody was accused this round.';
+            return;
+        }
+
+        votes.players.forEach(player => {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'vote-breakdown-item';
+
+            const nameElement = document.createElement('span');
+            nameElement.className = 'vote-breakdown-name';
+            nameElement.textContent = player.name;
+
+            const details = [];
+            if (player.accused.length > 0) {
+                details.push(`accused ${player.accused.join(', ')}`);
+            }
+            if (player.timesAccused > 0) {
+                const voters = player.votedAgainstBy.length > 0 ? ` (${player.votedAgainstBy.join(', ')})` : '';
+                details.push(`accused ${player.timesAccused}× - ${player.yesVotes} yes${voters}, ${player.noVotes} no`);
+            }
+
+            const detailsElement = document.createElement('span');
+            detailsElement.className = 'vote-breakdown-details';
+            detailsElement.textContent = details.length > 0 ? details.join(' · ') : 'no accusations';
+
+            rowElement.appendChild(nameElement);
+            rowElement.appendChild(detailsElement);
+            container.appendChild(rowElement);
+        });
+    }
+
+    // Everything that happened this round, oldest first
+    renderTimeline(events) {
+        const timeline = document.getElementById('round-timeline');
+        timeline.innerHTML = '';
+
+        const roundStart = events.length > 0 ? events[0].at : 0;
+        events.forEach(event => {
+            const description = this.describeLogEvent(event);
+            if (!description) return;
+
+            const itemElement = document.createElement('li');
+            itemElement.className = `timeline-item timeline-${event.type}`;
+
+            const timeElement = document.createElement('span');
+            timeElement.className = 'timeline-time';
+            const seconds = Math.floor((event.at - roundStart) / 1000);
+            timeElement.textContent = `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+
+            const textElement = document.createElement('span');
+            textElement.textContent = description;
+
+            itemElement.appendChild(timeElement);
+            itemElement.appendChild(textElement);
+            timeline.appendChild(itemElement);
+        });
+    }
+
+    // One line of the results timeline for a logged event
+    describeLogEvent(event) {
+        switch (event.type) {
+            case 'round_started':
+                return `Round ${event.round} started at ${event.location}`;
+            case 'round_paused':
+                return '⏸️ The host paused the round';
+            case 'round_resumed':
+                return '▶️ The host resumed the round';
+            case 'chat':
+                return `💬 ${event.playerName}: ${event.text}`;
+            case 'accusation_started':
+                return `👉 ${event.accuserName} accused ${event.suspectName}${event.isFinal ? ' (final accusation)' : ''}`;
+            case 'accusation_vote':
+                return `${event.playerName} voted ${event.approve ? 'yes' : 'no'}`;
+            case 'accusation_result':
+                return `The accusation against ${event.suspectName} ${event.passed ? 'passed' : 'failed'} (${event.yesVotes} yes, ${event.noVotes} no)`;
+            case 'final_accusations_started':
+                return "⏰ Time's up - final accusations began";
+            case 'final_accusation_skipped':
+                return `${event.playerName} did not accuse anyone in time`;
+            case 'spy_guess':
+                return `🕵️ ${event.playerName} guessed ${event.guess} - ${event.correct ? 'correct!' : 'wrong'}`;
+            case 'player_joined':
+                return `${event.playerName} joined`;
+            case 'player_left':
+                return `${event.playerName} ${{ timed_out: 'lost connection', kicked: 'was kicked', banned: 'was banned' }[event.reason] || 'left'}`;
+            case 'host_changed':
+                return `👑 ${event.playerName} is now the host`;
+            case 'round_ended':
+                return `🏁 ${this.describeResult(event.reason)}`;
+            default:
+                return null;
+        }
+    }
+
+    // Save the room's whole history as a JSON file
+    downloadGameLog(data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `spyfall-${data.roomCode}-log.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    // Start the next round of the current match
+    nextRound() {
+        if (this.gameState.isHost) {
+            this.socket.emit('startGame');
+        }
     }
 
-    // Start a new game (return to lobby)
+    // Start a new game (return everyone to the lobby)
     newGame() {
         if (this.gameState.isHost) {
-            this.showLobby();
+            this.socket.emit('returnToLobby');
         } else {
             this.showError('Only the host can start a new game');
         }
@@ -913,6 +2638,13 @@ class SpyfallGame {
     backToMenu() {
         // Clear session storage when intentionally leaving
         this.clearSessionStorage();
+        this.stopTimer();
+        this.lastSeenMessageId = 0;
+
+        // Spectators hold no seat, so stop watching right away
+        if (this.gameState.isSpectator) {
+            this.socket.emit('leaveRoom');
+        }
 
         this.gameState = {
             roomCode: null,
@@ -922,11 +2654,29 @@ class SpyfallGame {
             sessionStartTime: null,
             players: [],
             role: null,
+            occupation: null,
+            fellowSpies: [],
+            deviceSeats: [],
+            firstQuestioner: null,
+            questionTurn: null,
+            isCaught: false,
+            hasAccused: false,
             location: null,
-            timer: 480,
+            timer: { remainingMs: 480000, isPaused: true, pausedBy: null },
             locations: [],
+            locationBoard: [],
+            locationMarks: {},
+            suspicionNotes: {},
+            match: null,
+            settings: null,
+            locationCategories: [],
+            customPacks: [],
+            spectators: [],
+            isSpectator: false,
+            isLocked: false,
             isHost: false
         };
+        this.closeOverlays();
 
         // Reset form
         document.getElementById('player-name').value = '';
@@ -981,9 +2731,14 @@ class SpyfallGame {
             emptyState.remove();
         }
 
+        this.lastSeenMessageId = Math.max(this.lastSeenMessageId, message.id || 0);
+
         // Create message element
         const messageElement = document.createElement('div');
         messageElement.className = message.type === 'system' ? 'chat-message chat-system' : 'chat-message';
+        if (message.type === 'question' || message.type === 'answer') {
+            messageElement.classList.add(`chat-${message.type}`);
+        }
 
         // Add own message styling if it's from this player
         if (message.playerId === this.socket.id) {
@@ -1001,11 +2756,23 @@ class SpyfallGame {
                 minute: '2-digit'
             });
 
+            const sender = message.type === 'question'
+                ? `${message.playerName} → ${message.targetName}`
+                : message.playerName;
+
             messageElement.innerHTML = `
-                <div class="chat-sender">${this.escapeHtml(message.playerName)}</div>
+                <div class="chat-sender">${this.escapeHtml(sender)}</div>
                 <div class="chat-text">${this.escapeHtml(message.text)}</div>
                 <div class="chat-timestamp">${timestamp}</div>
             `;
+
+            messageElement.dataset.playerId = message.playerId;
+            if (this.getHiddenPlayers().has(message.playerId)) {
+                messageElement.classList.add('hidden');
+            }
+            if (message.playerId !== this.gameState.playerId) {
+                messageElement.querySelector('.chat-sender').prepend(this.createChatTools(message));
+            }
         }
 
         // Add to container
@@ -1021,14 +2788,42 @@ class SpyfallGame {
         }
     }
 
+    // Report and hide buttons on someone else's message
+    createChatTools(message) {
+        const tools = document.createElement('span');
+        tools.className = 'chat-tools';
+
+        if (!this.gameState.isSpectator) {
+            const reportButton = document.createElement('button');
+            reportButton.className = 'chat-tool-btn';
+            reportButton.textContent = '🚩';
+            reportButton.title = 'Report this message to the host';
+            reportButton.addEventListener('click', () => {
+                this.socket.emit('reportMessage', message.id);
+                reportButton.disabled = true;
+            });
+            tools.appendChild(reportButton);
+        }
+
+        const hideButton = document.createElement('button');
+        hideButton.className = 'chat-tool-btn';
+        hideButton.textContent = '🙈';
+        hideButton.title = `Hide ${message.playerName}'s messages on this device`;
+        hideButton.addEventListener('click', () => this.setPlayerHidden(message.playerId, true));
+        tools.appendChild(hideButton);
+
+        return tools;
+    }
+
     // Initialize chat when game starts
-    initializeChat() {
+    initializeChat(messages = []) {
         const messagesContainer = document.getElementById('chat-messages');
         messagesContainer.innerHTML = `
             <div class="chat-empty">
                 Start the conversation! Ask questions about the location.
             </div>
         `;
+        messages.forEach(message => this.addChatMessage(message));
     }
 
     // HTML escape utility
@@ -1048,6 +2843,26 @@ class SpyfallGame {
         }
     }
 
+    // Neutral description of how a round ended
+    describeResult(reason) {
+        switch (reason) {
+            case 'spy_caught':
+                return 'The non-spies caught every spy!';
+            case 'spy_guessed':
+                return 'The spy guessed the location!';
+            case 'innocent_accused':
+                return 'An innocent player was convicted. The spy wins!';
+            case 'spy_left':
+                return 'The spy left the game. The non-spies win!';
+            case 'spy_wrong_guess':
+                return 'The spy guessed the wrong location. The non-spies win!';
+            case 'timeout':
+                return 'Time ran out and no accusation was unanimous. The spy wins!';
+            default:
+                return 'The round is over.';
+        }
+    }
+
     // Determine if player won based on game result
     determineWinStatus(result) {
         switch (result.reason) {
@@ -1057,12 +2872,12 @@ class SpyfallGame {
                 return this.gameState.role === 'spy';
             case 'innocent_accused':
                 return this.gameState.role === 'spy';
+            case 'spy_left':
+                return this.gameState.role !== 'spy';
             case 'spy_wrong_guess':
                 return this.gameState.role !== 'spy';
             case 'timeout':
-                return false; // No one wins on timeout
-            case 'vote_tie':
-                return this.gameState.role === 'spy'; // Spy wins on tie
+                return this.gameState.role === 'spy';
             default:
                 return false;
         }
@@ -0,0 +1,1855 @@
+// Spyfall rules as a state machine with no networking in it.
+// A game is a plain object (see createGame). dispatch(game, action) applies one action and
+// returns the events it caused: { error } when the action was refused, { events } otherwise.
+//
+// States: lobby -> playing <-> accusing -> voting -> ended -> playing (next round) or lobby
+//   lobby     players gather, the host changes settings and location packs
+//   playing   the round clock runs; players chat, accuse, and spies may guess
+//   accusing  the clock is stopped while everyone votes on an accusation
+//   voting    the clock ran out; players take turns making one final accusation each
+//   ended     results are shown until the host starts the next round or returns to the lobby
+//
+// Events are {type, payload} messages for everyone in the room, with `to` set when only one
+// player should get it and `exceptActor` when the player who acted already knows. Two are
+// for the transport itself rather than the room:
+//   roundStarted  deal the round to each player (their payloads differ)
+//   seatReleased  {player, reason} left the game; drop whatever the transport keeps for them
+//
+// Nothing here sets timers. Actions carry `now` (the current time if left out), and
+// getPendingTimeouts says which actions the transport should dispatch later and when.
+const { LOCATION_CATEGORIES, LOCATIONS } = require('./locations');
+const { parseLocationPack, encodePackCode } = require('./locationPacks');
+const { sanitizeBlockedWords, censorText } = require('./moderation');
+const {
+    toPlayerRef,
+    getPublicPlayers,
+    getRevealedPlayers
+} = require('./projections');
+
+// Game Configuration Constants
+const GAME_TIMER_SECONDS = 480; // 8 minutes (default round length)
+const MIN_PLAYERS = 4;
+const MAX_PLAYERS = 15;
+const CHAT_COOLDOWN_MS = 3000; // Default chat cooldown
+const MAX_OFFENDER_COOLDOWN_MS = 60000; // Cooldown ceiling for players whose messages keep getting filtered
+const MAX_CHAT_REPORTS = 100; // Reports kept per room, oldest dropped first
+const REPORT_CONTEXT_MESSAGES = 5; // Messages before a reported one, kept with the report
+const MAX_CHAT_HISTORY = 100; // Messages kept from the current round, for players who reconnect
+const FINAL_ACCUSATION_TURN_MS = 60000; // Time each player gets to accuse once the clock runs out
+
+// Room Settings Limits (host-configurable per game)
+const MIN_ROUND_SECONDS = 180; // 3 minutes, the shortest the lobby offers
+const MAX_ROUND_SECONDS = 900; // 15 minutes, the longest the lobby offers
+const MAX_CHAT_COOLDOWN_MS = 30000;
+const MAX_SPIES = 3;
+const MIN_NON_SPIES = 3;
+const MAX_CUSTOM_PACKS = 5; // Custom location packs per room
+const MAX_BOTS = 5; // Bot players per room
+const BOT_NAMES = ['Ada', 'Byte', 'Cog', 'Dot', 'Echo', 'Gizmo', 'Pixel', 'Widget'];
+const MAX_SEATS_PER_DEVICE = 5; // Extra players passing one phone around in in-person rooms
+
+// Match Configuration Constants
+const DEFAULT_MATCH_ROUNDS = 3;
+const MAX_MATCH_ROUNDS = 10;
+
+// Official Spyfall point table, keyed by endGame reason.
+// The accuser bonus replaces the regular non-spy point for whoever made the last successful accusation.
+// With several spies that catch may come before the round ends some other way, and still earns the bonus.
+const ROUND_POINTS = {
+    spy_caught: { spy: 0, nonSpy: 1, accuser: 2 },
+    spy_wrong_guess: { spy: 0, nonSpy: 1, accuser: 2 },
+    spy_guessed: { spy: 4, nonSpy: 0 },
+    innocent_accused: { spy: 4, nonSpy: 0 },
+    spy_left: { spy: 0, nonSpy: 1, accuser: 2 }, // The last hidden spy left the game
+    timeout: { spy: 2, nonSpy: 0 } // Nobody was convicted before the final accusations ran out
+};
+
+// Round history
+const MAX_LOG_EVENTS = 5000; // Oldest events are dropped past this, so a long-lived room can't grow forever
+
+// Shuffle array utility
+function shuffleArray(array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Get random location from the given list
+function getRandomLocation(locations = LOCATIONS) {
+    return locations[Math.floor(Math.random() * locations.length)];
+}
+
+// Built-in categories plus the room's custom packs, keyed by name
+function getLocationCategories(game) {
+    const categories = { ...LOCATION_CATEGORIES };
+    game.customPacks.forEach(pack => {
+        categories[pack.name] = pack.locations;
+    });
+    return categories;
+}
+
+function getLocationCategoryNames(game) {
+    return Object.keys(getLocationCategories(game));
+}
+
+// What clients see of the custom packs: enough to list and share them
+function getCustomPackSummaries(game) {
+    return game.customPacks.map(pack => ({
+        name: pack.name,
+        locationCount: Object.keys(pack.locations).length,
+        code: encodePackCode(pack)
+    }));
+}
+
+// Locations in play for a game, based on its selected categories
+function getGameLocations(game) {
+    const categories = getLocationCategories(game);
+    const locations = game.settings.categories
+        .flatMap(category => Object.keys(categories[category] || {}));
+    return [...new Set(locations)].sort();
+}
+
+// The same locations grouped by category, for the board players cross them off on.
+// A location in two selected categories is listed under the first.
+function getLocationBoard(game) {
+    const categories = getLocationCategories(game);
+    const listed = new Set();
+
+    return game.settings.categories
+        .map(category => {
+            const locations = Object.keys(categories[category] || {})
+                .filter(location => !listed.has(location))
+                .sort();
+            locations.forEach(location => listed.add(location));
+            return { category, locations };
+        })
+        .filter(group => group.locations.length > 0);
+}
+
+// The first selected category that has a location
+function getLocationCategory(game, location) {
+    const categories = getLocationCategories(game);
+    return game.settings.categories.find(name => categories[name] && categories[name][location]) || null;
+}
+
+// Occupations for a location, from the first selected category that has it
+function getLocationRoles(game, location) {
+    const category = getLocationCategory(game, location);
+    return category ? getLocationCategories(game)[category][location] : [];
+}
+
+// Default per-game settings, editable by the host in the lobby
+function createDefaultSettings() {
+    return {
+        roundSeconds: GAME_TIMER_SECONDS,
+        rounds: DEFAULT_MATCH_ROUNDS,
+        maxPlayers: MAX_PLAYERS,
+        categories: Object.keys(LOCATION_CATEGORIES),
+        chatCooldownMs: CHAT_COOLDOWN_MS,
+        chatEnabled: true,
+        spyCount: 1,
+        spiesKnowEachOther: false,
+        questionTurns: false, // Players take turns asking one question each (see askQuestion)
+        inPerson: false, // Played out loud around a table: no chat, and phones can be shared (see addDeviceSeat)
+        pauseOnDisconnect: false, // Stop the clock while a player is dropped, until they're back or time out
+        wordFilter: true, // Mask blocked words in chat (see moderation.js)
+        blockedWords: [] // The room's own words to mask, on top of the server's list
+    };
+}
+
+// Validate a partial settings update against the game's current settings.
+// Returns { settings } on success or { error } when the update is rejected.
+function sanitizeSettings(game, updates) {
+    if (!updates || typeof updates !== 'object') {
+        return { error: 'Invalid settings' };
+    }
+
+    const settings = { ...game.settings };
+
+    if (updates.roundSeconds !== undefined) {
+        const seconds = parseInt(updates.roundSeconds, 10);
+        if (!Number.isInteger(seconds)) return { error: 'Invalid round length' };
+        // Round lengths are whole minutes
+        const minutes = Math.round(Math.min(Math.max(seconds, MIN_ROUND_SECONDS), MAX_ROUND_SECONDS) / 60);
+        settings.roundSeconds = minutes * 60;
+    }
+
+    if (updates.rounds !== undefined) {
+        settings.rounds = sanitizeRoundCount(updates.rounds);
+    }
+
+    if (updates.maxPlayers !== undefined) {
+        const maxPlayers = parseInt(updates.maxPlayers, 10);
+        if (!Number.isInteger(maxPlayers)) return { error: 'Invalid player limit' };
+        settings.maxPlayers = Math.min(Math.max(maxPlayers, MIN_PLAYERS), MAX_PLAYERS);
+        if (settings.maxPlayers < game.players.size) {
+            return { error: `There are already ${game.players.size} players in the room` };
+        }
+    }
+
+    if (updates.categories !== undefined) {
+        if (!Array.isArray(updates.categories)) return { error: 'Invalid location categories' };
+        const categories = getLocationCategoryNames(game)
+            .filter(category => updates.categories.includes(category));
+        if (categories.length === 0) {
+            return { error: 'Select at least one location category' };
+        }
+        settings.categories = categories;
+    }
+
+    if (updates.chatCooldownMs !== undefined) {
+        const cooldown = parseInt(updates.chatCooldownMs, 10);
+        if (!Number.isInteger(cooldown)) return { error: 'Invalid chat cooldown' };
+        settings.chatCooldownMs = Math.min(Math.max(cooldown, 0), MAX_CHAT_COOLDOWN_MS);
+    }
+
+    if (updates.chatEnabled !== undefined) {
+        settings.chatEnabled = Boolean(updates.chatEnabled);
+    }
+
+    if (updates.spyCount !== undefined) {
+        const spyCount = parseInt(updates.spyCount, 10);
+        if (!Number.isInteger(spyCount)) return { error: 'Invalid number of spies' };
+        settings.spyCount = Math.min(Math.max(spyCount, 1), MAX_SPIES);
+    }
+
+    if (updates.spiesKnowEachOther !== undefined) {
+        settings.spiesKnowEachOther = Boolean(updates.spiesKnowEachOther);
+    }
+
+    if (updates.questionTurns !== undefined) {
+        settings.questionTurns = Boolean(updates.questionTurns);
+    }
+
+    if (updates.inPerson !== undefined) {
+        settings.inPerson = Boolean(updates.inPerson);
+    }
+
+    if (updates.pauseOnDisconnect !== undefined) {
+        settings.pauseOnDisconnect = Boolean(updates.pauseOnDisconnect);
+    }
+
+    if (updates.wordFilter !== undefined) {
+        settings.wordFilter = Boolean(updates.wordFilter);
+    }
+
+    if (updates.blockedWords !== undefined) {
+        if (!Array.isArray(updates.blockedWords)) return { error: 'Invalid blocked words' };
+        settings.blockedWords = sanitizeBlockedWords(updates.blockedWords);
+    }
+
+    return { settings };
+}
+
+// Deal occupations for a location, one per non-spy.
+// Roles are unique until the location's list runs out, then they repeat.
+function dealOccupations(roles, count) {
+    if (roles.length === 0) return new Array(count).fill(null);
+
+    const dealt = [];
+    let deck = [];
+    while (dealt.length < count) {
+        if (deck.length === 0) deck = shuffleArray(roles);
+        dealt.push(deck.pop());
+    }
+    return dealt;
+}
+
+// Create a fresh match (a series of rounds with running scores)
+function createMatch(totalRounds) {
+    return {
+        totalRounds,
+        currentRound: 0,
+        scores: new Map() // playerId -> {name, score}
+    };
+}
+
+// Validate a host-requested round count
+function sanitizeRoundCount(rounds) {
+    const parsed = parseInt(rounds, 10);
+    if (!Number.isInteger(parsed)) return DEFAULT_MATCH_ROUNDS;
+    return Math.min(Math.max(parsed, 1), MAX_MATCH_ROUNDS);
+}
+
+function isMatchOver(game) {
+    return game.match.currentRound >= game.match.totalRounds;
+}
+
+// Apply the point table for the round that just ended
+function scoreRound(game, reason) {
+    const points = ROUND_POINTS[reason] || { spy: 0, nonSpy: 0 };
+    const roundPoints = new Map();
+
+    game.players.forEach((player, playerId) => {
+        let earned;
+        if (game.spyIds.includes(playerId)) {
+            earned = points.spy;
+        } else if (points.accuser && playerId === game.successfulAccuserId) {
+            earned = points.accuser;
+        } else {
+            earned = points.nonSpy;
+        }
+
+        const entry = game.match.scores.get(playerId) || { name: player.name, score: 0 };
+        entry.name = player.name;
+        entry.score += earned;
+        game.match.scores.set(playerId, entry);
+        roundPoints.set(playerId, earned);
+    });
+
+    return roundPoints;
+}
+
+// Build sorted standings for the current match
+function buildStandings(game, roundPoints = new Map()) {
+    return Array.from(game.match.scores.entries())
+        .map(([playerId, entry]) => ({
+            playerId,
+            name: entry.name,
+            score: entry.score,
+            roundPoints: roundPoints.get(playerId) || 0
+        }))
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+// Match progress shared by gameStarted, gameEnded and reconnect payloads
+function buildMatchInfo(game, roundPoints) {
+    return {
+        round: game.match.currentRound,
+        startedAt: game.startTime, // Tells rounds apart across matches, where round numbers start over
+        totalRounds: game.match.totalRounds,
+        isFinalRound: isMatchOver(game),
+        standings: buildStandings(game, roundPoints)
+    };
+}
+
+// Create new game
+function createGame(roomCode, hostId, now = Date.now()) {
+    return {
+        roomCode,
+        hostId,
+        players: new Map(),
+        spectators: new Map(), // spectatorId -> {id, name, socketId}; watch only, never see secrets
+        status: 'lobby', // lobby, playing, accusing, voting, ended
+        location: null,
+        spyIds: [],
+        settings: createDefaultSettings(),
+        timer: createRoundTimer(GAME_TIMER_SECONDS * 1000),
+        accusation: null, // Open accusation: {accuserId, suspectId, votes, isFinal}
+        finalAccusations: null, // End-of-timer phase: {order, turn, turnEndsAt}
+        successfulAccuserId: null,
+        firstQuestionerId: null, // Who opens the round's questioning
+        questionTurn: null, // With question turns on: {askerId, targetId, question, noAskBackId}; targetId is null until the asker picks
+        match: createMatch(DEFAULT_MATCH_ROUNDS),
+        customPacks: [], // Host-made location packs: {name, locations: {location: [roles]}}
+        eventLog: [], // Append-only history: {at, type, ...details}; only revealed once a round is over
+        nextMessageId: 1, // Chat messages are numbered so they can be reported
+        chatHistory: [], // The current round's chat as sent, oldest dropped past MAX_CHAT_HISTORY
+        lastResult: null, // The gameEnded payload, kept until the next round for players who reconnect
+        departedSpies: [], // Spies who left mid-round, still named in the round's result
+        reports: [], // Reported messages with the chat around them: {messageId, reporterId, playerId, playerName, text, context, at}
+        isLocked: false, // Host can close the room to new players and spectators
+        bannedNames: [], // Lowercased names the host banned; bans last for the room's lifetime
+        bannedIps: [],
+        playerIps: new Map(), // playerId -> IP address, so a ban can cover the player's connection
+        startTime: null,
+        createdAt: now // For cleanup tracking
+    };
+}
+
+// Append to the room's history
+function logEvent(game, now, type, details = {}) {
+    game.eventLog.push({ at: now, type, ...details });
+    if (game.eventLog.length > MAX_LOG_EVENTS) {
+        game.eventLog.shift();
+    }
+}
+
+// Events since the current (or just finished) round started
+function getRoundLog(game) {
+    const start = game.eventLog.findLastIndex(event => event.type === 'round_started');
+    return start === -1 ? [] : game.eventLog.slice(start);
+}
+
+// Who accused whom this round and how everyone voted, rebuilt from the event log.
+// The accuser's own yes vote is implied by the accusation, so it is added here.
+function buildVoteTally(game) {
+    const accusations = [];
+    getRoundLog(game).forEach(event => {
+        const current = accusations[accusations.length - 1];
+        if (event.type === 'accusation_started') {
+            accusations.push({
+                accuserId: event.accuserId,
+                accuserName: event.accuserName,
+                suspectId: event.suspectId,
+                suspectName: event.suspectName,
+                isFinal: event.isFinal,
+                passed: null,
+                votes: [{ playerId: event.accuserId, playerName: event.accuserName, approve: true }]
+            });
+        } else if (event.type === 'accusation_vote' && current) {
+            current.votes.push({ playerId: event.playerId, playerName: event.playerName, approve: event.approve });
+        } else if (event.type === 'accusation_result' && current) {
+            current.passed = event.passed;
+        }
+    });
+
+    const players = Array.from(game.players.values()).map(player => {
+        const against = accusations.filter(accusation => accusation.suspectId === player.id);
+        const votes = against.flatMap(accusation => accusation.votes);
+        return {
+            id: player.id,
+            name: player.name,
+            accused: accusations
+                .filter(accusation => accusation.accuserId === player.id)
+                .map(accusation => accusation.suspectName),
+            timesAccused: against.length,
+            yesVotes: votes.filter(vote => vote.approve).length,
+            noVotes: votes.filter(vote => !vote.approve).length,
+            votedAgainstBy: [...new Set(votes.filter(vote => vote.approve).map(vote => vote.playerName))]
+        };
+    });
+
+    return { accusations, players };
+}
+
+function isNameTaken(game, name) {
+    return Array.from(game.players.values()).some(p => p.name === name) ||
+        Array.from(game.spectators.values()).some(s => s.name === name);
+}
+
+// Players seated on this player's phone (in-person rooms)
+function getDeviceSeats(game, playerId) {
+    return Array.from(game.players.values()).filter(p => p.deviceOwnerId === playerId);
+}
+
+// Free chat is off when the host disabled it or the room plays in person
+function isChatOpen(game) {
+    return game.settings.chatEnabled && !game.settings.inPerson;
+}
+
+// Spies a spy may know about (only when the host enabled it)
+function getFellowSpies(game, player) {
+    if (player.role !== 'spy' || !game.settings.spiesKnowEachOther) return [];
+
+    return game.spyIds
+        .filter(spyId => spyId !== player.id && game.players.has(spyId))
+        .map(spyId => ({ id: spyId, name: game.players.get(spyId).name }));
+}
+
+// Spies still in play (not caught and not out after a wrong guess)
+function getActiveSpies(game) {
+    return game.spyIds
+        .map(spyId => game.players.get(spyId))
+        .filter(spy => spy && !spy.isCaught);
+}
+
+// Players who may accuse, vote or be accused
+function getEligibleVoters(game) {
+    return Array.from(game.players.values()).filter(p => !p.isCaught);
+}
+
+// The round clock is an end timestamp while running and a remaining duration while paused.
+// pausedBy says why it is stopped: 'accusation', 'host', 'disconnect' (waiting for dropped
+// players), or null when running or not started.
+function createRoundTimer(durationMs) {
+    return { endsAt: null, remainingMs: durationMs, pausedBy: null };
+}
+
+function getRemainingMs(game, now = Date.now()) {
+    const { endsAt, remainingMs } = game.timer;
+    return endsAt === null ? remainingMs : Math.max(0, endsAt - now);
+}
+
+// What clients need to run their own countdown
+function buildTimerInfo(game, now = Date.now()) {
+    return {
+        remainingMs: getRemainingMs(game, now),
+        isPaused: game.timer.endsAt === null,
+        pausedBy: game.timer.pausedBy,
+        waitingFor: game.timer.pausedBy === 'disconnect' ? getMissingPlayers(game).map(player => player.name) : []
+    };
+}
+
+// Run the round countdown from the remaining time
+function startRoundTimer(game, now) {
+    game.timer.endsAt = now + game.timer.remainingMs;
+    game.timer.pausedBy = null;
+}
+
+// Freeze the round countdown, remembering how much time is left
+function pauseRoundTimer(game, now, pausedBy) {
+    game.timer.remainingMs = getRemainingMs(game, now);
+    game.timer.endsAt = null;
+    game.timer.pausedBy = pausedBy;
+}
+
+// Held by the host or waiting for dropped players: nobody can accuse, guess or ask
+function isRoundPaused(game) {
+    return game.status === 'playing' && (game.timer.pausedBy === 'host' || game.timer.pausedBy === 'disconnect');
+}
+
+// Dropped players still inside their grace period. Players on a shared phone come and go with its owner.
+function getMissingPlayers(game) {
+    return Array.from(game.players.values()).filter(player => !player.isConnected && !player.isBot && !player.deviceOwnerId);
+}
+
+// With pauseOnDisconnect, the clock holds while anyone is missing
+function isWaitingForPlayers(game) {
+    return game.settings.pauseOnDisconnect && getMissingPlayers(game).length > 0;
+}
+
+// Start the clock again once nobody is missing
+function resumeIfEveryoneBack(game, outcome) {
+    if (game.status !== 'playing' || game.timer.pausedBy !== 'disconnect') return;
+
+    if (getMissingPlayers(game).length > 0) {
+        syncTimer(game, outcome); // Someone is back, but not everyone
+        return;
+    }
+
+    startRoundTimer(game, outcome.now);
+    syncTimer(game, outcome);
+    sendSystemMessage(game, outcome, '▶️ Everyone is back. The clock is running again.');
+    logEvent(game, outcome.now, 'round_resumed', { remainingMs: getRemainingMs(game, outcome.now) });
+}
+
+// Actions the transport should dispatch later, with the time they are due
+function getPendingTimeouts(game) {
+    const timeouts = [];
+    if (game.status === 'playing' && game.timer.endsAt !== null) {
+        timeouts.push({ at: game.timer.endsAt, action: { type: 'clockExpired' } });
+    }
+    const phase = game.finalAccusations;
+    if (game.status === 'voting' && phase && phase.turnEndsAt !== null && !game.accusation) {
+        timeouts.push({ at: phase.turnEndsAt, action: { type: 'turnExpired', turn: phase.turn } });
+    }
+    return timeouts;
+}
+
+// Clocks don't run while a game is saved; pick them back up after a restore, once the players
+// are marked disconnected. With pauseOnDisconnect the round waits for them to come back.
+// An interrupted final accusation turn starts over.
+function restoreClocks(game, now) {
+    if (game.status === 'playing' && !game.timer.pausedBy) {
+        if (isWaitingForPlayers(game)) {
+            game.timer.pausedBy = 'disconnect';
+        } else {
+            startRoundTimer(game, now);
+        }
+    } else if (game.status === 'voting' && game.finalAccusations && !game.accusation) {
+        game.finalAccusations.turnEndsAt = now + FINAL_ACCUSATION_TURN_MS;
+    }
+}
+
+// Public view of the open accusation
+function buildAccusationInfo(game) {
+    const { accusation } = game;
+    const accuser = game.players.get(accusation.accuserId);
+    const suspect = game.players.get(accusation.suspectId);
+    const voters = getAccusationVoters(game);
+
+    return {
+        accuserId: accusation.accuserId,
+        accuserName: accuser ? accuser.name : null,
+        suspectId: accusation.suspectId,
+        suspectName: suspect ? suspect.name : null,
+        isFinal: accusation.isFinal,
+        votesSubmitted: voters.filter(p => accusation.votes.has(p.id)).length,
+        totalVoters: voters.length
+    };
+}
+
+// Everyone except the suspect (and exposed spies) votes on an accusation
+function getAccusationVoters(game) {
+    return getEligibleVoters(game).filter(p => p.id !== game.accusation.suspectId);
+}
+
+// Whose turn it is during the end-of-timer accusations (null outside that phase)
+function buildAccusationTurnInfo(game) {
+    const phase = game.finalAccusations;
+    if (!phase || phase.turn < 0 || phase.turn >= phase.order.length) return null;
+
+    const player = game.players.get(phase.order[phase.turn]);
+    return {
+        playerId: phase.order[phase.turn],
+        playerName: player ? player.name : null,
+        turn: phase.turn + 1,
+        totalTurns: phase.order.length,
+        secondsToAccuse: FINAL_ACCUSATION_TURN_MS / 1000
+    };
+}
+
+// Public view of the question turn: who is asking, who is on the spot, and who can't be asked back
+function buildQuestionTurnInfo(game) {
+    const turn = game.questionTurn;
+    if (!turn) return null;
+
+    const asker = game.players.get(turn.askerId);
+    const target = turn.targetId ? game.players.get(turn.targetId) : null;
+    return {
+        askerId: turn.askerId,
+        askerName: asker ? asker.name : null,
+        targetId: turn.targetId,
+        targetName: target ? target.name : null,
+        question: turn.question,
+        noAskBackId: turn.noAskBackId
+    };
+}
+
+// Flatten a game into plain JSON (Maps become entry arrays)
+function serializeGame(game, now = Date.now()) {
+    return {
+        ...game,
+        players: Array.from(game.players.values()),
+        spectators: [], // Spectators just watch again after a restart
+        playerIps: Array.from(game.playerIps.entries()),
+        timer: { ...game.timer, endsAt: null, remainingMs: getRemainingMs(game, now) }, // Downtime doesn't use up the round
+        accusation: game.accusation ? {
+            ...game.accusation,
+            votes: Array.from(game.accusation.votes.entries())
+        } : null,
+        finalAccusations: game.finalAccusations ? {
+            order: game.finalAccusations.order,
+            turn: game.finalAccusations.turn,
+            turnEndsAt: null
+        } : null,
+        match: {
+            ...game.match,
+            scores: Array.from(game.match.scores.entries())
+        }
+    };
+}
+
+// Rebuild a game from serializeGame output. Call restoreClocks before play continues.
+function deserializeGame(data) {
+    return {
+        ...createGame(data.roomCode, data.hostId), // Fills in fields added since the snapshot was written
+        ...data,
+        players: new Map(data.players.map(player => [player.id, player])),
+        spectators: new Map(),
+        playerIps: new Map(data.playerIps),
+        accusation: data.accusation ? {
+            ...data.accusation,
+            votes: new Map(data.accusation.votes)
+        } : null,
+        finalAccusations: data.finalAccusations ? {
+            ...data.finalAccusations,
+            turnEndsAt: null
+        } : null,
+        match: {
+            ...data.match,
+            scores: new Map(data.match.scores)
+        }
+    };
+}
+
+// Collects what one dispatch did
+function createOutcome(now) {
+    return { now, events: [] };
+}
+
+function emit(outcome, type, payload, options = {}) {
+    outcome.events.push({ type, payload, ...options });
+}
+
+// Everything posted to the room chat goes through here, so reconnecting players can catch up
+function postChatMessage(game, outcome, message) {
+    const stamped = { ...message, timestamp: outcome.now };
+    game.chatHistory.push(stamped);
+    if (game.chatHistory.length > MAX_CHAT_HISTORY) {
+        game.chatHistory.shift();
+    }
+    emit(outcome, 'chatMessage', stamped);
+}
+
+// Send a system message to the room chat
+function sendSystemMessage(game, outcome, text) {
+    postChatMessage(game, outcome, { id: game.nextMessageId++, playerId: 'system', playerName: 'System', text, type: 'system' });
+}
+
+function syncTimer(game, outcome) {
+    emit(outcome, 'timerSync', buildTimerInfo(game, outcome.now));
+}
+
+function createPlayer(game, playerId, name, { isBot = false, deviceOwnerId = null } = {}) {
+    return {
+        id: playerId,
+        name,
+        isBot, // Played by the server (see bots.js); never disconnects and can't be host
+        deviceOwnerId, // Set for players sharing another player's phone; that player acts for them
+        isConnected: true,
+        disconnectedAt: null,
+        role: null,
+        occupation: null,
+        isHost: playerId === game.hostId,
+        hasAccused: false, // One accusation per round
+        hasGuessed: false,
+        isCaught: false, // Spy exposed by a vote or a wrong guess
+        isMuted: false, // Host muted their chat
+        chatStrikes: 0, // Messages the word filter had to mask; each one lengthens their chat cooldown
+        lastMessageAt: null
+    };
+}
+
+// Give a player a seat. The transport adds its own fields (socket, reconnection token).
+function join(game, { playerId, name }, outcome) {
+    if (game.status !== 'lobby') {
+        return 'Game already in progress - you can watch as a spectator instead';
+    }
+
+    if (game.players.size >= game.settings.maxPlayers) {
+        return 'Room is full - you can watch as a spectator instead';
+    }
+
+    if (isNameTaken(game, name)) {
+        return 'Name already taken';
+    }
+
+    const isCreator = game.players.size === 0 && playerId === game.hostId;
+    const player = createPlayer(game, playerId, name);
+    game.players.set(playerId, player);
+    logEvent(game, outcome.now, isCreator ? 'room_created' : 'player_joined', { playerId, playerName: name });
+
+    if (!isCreator) {
+        emit(outcome, 'playerJoined', {
+            player: toPlayerRef(player),
+            players: getPublicPlayers(game)
+        }, { exceptActor: true });
+    }
+    return null;
+}
+
+// Take a player's seat away; reason is recorded in the event log (left, timed_out, kicked, banned)
+function removePlayer(game, playerId, reason, outcome) {
+    const player = game.players.get(playerId);
+    if (!player) return null;
+
+    // Players sharing this player's phone go with it
+    getDeviceSeats(game, playerId).forEach(seat => removePlayer(game, seat.id, reason, outcome));
+
+    game.players.delete(playerId);
+    logEvent(game, outcome.now, 'player_left', { playerId, playerName: player.name, reason });
+
+    // Bots (and players on someone else's phone) don't keep a room open on their own
+    const humans = Array.from(game.players.values()).filter(p => !p.isBot && !p.deviceOwnerId);
+    if (humans.length === 0) {
+        game.players.clear();
+    }
+
+    // If host left, assign new host
+    if (playerId === game.hostId && humans.length > 0) {
+        const newHost = humans[0];
+        game.hostId = newHost.id;
+        newHost.isHost = true;
+        logEvent(game, outcome.now, 'host_changed', { playerId: newHost.id, playerName: newHost.name });
+    }
+
+    emit(outcome, 'seatReleased', { player, reason });
+    if (game.players.size === 0) return player;
+
+    if (reason === 'timed_out') {
+        emit(outcome, 'playerRemoved', {
+            playerId,
+            playerName: player.name,
+            players: getPublicPlayers(game),
+            newHost: game.hostId
+        });
+    } else {
+        emit(outcome, 'playerLeft', {
+            player: toPlayerRef(player),
+            players: getPublicPlayers(game),
+            newHost: game.hostId
+        }, { exceptActor: reason === 'left' });
+    }
+    repairQuestionTurn(game, outcome);
+    handleMidRoundDeparture(game, player, outcome);
+    return player;
+}
+
+// Keep a running round well-defined after someone leaves it for good (left, timed out or removed)
+function handleMidRoundDeparture(game, player, outcome) {
+    if (!['playing', 'accusing', 'voting'].includes(game.status)) return;
+
+    if (game.players.size < MIN_PLAYERS) {
+        abandonRound(game, outcome);
+        return;
+    }
+
+    if (game.spyIds.includes(player.id) && !player.isCaught) {
+        game.departedSpies.push(toPlayerRef(player));
+        const remaining = getActiveSpies(game).length;
+        if (remaining === 0) {
+            sendSystemMessage(game, outcome, `${player.name} was the spy and left the game.`);
+            endGame(game, 'spy_left', 'non-spies', outcome);
+            return;
+        }
+
+        const spyWord = remaining === 1 ? 'spy is' : 'spies are';
+        sendSystemMessage(game, outcome, `${player.name} was a spy and left the game. ${remaining} ${spyWord} still hidden.`);
+    }
+
+    const { accusation } = game;
+    const phase = game.finalAccusations;
+    if (accusation && accusation.suspectId === player.id) {
+        game.accusation = null;
+        sendSystemMessage(game, outcome, `${player.name} left, so the accusation against them is dropped.`);
+        logEvent(game, outcome.now, 'accusation_dropped', { suspectId: player.id, suspectName: player.name });
+        if (accusation.isFinal) {
+            advanceFinalAccusations(game, outcome);
+        } else {
+            resumeRound(game, outcome);
+        }
+    } else if (accusation) {
+        // One voter fewer: the vote may already be complete
+        const { votesSubmitted, totalVoters } = buildAccusationInfo(game);
+        emit(outcome, 'accusationVoteUpdate', { votesSubmitted, totalVoters });
+        processAccusationVotes(game, outcome);
+    } else if (game.status === 'voting' && phase.order[phase.turn] === player.id) {
+        sendSystemMessage(game, outcome, `${player.name} left before making their final accusation.`);
+        advanceFinalAccusations(game, outcome);
+    } else {
+        resumeIfEveryoneBack(game, outcome);
+    }
+}
+
+// Too few players left to finish the round: call it off and go back to the lobby
+function abandonRound(game, outcome) {
+    game.status = 'lobby';
+    game.accusation = null;
+    game.finalAccusations = null;
+    game.questionTurn = null;
+    game.timer = createRoundTimer(game.settings.roundSeconds * 1000);
+    logEvent(game, outcome.now, 'round_abandoned', { players: game.players.size });
+
+    emit(outcome, 'returnedToLobby', { players: getPublicPlayers(game), reason: 'not_enough_players' });
+}
+
+function leave(game, { playerId, reason = 'left' }, outcome) {
+    removePlayer(game, playerId, reason, outcome);
+    return null;
+}
+
+function disconnect(game, { playerId }, outcome) {
+    const player = game.players.get(playerId);
+    if (!player) return null;
+
+    player.isConnected = false;
+    player.disconnectedAt = outcome.now;
+    emit(outcome, 'playerDisconnected', {
+        playerId,
+        playerName: player.name,
+        players: getPublicPlayers(game)
+    });
+
+    // Hold the clock for them; a clock stopped for any other reason holds already
+    if (isWaitingForPlayers(game) && game.status === 'playing' && !game.timer.pausedBy) {
+        pauseRoundTimer(game, outcome.now, 'disconnect');
+        sendSystemMessage(game, outcome, `⏸️ Waiting for ${player.name} to reconnect...`);
+        logEvent(game, outcome.now, 'round_paused', { remainingMs: getRemainingMs(game, outcome.now), waitingFor: player.name });
+    }
+    if (game.status === 'playing' && game.timer.pausedBy === 'disconnect') {
+        syncTimer(game, outcome);
+    }
+    return null;
+}
+
+function reconnect(game, { playerId }, outcome) {
+    const player = game.players.get(playerId);
+    if (!player) return 'Player no longer in game';
+
+    player.isConnected = true;
+    player.disconnectedAt = null;
+    emit(outcome, 'playerReconnected', {
+        playerId,
+        playerName: player.name,
+        players: getPublicPlayers(game)
+    }, { exceptActor: true });
+    resumeIfEveryoneBack(game, outcome);
+    return null;
+}
+
+function updateSettings(game, { playerId, settings }, outcome) {
+    const result = sanitizeSettings(game, settings);
+    if (result.error) {
+        // Resend current settings so the host's controls snap back
+        emit(outcome, 'settingsUpdated', { settings: game.settings }, { to: playerId });
+        return result.error;
+    }
+
+    game.settings = result.settings;
+    emit(outcome, 'settingsUpdated', { settings: game.settings });
+    return null;
+}
+
+// Tell the room its pack list (and the selected packs) changed
+function emitLocationPacks(game, outcome) {
+    emit(outcome, 'locationPacksUpdated', {
+        locationCategories: getLocationCategoryNames(game),
+        customPacks: getCustomPackSummaries(game),
+        settings: game.settings
+    });
+}
+
+// `input` is a pack or {code} from a share code; a pack with the name of an existing custom pack replaces it
+function addLocationPack(game, { input }, outcome) {
+    const result = parseLocationPack(input);
+    if (result.error) {
+        return result.error;
+    }
+
+    const { pack } = result;
+    const builtInName = Object.keys(LOCATION_CATEGORIES)
+        .find(category => category.toLowerCase() === pack.name.toLowerCase());
+    if (builtInName) {
+        return `"${builtInName}" is a built-in pack - pick another name`;
+    }
+
+    const existingIndex = game.customPacks
+        .findIndex(customPack => customPack.name.toLowerCase() === pack.name.toLowerCase());
+    if (existingIndex === -1 && game.customPacks.length >= MAX_CUSTOM_PACKS) {
+        return `A room can have at most ${MAX_CUSTOM_PACKS} custom packs`;
+    }
+
+    if (existingIndex !== -1) {
+        const oldName = game.customPacks[existingIndex].name;
+        game.customPacks[existingIndex] = pack;
+        game.settings.categories = game.settings.categories.filter(category => category !== oldName);
+    } else {
+        game.customPacks.push(pack);
+    }
+
+    // New packs start selected
+    game.settings.categories = [...game.settings.categories, pack.name];
+    emitLocationPacks(game, outcome);
+    return null;
+}
+
+function removeLocationPack(game, { packName }, outcome) {
+    const packCount = game.customPacks.length;
+    game.customPacks = game.customPacks.filter(pack => pack.name !== packName);
+    if (game.customPacks.length === packCount) {
+        return 'Location pack not found';
+    }
+
+    game.settings.categories = game.settings.categories.filter(category => category !== packName);
+    if (game.settings.categories.length === 0) {
+        game.settings.categories = Object.keys(LOCATION_CATEGORIES);
+    }
+    emitLocationPacks(game, outcome);
+    return null;
+}
+
+function setRoomLocked(game, { isLocked }, outcome) {
+    game.isLocked = Boolean(isLocked);
+    emit(outcome, 'roomLockChanged', { isLocked: game.isLocked });
+    return null;
+}
+
+// Hand host controls to another connected player
+function transferHost(game, { playerId, targetId }, outcome) {
+    const target = game.players.get(targetId);
+    if (!target || target.id === playerId) {
+        return 'Player not found';
+    }
+
+    if (target.isBot) {
+        return 'Bots cannot be host';
+    }
+
+    if (target.deviceOwnerId) {
+        return 'Players on a shared phone cannot be host';
+    }
+
+    if (!target.isConnected) {
+        return `${target.name} is disconnected`;
+    }
+
+    game.players.get(playerId).isHost = false;
+    target.isHost = true;
+    game.hostId = target.id;
+    logEvent(game, outcome.now, 'host_changed', { playerId: target.id, playerName: target.name });
+
+    emit(outcome, 'hostChanged', {
+        newHostId: target.id,
+        newHostName: target.name,
+        players: getPublicPlayers(game),
+        message: `${target.name} is now the host`
+    });
+    return null;
+}
+
+// Host adds a bot player. The transport picks the id, like it does for people.
+function addBot(game, { botId }, outcome) {
+    if (game.players.size >= game.settings.maxPlayers) {
+        return 'Room is full';
+    }
+
+    const botCount = Array.from(game.players.values()).filter(player => player.isBot).length;
+    if (botCount >= MAX_BOTS) {
+        return `A room can have at most ${MAX_BOTS} bots`;
+    }
+
+    const name = BOT_NAMES.find(botName => !isNameTaken(game, botName));
+    if (!name) {
+        return 'No bot names left';
+    }
+
+    const bot = createPlayer(game, botId, name, { isBot: true });
+    game.players.set(botId, bot);
+    logEvent(game, outcome.now, 'player_joined', { playerId: botId, playerName: name, isBot: true });
+
+    emit(outcome, 'playerJoined', {
+        player: toPlayerRef(bot),
+        players: getPublicPlayers(game)
+    });
+    return null;
+}
+
+// Seat someone who has no phone of their own on a player's device (in-person rooms).
+// `name` is already sanitized.
+function addDeviceSeat(game, { playerId, newSeatId, name }, outcome) {
+    if (!game.settings.inPerson) {
+        return 'Sharing a phone needs in-person mode';
+    }
+
+    const owner = game.players.get(playerId);
+    if (!owner || owner.deviceOwnerId || owner.isBot) {
+        return 'Only players with their own phone can share it';
+    }
+
+    if (game.players.size >= game.settings.maxPlayers) {
+        return 'Room is full';
+    }
+
+    if (getDeviceSeats(game, playerId).length >= MAX_SEATS_PER_DEVICE) {
+        return `At most ${MAX_SEATS_PER_DEVICE} players can share one phone`;
+    }
+
+    if (isNameTaken(game, name)) {
+        return 'Name already taken';
+    }
+
+    if (game.bannedNames.includes(name.toLowerCase())) {
+        return 'That name is banned from this room';
+    }
+
+    const seat = createPlayer(game, newSeatId, name, { deviceOwnerId: playerId });
+    game.players.set(newSeatId, seat);
+    logEvent(game, outcome.now, 'player_joined', { playerId: newSeatId, playerName: name, deviceOwnerId: playerId });
+
+    emit(outcome, 'playerJoined', {
+        player: toPlayerRef(seat),
+        players: getPublicPlayers(game)
+    });
+    return null;
+}
+
+// The phone's owner (or the host) takes a shared-phone player back out of the lobby
+function removeDeviceSeat(game, { playerId, targetId }, outcome) {
+    const seat = game.players.get(targetId);
+    if (!seat || !seat.deviceOwnerId || (seat.deviceOwnerId !== playerId && playerId !== game.hostId)) {
+        return 'Player not found';
+    }
+
+    removePlayer(game, seat.id, 'left', outcome);
+    return null;
+}
+
+// Kick or ban from the host, at any time: a round carries on without them as if they had left.
+// A ban bars the name here; the transport adds the player's IP.
+function removeByHost(ban) {
+    return (game, { playerId, targetId }, outcome) => {
+        const target = game.players.get(targetId);
+        if (!target || target.id === playerId) {
+            return 'Player not found';
+        }
+
+        if (ban) {
+            game.bannedNames.push(target.name.toLowerCase());
+        }
+        removePlayer(game, target.id, ban ? 'banned' : 'kicked', outcome);
+        return null;
+    };
+}
+
+// Start game logic. Starting from the lobby begins a new match;
+// starting from the results screen plays the match's next round.
+function startGame(game, action, outcome) {
+    const { maxPlayers } = game.settings;
+    if (game.players.size < MIN_PLAYERS || game.players.size > maxPlayers) {
+        return `Game needs ${MIN_PLAYERS}-${maxPlayers} players`;
+    }
+
+    if (game.status !== 'lobby' && game.status !== 'ended') {
+        return 'Game already in progress';
+    }
+
+    if (game.status === 'ended' && isMatchOver(game)) {
+        return 'Match is over. Return to the lobby to start a new match';
+    }
+
+    const { spyCount } = game.settings;
+    if (game.players.size - spyCount < MIN_NON_SPIES) {
+        return `${spyCount} spies need at least ${spyCount + MIN_NON_SPIES} players`;
+    }
+
+    if (game.status === 'lobby') {
+        game.match = createMatch(game.settings.rounds);
+        game.players.forEach((player, playerId) => {
+            game.match.scores.set(playerId, { name: player.name, score: 0 });
+        });
+    }
+
+    game.status = 'playing';
+    game.match.currentRound++;
+
+    // Reset game state for new round
+    game.timer = createRoundTimer(game.settings.roundSeconds * 1000);
+    game.accusation = null;
+    game.finalAccusations = null;
+    game.successfulAccuserId = null;
+    game.questionTurn = null;
+    game.chatHistory = [];
+    game.lastResult = null;
+    game.departedSpies = [];
+
+    // Assign roles
+    const playerIds = Array.from(game.players.keys());
+    game.spyIds = shuffleArray(playerIds).slice(0, spyCount);
+    game.location = getRandomLocation(getGameLocations(game));
+    const occupations = dealOccupations(getLocationRoles(game, game.location), playerIds.length - spyCount);
+
+    // Set roles for all players and reset voting/guessing states
+    game.players.forEach((player, playerId) => {
+        if (game.spyIds.includes(playerId)) {
+            player.role = 'spy';
+            player.occupation = null;
+        } else {
+            player.role = 'non-spy';
+            player.occupation = occupations.pop();
+        }
+        // Reset accusation and guessing state for each player
+        player.hasAccused = false;
+        player.hasGuessed = false;
+        player.isCaught = false;
+    });
+
+    game.startTime = outcome.now;
+    logEvent(game, outcome.now, 'round_started', {
+        round: game.match.currentRound,
+        totalRounds: game.match.totalRounds,
+        location: game.location,
+        players: getRevealedPlayers(game)
+    });
+
+    // Someone has to break the ice, and a muted player can't
+    const shuffledIds = shuffleArray(playerIds);
+    const firstQuestionerId = shuffledIds.find(id => !game.players.get(id).isMuted) || shuffledIds[0];
+    game.firstQuestionerId = firstQuestionerId;
+
+    // Send welcome message to chat
+    const target = spyCount === 1 ? 'the spy' : `all ${spyCount} spies`;
+    sendSystemMessage(game, outcome, `Round ${game.match.currentRound} of ${game.match.totalRounds} started! You have ${Math.floor(game.settings.roundSeconds / 60)} minutes to find ${target}. ${game.players.get(firstQuestionerId).name} asks the first question!`);
+
+    if (game.settings.questionTurns && !game.settings.inPerson) {
+        game.questionTurn = { askerId: firstQuestionerId, targetId: null, question: null, noAskBackId: null };
+    }
+
+    startRoundTimer(game, outcome.now);
+    emit(outcome, 'roundStarted', null);
+    return null;
+}
+
+function pauseGame(game, action, outcome) {
+    if (game.status !== 'playing' || game.timer.pausedBy) {
+        return 'The game cannot be paused right now';
+    }
+
+    pauseRoundTimer(game, outcome.now, 'host');
+    syncTimer(game, outcome);
+    sendSystemMessage(game, outcome, '⏸️ The host paused the game.');
+    logEvent(game, outcome.now, 'round_paused', { remainingMs: getRemainingMs(game, outcome.now) });
+    return null;
+}
+
+function resumeGame(game, action, outcome) {
+    if (!isRoundPaused(game)) {
+        return 'The game is not paused';
+    }
+
+    // Also carries on without players the room was waiting for
+    startRoundTimer(game, outcome.now);
+    syncTimer(game, outcome);
+    sendSystemMessage(game, outcome, '▶️ The host resumed the game.');
+    logEvent(game, outcome.now, 'round_resumed', { remainingMs: getRemainingMs(game, outcome.now) });
+    return null;
+}
+
+// Continue the round after an accusation fails, unless the room is waiting for dropped players
+function resumeRound(game, outcome) {
+    game.status = 'playing';
+    if (isWaitingForPlayers(game)) {
+        game.timer.pausedBy = 'disconnect';
+    } else {
+        startRoundTimer(game, outcome.now);
+    }
+    emit(outcome, 'roundResumed', { timer: buildTimerInfo(game, outcome.now) });
+}
+
+// Accuse a player of being the spy
+function accusePlayer(game, { playerId, suspectId }, outcome) {
+    const accuser = game.players.get(playerId);
+    if (!accuser) return null;
+
+    if (game.status === 'playing') {
+        if (isRoundPaused(game)) {
+            return 'The game is paused';
+        }
+        if (accuser.hasAccused) {
+            return 'You have already made an accusation this round';
+        }
+    } else {
+        const turn = buildAccusationTurnInfo(game);
+        if (game.accusation || !turn || turn.playerId !== accuser.id) {
+            return "It's not your turn to accuse";
+        }
+    }
+
+    if (accuser.isCaught) {
+        return 'Exposed spies cannot accuse';
+    }
+
+    const suspect = game.players.get(suspectId);
+    if (!suspect || suspect.isCaught) {
+        return 'Invalid suspect';
+    }
+
+    if (suspect.id === accuser.id) {
+        return 'You cannot accuse yourself';
+    }
+
+    accuser.hasAccused = true;
+    openAccusation(game, accuser, suspect, outcome);
+    return null;
+}
+
+// Nominate a suspect. The round clock stops until the vote is resolved.
+function openAccusation(game, accuser, suspect, outcome) {
+    const isFinal = game.status === 'voting';
+
+    if (isFinal) {
+        game.finalAccusations.turnEndsAt = null;
+    } else {
+        game.status = 'accusing';
+        pauseRoundTimer(game, outcome.now, 'accusation');
+        syncTimer(game, outcome);
+    }
+
+    game.accusation = {
+        accuserId: accuser.id,
+        suspectId: suspect.id,
+        votes: new Map([[accuser.id, true]]), // Accusing counts as a yes vote
+        isFinal
+    };
+    logEvent(game, outcome.now, 'accusation_started', {
+        accuserId: accuser.id,
+        accuserName: accuser.name,
+        suspectId: suspect.id,
+        suspectName: suspect.name,
+        isFinal
+    });
+
+    emit(outcome, 'accusationStarted', buildAccusationInfo(game));
+    processAccusationVotes(game, outcome);
+}
+
+// Vote yes/no on the open accusation
+function castAccusationVote(game, { playerId, approve }, outcome) {
+    if (!game.accusation) return null;
+
+    const voter = game.players.get(playerId);
+    if (!voter || voter.isCaught) return null;
+
+    if (voter.id === game.accusation.suspectId) {
+        return 'You cannot vote on your own accusation';
+    }
+
+    if (game.accusation.votes.has(voter.id)) return null;
+    game.accusation.votes.set(voter.id, approve === true);
+    logEvent(game, outcome.now, 'accusation_vote', { playerId: voter.id, playerName: voter.name, approve: approve === true });
+
+    // Update all players on vote status
+    const { votesSubmitted, totalVoters } = buildAccusationInfo(game);
+    emit(outcome, 'accusationVoteUpdate', { votesSubmitted, totalVoters });
+
+    // Check if all votes are in
+    processAccusationVotes(game, outcome);
+    return null;
+}
+
+// Resolve the open accusation once every voter has answered.
+// Only a unanimous yes convicts the suspect.
+function processAccusationVotes(game, outcome) {
+    const { accusation } = game;
+    const voters = getAccusationVoters(game);
+    if (voters.some(p => !accusation.votes.has(p.id))) return;
+
+    const yesVotes = voters.filter(p => accusation.votes.get(p.id)).length;
+    const passed = yesVotes === voters.length;
+    const suspect = game.players.get(accusation.suspectId);
+    game.accusation = null;
+    logEvent(game, outcome.now, 'accusation_result', {
+        suspectId: suspect.id,
+        suspectName: suspect.name,
+        passed,
+        yesVotes,
+        noVotes: voters.length - yesVotes
+    });
+
+    emit(outcome, 'accusationResult', {
+        accuserId: accusation.accuserId,
+        suspectId: accusation.suspectId,
+        suspectName: suspect.name,
+        passed,
+        yesVotes,
+        noVotes: voters.length - yesVotes,
+        isFinal: accusation.isFinal
+    });
+
+    if (passed) {
+        game.successfulAccuserId = accusation.accuserId;
+        if (game.spyIds.includes(suspect.id)) {
+            eliminateSpy(game, suspect, 'spy_caught', outcome);
+        } else {
+            endGame(game, 'innocent_accused', 'spy', outcome);
+        }
+        return;
+    }
+
+    sendSystemMessage(game, outcome, `The accusation against ${suspect.name} was not unanimous.`);
+    if (accusation.isFinal) {
+        advanceFinalAccusations(game, outcome);
+    } else {
+        resumeRound(game, outcome);
+    }
+}
+
+// Clock ran out: every player in turn must accuse someone
+function clockExpired(game, action, outcome) {
+    game.timer = createRoundTimer(0);
+    game.status = 'voting';
+    game.questionTurn = null;
+    game.finalAccusations = {
+        order: getEligibleVoters(game).map(p => p.id),
+        turn: -1,
+        turnEndsAt: null
+    };
+
+    sendSystemMessage(game, outcome, "Time's up! Each player now makes one accusation in turn.");
+    logEvent(game, outcome.now, 'final_accusations_started');
+    advanceFinalAccusations(game, outcome);
+    return null;
+}
+
+// The player holding the floor didn't accuse anyone in time
+function turnExpired(game, { turn }, outcome) {
+    const phase = game.finalAccusations;
+    if (!phase || phase.turn !== turn || game.accusation) return null;
+
+    const turnInfo = buildAccusationTurnInfo(game);
+    sendSystemMessage(game, outcome, `${turnInfo.playerName} did not accuse anyone in time.`);
+    logEvent(game, outcome.now, 'final_accusation_skipped', { playerId: turnInfo.playerId, playerName: turnInfo.playerName });
+    advanceFinalAccusations(game, outcome);
+    return null;
+}
+
+// Hand the final accusation to the next player still in the round.
+// The spies win if nobody is convicted once every player has had a turn.
+function advanceFinalAccusations(game, outcome) {
+    const phase = game.finalAccusations;
+    phase.turnEndsAt = null;
+
+    do {
+        phase.turn++;
+    } while (phase.turn < phase.order.length && !isEligibleAccuser(game, phase.order[phase.turn]));
+
+    if (phase.turn >= phase.order.length) {
+        endGame(game, 'timeout', 'spy', outcome);
+        return;
+    }
+
+    phase.turnEndsAt = outcome.now + FINAL_ACCUSATION_TURN_MS;
+    emit(outcome, 'accusationTurn', buildAccusationTurnInfo(game));
+}
+
+function isEligibleAccuser(game, playerId) {
+    const player = game.players.get(playerId);
+    return Boolean(player && !player.isCaught);
+}
+
+// Take a spy out of the round. Ends the round once every spy is out,
+// otherwise play resumes so the remaining spies can still be found.
+function eliminateSpy(game, spy, reason, outcome) {
+    spy.isCaught = true;
+    repairQuestionTurn(game, outcome);
+
+    const remaining = getActiveSpies(game).length;
+    if (remaining === 0) {
+        endGame(game, reason, 'non-spies', outcome);
+        return;
+    }
+
+    const message = reason === 'spy_caught'
+        ? `${spy.name} was caught as a spy!`
+        : `${spy.name} was a spy and guessed the wrong location!`;
+    const spyWord = remaining === 1 ? 'spy is' : 'spies are';
+    sendSystemMessage(game, outcome, `${message} ${remaining} ${spyWord} still hidden.`);
+
+    emit(outcome, 'spyEliminated', {
+        playerId: spy.id,
+        playerName: spy.name,
+        reason,
+        spiesRemaining: remaining,
+        players: getPublicPlayers(game)
+    });
+
+    if (game.status === 'voting') {
+        advanceFinalAccusations(game, outcome);
+    } else if (game.status === 'accusing') {
+        resumeRound(game, outcome);
+    }
+}
+
+// Spy guess location
+function spyGuess(game, { playerId, location }, outcome) {
+    if (isRoundPaused(game)) {
+        return 'The game is paused';
+    }
+
+    const gamePlayer = game.players.get(playerId);
+    if (!gamePlayer) return null;
+
+    if (gamePlayer.role !== 'spy') {
+        return 'Only spy can guess location';
+    }
+
+    // Validate guessed location is in the location list
+    if (!getGameLocations(game).includes(location)) {
+        return 'Invalid location';
+    }
+
+    // Prevent multiple guesses
+    if (gamePlayer.hasGuessed || gamePlayer.isCaught) {
+        return 'Already guessed';
+    }
+    gamePlayer.hasGuessed = true;
+    logEvent(game, outcome.now, 'spy_guess', {
+        playerId: gamePlayer.id,
+        playerName: gamePlayer.name,
+        guess: location,
+        correct: location === game.location
+    });
+
+    if (location === game.location) {
+        endGame(game, 'spy_guessed', 'spy', outcome);
+    } else {
+        // A wrong guess exposes this spy; any other spies play on
+        eliminateSpy(game, gamePlayer, 'spy_wrong_guess', outcome);
+    }
+    return null;
+}
+
+function emitQuestionTurn(game, outcome) {
+    emit(outcome, 'questionTurn', buildQuestionTurnInfo(game));
+}
+
+// The current asker picks who to question. `text` is already sanitized.
+function askQuestion(game, { playerId, targetId, text }, outcome) {
+    const turn = game.questionTurn;
+    if (!turn) {
+        return 'Question turns are off in this room';
+    }
+
+    if (isRoundPaused(game)) {
+        return 'The game is paused';
+    }
+
+    if (turn.askerId !== playerId) {
+        return "It's not your turn to ask";
+    }
+
+    if (game.players.get(playerId).isMuted) {
+        return 'The host has muted you';
+    }
+
+    if (turn.targetId) {
+        return 'Wait for the answer first';
+    }
+
+    const target = game.players.get(targetId);
+    if (!target || target.id === playerId || !canTakeQuestionTurn(game, target.id)) {
+        return 'Invalid player';
+    }
+
+    // No asking back, unless the last asker is the only one left to ask
+    if (target.id === turn.noAskBackId && getQuestionTargets(game, playerId).length > 1) {
+        return `No asking back - pick someone other than ${target.name}`;
+    }
+
+    if (!text) return null;
+
+    const asker = game.players.get(playerId);
+    const messageId = game.nextMessageId++;
+    const question = moderateText(game, asker, text, outcome);
+    turn.targetId = target.id;
+    turn.question = question;
+    logEvent(game, outcome.now, 'question_asked', {
+        messageId,
+        playerId,
+        playerName: asker.name,
+        targetId: target.id,
+        targetName: target.name,
+        text: question
+    });
+
+    postChatMessage(game, outcome, { id: messageId, playerId, playerName: asker.name, targetName: target.name, text: question, type: 'question' });
+    emitQuestionTurn(game, outcome);
+    return null;
+}
+
+// The player on the spot answers, then asks the next question
+function answerQuestion(game, { playerId, text }, outcome) {
+    const turn = game.questionTurn;
+    if (!turn || turn.targetId !== playerId) {
+        return "You haven't been asked anything";
+    }
+
+    if (isRoundPaused(game)) {
+        return 'The game is paused';
+    }
+
+    const answerer = game.players.get(playerId);
+    if (answerer.isMuted) {
+        return 'The host has muted you';
+    }
+
+    if (!text) return null;
+
+    const messageId = game.nextMessageId++;
+    const answer = moderateText(game, answerer, text, outcome);
+    logEvent(game, outcome.now, 'question_answered', { messageId, playerId, playerName: answerer.name, text: answer });
+    game.questionTurn = { askerId: playerId, targetId: null, question: null, noAskBackId: turn.askerId };
+
+    postChatMessage(game, outcome, { id: messageId, playerId, playerName: answerer.name, text: answer, type: 'answer' });
+    emitQuestionTurn(game, outcome);
+    return null;
+}
+
+// Players the asker may question: everyone still in the round except themselves
+function getQuestionTargets(game, askerId) {
+    return getEligibleVoters(game).filter(player => player.id !== askerId && !player.isMuted);
+}
+
+// Questions and answers go to everyone's chat, so muted players sit the turns out.
+// No chat cooldown here: one question and one answer per turn paces them already.
+function canTakeQuestionTurn(game, playerId) {
+    return isEligibleAccuser(game, playerId) && !game.players.get(playerId).isMuted;
+}
+
+// Keep the question turn going when the asker or the player on the spot leaves, is caught or is muted:
+// the asker picks again, or the turn passes to someone still in the round
+function repairQuestionTurn(game, outcome) {
+    const turn = game.questionTurn;
+    if (!turn) return;
+
+    const isActive = playerId => canTakeQuestionTurn(game, playerId);
+    if (isActive(turn.askerId) && (!turn.targetId || isActive(turn.targetId))) return;
+
+    const askerId = isActive(turn.askerId) ? turn.askerId : getEligibleVoters(game).find(player => !player.isMuted)?.id;
+    game.questionTurn = askerId
+        ? { askerId, targetId: null, question: null, noAskBackId: isActive(turn.noAskBackId) ? turn.noAskBackId : null }
+        : null;
+    emitQuestionTurn(game, outcome);
+}
+
+// The room's chat cooldown, doubled for every message of theirs the word filter had to mask
+function getChatCooldownMs(game, player) {
+    if (!player.chatStrikes) return game.settings.chatCooldownMs;
+
+    const base = Math.max(game.settings.chatCooldownMs, CHAT_COOLDOWN_MS);
+    return Math.min(base * 2 ** player.chatStrikes, MAX_OFFENDER_COOLDOWN_MS);
+}
+
+// Mask blocked words; a masked message is a strike against its sender
+function moderateText(game, player, text, outcome) {
+    if (!game.settings.wordFilter) return text;
+
+    const censored = censorText(text, game.settings.blockedWords);
+    if (censored.matches > 0) {
+        player.chatStrikes++;
+        logEvent(game, outcome.now, 'chat_filtered', { playerId: player.id, playerName: player.name, strikes: player.chatStrikes });
+    }
+    return censored.text;
+}
+
+// Chat message from a player; `text` is already sanitized
+function sendMessage(game, { playerId, text }, outcome) {
+    if (!isChatOpen(game)) {
+        return game.settings.inPerson ? 'Chat is off in in-person rooms' : 'Chat is disabled in this room';
+    }
+
+    const gamePlayer = game.players.get(playerId);
+    if (!gamePlayer || !text) return null;
+
+    if (gamePlayer.isMuted) {
+        return 'The host has muted you';
+    }
+
+    // Bots pace themselves (see bots.js)
+    const cooldownMs = getChatCooldownMs(game, gamePlayer);
+    if (!gamePlayer.isBot && gamePlayer.lastMessageAt !== null && outcome.now - gamePlayer.lastMessageAt < cooldownMs) {
+        return gamePlayer.chatStrikes > 0
+            ? `Slow down - you can send one message every ${Math.ceil(cooldownMs / 1000)} seconds`
+            : 'Please wait before sending another message';
+    }
+
+    const messageId = game.nextMessageId++;
+    const moderated = moderateText(game, gamePlayer, text, outcome);
+    gamePlayer.lastMessageAt = outcome.now;
+
+    postChatMessage(game, outcome, { id: messageId, playerId, playerName: gamePlayer.name, text: moderated, type: 'player' });
+    logEvent(game, outcome.now, 'chat', { messageId, playerId, playerName: gamePlayer.name, text: moderated });
+    return null;
+}
+
+// Host mutes or unmutes a player's chat, for the rest of the room's life
+function mutePlayer(game, { playerId, targetId, muted }, outcome) {
+    const target = game.players.get(targetId);
+    if (!target || target.id === playerId || target.isBot) {
+        return 'Player not found';
+    }
+
+    target.isMuted = Boolean(muted);
+    logEvent(game, outcome.now, target.isMuted ? 'player_muted' : 'player_unmuted', { playerId: target.id, playerName: target.name });
+
+    emit(outcome, 'playerMuted', {
+        playerId: target.id,
+        playerName: target.name,
+        isMuted: target.isMuted,
+        players: getPublicPlayers(game)
+    });
+    repairQuestionTurn(game, outcome); // A muted player can't keep the question turn
+    return null;
+}
+
+const CHAT_LOG_TYPES = ['chat', 'question_asked', 'question_answered'];
+
+// Any player can report someone else's message. The report keeps the messages
+// before it for context; the host hears about it, without the reporter's name.
+function reportMessage(game, { playerId, messageId }, outcome) {
+    const chat = game.eventLog.filter(event => CHAT_LOG_TYPES.includes(event.type));
+    const index = chat.findIndex(event => event.messageId === messageId);
+    if (index === -1) {
+        return 'Message not found';
+    }
+
+    const message = chat[index];
+    if (message.playerId === playerId) {
+        return "You can't report your own message";
+    }
+
+    if (game.reports.some(report => report.messageId === messageId && report.reporterId === playerId)) {
+        return 'You already reported that message';
+    }
+
+    game.reports.push({
+        messageId,
+        reporterId: playerId,
+        playerId: message.playerId,
+        playerName: message.playerName,
+        text: message.text,
+        context: chat.slice(Math.max(0, index - REPORT_CONTEXT_MESSAGES), index)
+            .map(event => ({ playerName: event.playerName, text: event.text })),
+        at: outcome.now
+    });
+    if (game.reports.length > MAX_CHAT_REPORTS) {
+        game.reports.shift();
+    }
+
+    emit(outcome, 'messageReported', { messageId }, { to: playerId });
+    emit(outcome, 'chatReported', {
+        messageId,
+        playerId: message.playerId,
+        playerName: message.playerName,
+        text: message.text
+    }, { to: game.hostId });
+    return null;
+}
+
+// End game logic
+function endGame(game, reason, winner, outcome) {
+    game.finalAccusations = null;
+    game.accusation = null;
+    game.questionTurn = null;
+
+    game.status = 'ended';
+    const roundPoints = scoreRound(game, reason);
+    logEvent(game, outcome.now, 'round_ended', { reason, winner, location: game.location });
+
+    game.lastResult = {
+        reason,
+        winner,
+        spies: [
+            ...game.spyIds.map(spyId => game.players.get(spyId)).filter(Boolean).map(toPlayerRef),
+            ...game.departedSpies
+        ],
+        location: game.location,
+        players: getRevealedPlayers(game),
+        match: buildMatchInfo(game, roundPoints),
+        votes: buildVoteTally(game),
+        log: getRoundLog(game)
+    };
+    emit(outcome, 'gameEnded', game.lastResult);
+}
+
+// Return everyone to the lobby after a round (ends the current match)
+function returnToLobby(game, action, outcome) {
+    game.status = 'lobby';
+    game.lastResult = null;
+    emit(outcome, 'returnedToLobby', { players: getPublicPlayers(game) });
+    return null;
+}
+
+// Every action: which states allow it, whether only the host may send it, and what it does.
+// An action in the wrong state is refused with `wrongState`, or ignored if there is none.
+// `forSeat` actions may be sent for a player on the sender's phone (see dispatch).
+const ACTIONS = {
+    join: { run: join },
+    leave: { run: leave },
+    disconnect: { run: disconnect },
+    reconnect: { run: reconnect },
+    updateSettings: {
+        hostOnly: 'change room settings',
+        states: ['lobby'],
+        wrongState: 'Settings can only be changed in the lobby',
+        run: updateSettings
+    },
+    addLocationPack: {
+        hostOnly: 'add location packs',
+        states: ['lobby'],
+        wrongState: 'Location packs can only be changed in the lobby',
+        run: addLocationPack
+    },
+    removeLocationPack: {
+        hostOnly: 'remove location packs',
+        states: ['lobby'],
+        wrongState: 'Location packs can only be changed in the lobby',
+        run: removeLocationPack
+    },
+    addBot: {
+        hostOnly: 'add bots',
+        states: ['lobby'],
+        wrongState: 'Bots can only be added in the lobby',
+        run: addBot
+    },
+    addDeviceSeat: {
+        states: ['lobby'],
+        wrongState: 'Players can only be added in the lobby',
+        run: addDeviceSeat
+    },
+    removeDeviceSeat: {
+        states: ['lobby'],
+        wrongState: 'Players can only be removed from the lobby',
+        run: removeDeviceSeat
+    },
+    setRoomLocked: { hostOnly: 'lock the room', run: setRoomLocked },
+    mutePlayer: { hostOnly: 'mute players', run: mutePlayer },
+    reportMessage: { run: reportMessage },
+    transferHost: { hostOnly: 'transfer host controls', run: transferHost },
+    kickPlayer: { hostOnly: 'kick players', run: removeByHost(false) },
+    banPlayer: { hostOnly: 'ban players', run: removeByHost(true) },
+    startGame: { hostOnly: 'start the game', run: startGame },
+    pauseGame: { hostOnly: 'pause the game', run: pauseGame },
+    resumeGame: { hostOnly: 'resume the game', run: resumeGame },
+    returnToLobby: {
+        hostOnly: 'return to the lobby',
+        states: ['ended'],
+        wrongState: 'The current round is still in progress',
+        run: returnToLobby
+    },
+    accusePlayer: { states: ['playing', 'voting'], forSeat: true, run: accusePlayer },
+    castAccusationVote: { states: ['accusing', 'voting'], forSeat: true, run: castAccusationVote },
+    spyGuess: { states: ['playing'], forSeat: true, run: spyGuess },
+    sendMessage: { states: ['playing'], run: sendMessage },
+    askQuestion: { states: ['playing'], run: askQuestion },
+    answerQuestion: { states: ['playing'], run: answerQuestion },
+    clockExpired: { states: ['playing'], run: clockExpired },
+    turnExpired: { states: ['voting'], run: turnExpired }
+};
+
+// Apply one action: {type, playerId (who acted, if anyone), seatId (acting for a player on
+// their phone, if any), ...details, now}.
+// Returns {events} or {error, events}; a refused action can still send its sender something.
+function dispatch(game, action) {
+    const definition = ACTIONS[action.type];
+    if (!definition) {
+        return { error: `Unknown action: ${action.type}`, events: [] };
+    }
+
+    if (action.seatId !== undefined) {
+        const seat = game.players.get(action.seatId);
+        if (!definition.forSeat || !seat || seat.deviceOwnerId !== action.playerId) {
+            return { error: 'That player is not on your phone', events: [] };
+        }
+        action = { ...action, playerId: seat.id };
+    }
+
+    const outcome = createOutcome(action.now ?? Date.now());
+
+    if (definition.hostOnly && action.playerId !== game.hostId) {
+        return { error: `Only host can ${definition.hostOnly}`, events: [] };
+    }
+
+    if (definition.states && !definition.states.includes(game.status)) {
+        return definition.wrongState ? { error: definition.wrongState, events: [] } : { events: [] };
+    }
+
+    const error = definition.run(game, action, outcome);
+    return error ? { error, events: outcome.events } : { events: outcome.events };
+}
+
+module.exports = {
+    MIN_PLAYERS,
+    MAX_PLAYERS,
+    MAX_BOTS,
+    FINAL_ACCUSATION_TURN_MS,
+    ROUND_POINTS,
+    LOCATIONS,
+    createGame,
+    dispatch,
+    getPendingTimeouts,
+    restoreClocks,
+    serializeGame,
+    deserializeGame,
+    isNameTaken,
+    getRoundLog,
+    getGameLocations,
+    getLocationBoard,
+    getLocationCategory,
+    getLocationRoles,
+    getLocationCategoryNames,
+    getCustomPackSummaries,
+    getFellowSpies,
+    getDeviceSeats,
+    isChatOpen,
+    isRoundPaused,
+    buildTimerInfo,
+    buildAccusationInfo,
+    buildAccusationTurnInfo,
+    buildQuestionTurnInfo,
+    buildMatchInfo
+};
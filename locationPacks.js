@@ -0,0 +1,123 @@
+// Custom location packs made by hosts in the lobby.
+// Packs arrive from the lobby form, an uploaded JSON file or a share code, so everything
+// is validated and sanitized here before it reaches a game.
+// A sanitized pack has the same shape as a built-in category: {name, locations: {location: [roles]}}
+
+const MAX_PACK_NAME_LENGTH = 30;
+const MAX_LOCATION_NAME_LENGTH = 40;
+const MAX_ROLE_NAME_LENGTH = 30;
+const MIN_PACK_LOCATIONS = 2;
+const MAX_PACK_LOCATIONS = 50;
+const MAX_ROLES_PER_LOCATION = 15;
+const MAX_PACK_CODE_LENGTH = 20000;
+const PACK_CODE_PREFIX = 'SPYPACK1-';
+
+// Same rules as chat messages, with whitespace collapsed so names compare cleanly
+function sanitizePackText(text, maxLength) {
+    if (typeof text !== 'string') return '';
+    return text.trim()
+        .replace(/[<>'"&]/g, '') // Remove potential XSS characters
+        .replace(/\s+/g, ' ')
+        .substring(0, maxLength)
+        .trim();
+}
+
+// Accepts locations as an array of names or {name, roles} objects, or as a {name: roles} map
+function readLocationEntries(locations) {
+    if (Array.isArray(locations)) {
+        return locations.map(entry => (typeof entry === 'string'
+            ? { name: entry, roles: [] }
+            : { name: entry && entry.name, roles: entry && entry.roles }));
+    }
+    if (locations && typeof locations === 'object') {
+        return Object.entries(locations).map(([name, roles]) => ({ name, roles }));
+    }
+    return null;
+}
+
+// Validate a pack from the client. Returns {pack} or {error}.
+function sanitizeLocationPack(input) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Invalid location pack' };
+    }
+
+    const name = sanitizePackText(input.name, MAX_PACK_NAME_LENGTH);
+    if (name.length < 2) {
+        return { error: 'Pack name must be at least 2 characters' };
+    }
+
+    const entries = readLocationEntries(input.locations);
+    if (!entries) {
+        return { error: 'A pack needs a list of locations' };
+    }
+    if (entries.length > MAX_PACK_LOCATIONS) {
+        return { error: `A pack can have at most ${MAX_PACK_LOCATIONS} locations` };
+    }
+
+    const locations = {};
+    const seen = new Set();
+    for (const entry of entries) {
+        const locationName = sanitizePackText(entry.name, MAX_LOCATION_NAME_LENGTH);
+        if (!locationName || seen.has(locationName.toLowerCase())) continue;
+        seen.add(locationName.toLowerCase());
+
+        if (entry.roles !== undefined && entry.roles !== null && !Array.isArray(entry.roles)) {
+            return { error: `Roles for "${locationName}" must be a list` };
+        }
+
+        const roles = [...new Set((entry.roles || [])
+            .map(role => sanitizePackText(role, MAX_ROLE_NAME_LENGTH))
+            .filter(Boolean))];
+        if (roles.length > MAX_ROLES_PER_LOCATION) {
+            return { error: `"${locationName}" can have at most ${MAX_ROLES_PER_LOCATION} roles` };
+        }
+
+        locations[locationName] = roles;
+    }
+
+    if (seen.size < MIN_PACK_LOCATIONS) {
+        return { error: `A pack needs at least ${MIN_PACK_LOCATIONS} different locations` };
+    }
+
+    return { pack: { name, locations } };
+}
+
+// Share code: a prefix plus base64url JSON, so it survives chat apps and copy/paste
+function encodePackCode(pack) {
+    const json = JSON.stringify({ name: pack.name, locations: pack.locations });
+    return PACK_CODE_PREFIX + Buffer.from(json, 'utf8').toString('base64url');
+}
+
+// Returns {pack} or {error}, with the same validation as a pack sent directly
+function decodePackCode(code) {
+    if (typeof code !== 'string' || code.length > MAX_PACK_CODE_LENGTH) {
+        return { error: 'Invalid pack code' };
+    }
+
+    const trimmed = code.trim();
+    if (!trimmed.startsWith(PACK_CODE_PREFIX)) {
+        return { error: 'Invalid pack code' };
+    }
+
+    try {
+        const json = Buffer.from(trimmed.slice(PACK_CODE_PREFIX.length), 'base64url').toString('utf8');
+        return sanitizeLocationPack(JSON.parse(json));
+    } catch (error) {
+        return { error: 'Invalid pack code' };
+    }
+}
+
+// A pack event carries either {code} from the import box or the pack itself
+function parseLocationPack(input) {
+    if (input && typeof input.code === 'string') {
+        return decodePackCode(input.code);
+    }
+    return sanitizeLocationPack(input);
+}
+
+module.exports = {
+    sanitizeLocationPack,
+    encodePackCode,
+    decodePackCode,
+    parseLocationPack
+};
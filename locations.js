@@ -0,0 +1,179 @@
+// Built-in location database, grouped into categories.
+// Each location maps to the occupations dealt to non-spies at that location.
+const LOCATION_CATEGORIES = {
+    'Public Places': {
+        'Beach': ['Lifeguard', 'Surfer', 'Ice Cream Vendor', 'Sunbather', 'Photographer', 'Tourist', 'Kite Surfer'],
+        'Park': ['Jogger', 'Dog Walker', 'Park Ranger', 'Picnicker', 'Street Musician', 'Gardener', 'Child'],
+        'Shopping Mall': ['Security Guard', 'Cashier', 'Shopper', 'Mall Santa', 'Janitor', 'Store Manager', 'Teenager'],
+        'Library': ['Librarian', 'Student', 'Researcher', 'Author', 'Retiree', 'Archivist', 'Book Club Member'],
+        'Zoo': ['Zookeeper', 'Veterinarian', 'Tour Guide', 'Visitor', 'Photographer', 'Souvenir Seller', 'School Teacher'],
+        'Museum': ['Curator', 'Security Guard', 'Tour Guide', 'Visitor', 'Art Restorer', 'Historian', 'Gift Shop Clerk'],
+        'Art Gallery': ['Artist', 'Gallery Owner', 'Art Critic', 'Collector', 'Security Guard', 'Visitor', 'Caterer'],
+        'Cathedral': ['Priest', 'Choir Singer', 'Organist', 'Tourist', 'Bell Ringer', 'Parishioner', 'Verger'],
+        'Stadium': ['Athlete', 'Coach', 'Referee', 'Fan', 'Commentator', 'Hot Dog Vendor', 'Mascot'],
+        'Farmers Market': ['Farmer', 'Beekeeper', 'Baker', 'Shopper', 'Florist', 'Cheesemaker', 'Street Musician'],
+        'Fountain Square': ['Tourist', 'Street Performer', 'Pigeon Feeder', 'Police Officer', 'Artist', 'Coin Collector', 'Couple'],
+        'Memorial': ['Veteran', 'Tour Guide', 'Historian', 'Mourner', 'Groundskeeper', 'Student', 'Photographer'],
+        'Playground': ['Child', 'Parent', 'Nanny', 'Grandparent', 'Ice Cream Vendor', 'Teenager', 'Safety Inspector'],
+        'Botanical Garden': ['Botanist', 'Gardener', 'Visitor', 'Painter', 'Beekeeper', 'Tour Guide', 'Wedding Guest'],
+        'Observatory': ['Astronomer', 'Researcher', 'Student', 'Tour Guide', 'Night Guard', 'Stargazer', 'Photographer']
+    },
+    'Transportation': {
+        'Airport': ['Pilot', 'Flight Attendant', 'Air Traffic Controller', 'Security Officer', 'Baggage Handler', 'Traveler', 'Customs Officer'],
+        'Train Station': ['Conductor', 'Ticket Inspector', 'Commuter', 'Porter', 'Newsstand Clerk', 'Station Master', 'Tourist'],
+        'Subway': ['Train Operator', 'Commuter', 'Busker', 'Transit Police', 'Tourist', 'Cleaner', 'Pickpocket'],
+        'Bus Stop': ['Bus Driver', 'Commuter', 'Student', 'Retiree', 'Tourist', 'Street Sweeper', 'Ticket Inspector'],
+        'Taxi': ['Taxi Driver', 'Passenger', 'Tourist', 'Business Traveler', 'Dispatcher', 'Traffic Officer', 'Mechanic'],
+        'Passenger Plane': ['Pilot', 'Co-Pilot', 'Flight Attendant', 'First Class Passenger', 'Economy Passenger', 'Air Marshal', 'Mechanic'],
+        'Cruise Ship': ['Captain', 'Bartender', 'Entertainer', 'Passenger', 'Cook', 'Deckhand', 'Lifeguard'],
+        'Ferry': ['Captain', 'Deckhand', 'Ticket Seller', 'Commuter', 'Truck Driver', 'Tourist', 'Snack Bar Clerk'],
+        'Helicopter Pad': ['Pilot', 'Mechanic', 'Paramedic', 'Executive', 'Tour Guide', 'Ground Crew', 'Reporter'],
+        'Car Dealership': ['Salesperson', 'Customer', 'Finance Manager', 'Mechanic', 'Receptionist', 'Car Washer', 'Test Driver'],
+        'Gas Station': ['Cashier', 'Trucker', 'Mechanic', 'Road Tripper', 'Delivery Driver', 'Car Washer', 'Owner'],
+        'Parking Garage': ['Parking Attendant', 'Security Guard', 'Driver', 'Valet', 'Tow Truck Driver', 'Commuter', 'Cleaner']
+    },
+    'Entertainment': {
+        'Movie Theater': ['Projectionist', 'Usher', 'Ticket Seller', 'Moviegoer', 'Popcorn Seller', 'Film Critic', 'Manager'],
+        'Theater': ['Actor', 'Director', 'Stagehand', 'Usher', 'Audience Member', 'Prompter', 'Costume Designer'],
+        'Casino': ['Dealer', 'Gambler', 'Bouncer', 'Manager', 'Bartender', 'Security Guard', 'Cocktail Waitress'],
+        'Circus': ['Acrobat', 'Clown', 'Animal Trainer', 'Juggler', 'Magician', 'Ringmaster', 'Visitor'],
+        'Night Club': ['DJ', 'Bouncer', 'Bartender', 'Dancer', 'Promoter', 'VIP Guest', 'Coat Check Clerk'],
+        'Bowling Alley': ['Bowler', 'Shoe Rental Clerk', 'League Captain', 'Mechanic', 'Snack Bar Cook', 'Birthday Kid', 'Owner'],
+        'Arcade': ['Gamer', 'Technician', 'Prize Counter Clerk', 'Parent', 'Teenager', 'High Score Holder', 'Owner'],
+        'Comedy Club': ['Comedian', 'Heckler', 'Host', 'Bartender', 'Waiter', 'Talent Scout', 'Audience Member'],
+        'Concert Hall': ['Conductor', 'Violinist', 'Pianist', 'Usher', 'Sound Engineer', 'Audience Member', 'Critic'],
+        'Amusement Park': ['Ride Operator', 'Mascot', 'Thrill Seeker', 'Parent', 'Food Vendor', 'Security Guard', 'Photographer'],
+        'Mini Golf': ['Golfer', 'Attendant', 'Child', 'Couple on a Date', 'Groundskeeper', 'Birthday Guest', 'Owner'],
+        'Escape Room': ['Game Master', 'Puzzle Designer', 'Team Leader', 'Player', 'Receptionist', 'Actor', 'Birthday Guest'],
+        'Karaoke Bar': ['Singer', 'Host', 'Bartender', 'Sound Technician', 'Birthday Guest', 'Shy Friend', 'Waiter']
+    },
+    'Food & Dining': {
+        'Restaurant': ['Chef', 'Waiter', 'Host', 'Customer', 'Food Critic', 'Dishwasher', 'Sommelier'],
+        'Cafe': ['Barista', 'Customer', 'Freelancer', 'Student', 'Baker', 'Owner', 'Delivery Driver'],
+        'Fast Food': ['Cashier', 'Fry Cook', 'Manager', 'Customer', 'Delivery Driver', 'Cleaner', 'Drive-Through Operator'],
+        'Food Truck': ['Cook', 'Owner', 'Customer', 'Office Worker', 'Festival Goer', 'Health Inspector', 'Food Blogger'],
+        'Bakery': ['Baker', 'Pastry Chef', 'Cashier', 'Customer', 'Cake Decorator', 'Delivery Driver', 'Owner'],
+        'Ice Cream Shop': ['Scooper', 'Customer', 'Child', 'Owner', 'Sundae Specialist', 'Delivery Driver', 'Teenager'],
+        'Pizza Place': ['Pizza Chef', 'Delivery Driver', 'Cashier', 'Customer', 'Dishwasher', 'Owner', 'Birthday Kid'],
+        'Sushi Bar': ['Sushi Chef', 'Waiter', 'Customer', 'Fish Supplier', 'Food Critic', 'Owner', 'Dishwasher'],
+        'Buffet': ['Chef', 'Server', 'Customer', 'Manager', 'Dishwasher', 'Food Critic', 'Hungry Teenager'],
+        'Drive-Through': ['Order Taker', 'Cook', 'Driver', 'Manager', 'Passenger', 'Delivery Driver', 'Cashier'],
+        'Food Court': ['Cook', 'Cashier', 'Shopper', 'Cleaner', 'Security Guard', 'Teenager', 'Office Worker'],
+        'Wine Tasting': ['Sommelier', 'Winemaker', 'Guest', 'Waiter', 'Wine Critic', 'Tour Guide', 'Collector'],
+        'Vineyard': ['Winemaker', 'Grape Picker', 'Tour Guide', 'Visitor', 'Owner', 'Sommelier', 'Tractor Driver']
+    },
+    'Healthcare': {
+        'Hospital': ['Surgeon', 'Nurse', 'Patient', 'Anesthesiologist', 'Intern', 'Therapist', 'Receptionist'],
+        'Doctors Office': ['Doctor', 'Nurse', 'Patient', 'Receptionist', 'Pharmaceutical Rep', 'Medical Student', 'Parent'],
+        'Dentist': ['Dentist', 'Hygienist', 'Patient', 'Receptionist', 'Orthodontist', 'Nervous Child', 'Dental Assistant'],
+        'Pharmacy': ['Pharmacist', 'Cashier', 'Customer', 'Delivery Driver', 'Pharmacy Technician', 'Doctor', 'Elderly Patient'],
+        'Veterinary Clinic': ['Veterinarian', 'Vet Nurse', 'Pet Owner', 'Receptionist', 'Groomer', 'Dog Walker', 'Farmer'],
+        'Physical Therapy': ['Physical Therapist', 'Patient', 'Athlete', 'Receptionist', 'Massage Therapist', 'Intern', 'Retiree'],
+        'Day Spa': ['Masseuse', 'Beautician', 'Client', 'Receptionist', 'Manicurist', 'Bride to Be', 'Manager'],
+        'Massage Parlor': ['Massage Therapist', 'Client', 'Receptionist', 'Owner', 'Athlete', 'Office Worker', 'Cleaner'],
+        'Yoga Studio': ['Yoga Instructor', 'Student', 'Beginner', 'Receptionist', 'Meditation Guru', 'Athlete', 'Owner'],
+        'Gym': ['Personal Trainer', 'Bodybuilder', 'Beginner', 'Receptionist', 'Cleaner', 'Yoga Instructor', 'Owner'],
+        'Blood Bank': ['Nurse', 'Donor', 'Lab Technician', 'Receptionist', 'Doctor', 'Volunteer', 'Courier'],
+        'Mental Health Clinic': ['Psychiatrist', 'Therapist', 'Patient', 'Receptionist', 'Social Worker', 'Nurse', 'Counselor']
+    },
+    'Education': {
+        'School': ['Teacher', 'Principal', 'Student', 'Janitor', 'Lunch Lady', 'Gym Teacher', 'School Nurse'],
+        'University': ['Professor', 'Student', 'Dean', 'Teaching Assistant', 'Librarian', 'Researcher', 'Campus Guard'],
+        'Kindergarten': ['Teacher', 'Child', 'Parent', 'Principal', 'Cook', 'Nurse', 'Music Teacher'],
+        'Driving School': ['Driving Instructor', 'Student Driver', 'Examiner', 'Receptionist', 'Parent', 'Mechanic', 'Nervous Teenager'],
+        'Language School': ['Teacher', 'Student', 'Translator', 'Exchange Student', 'Receptionist', 'Tutor', 'Director'],
+        'Art School': ['Art Teacher', 'Student', 'Model', 'Sculptor', 'Gallery Scout', 'Janitor', 'Dean'],
+        'Cooking Class': ['Chef Instructor', 'Student', 'Assistant', 'Dishwasher', 'Food Critic', 'Couple', 'Supplier'],
+        'Dance Studio': ['Dance Instructor', 'Dancer', 'Beginner', 'Pianist', 'Parent', 'Choreographer', 'Receptionist'],
+        'Music School': ['Music Teacher', 'Student', 'Pianist', 'Conductor', 'Parent', 'Piano Tuner', 'Composer'],
+        'Tutoring Center': ['Tutor', 'Student', 'Parent', 'Director', 'Receptionist', 'Test Prep Coach', 'Volunteer'],
+        'Laboratory': ['Scientist', 'Lab Technician', 'Intern', 'Safety Officer', 'Test Subject', 'Professor', 'Janitor'],
+        'Lecture Hall': ['Professor', 'Student', 'Teaching Assistant', 'Guest Speaker', 'AV Technician', 'Janitor', 'Late Student']
+    },
+    'Business': {
+        'Bank': ['Teller', 'Bank Manager', 'Customer', 'Security Guard', 'Loan Officer', 'Armored Car Driver', 'Robber'],
+        'Office': ['Manager', 'Intern', 'Accountant', 'Receptionist', 'IT Specialist', 'CEO', 'Janitor'],
+        'Corporate Party': ['CEO', 'Manager', 'Intern', 'Caterer', 'DJ', 'Accountant', 'Party Planner'],
+        'Meeting Room': ['Presenter', 'Manager', 'Note Taker', 'Client', 'Intern', 'IT Specialist', 'Consultant'],
+        'Coworking Space': ['Freelancer', 'Startup Founder', 'Community Manager', 'Designer', 'Developer', 'Barista', 'Investor'],
+        'Law Firm': ['Lawyer', 'Paralegal', 'Client', 'Senior Partner', 'Receptionist', 'Intern', 'Private Investigator'],
+        'Accounting Office': ['Accountant', 'Auditor', 'Client', 'Bookkeeper', 'Receptionist', 'Tax Advisor', 'Intern'],
+        'Real Estate Agency': ['Realtor', 'Home Buyer', 'Seller', 'Broker', 'Receptionist', 'Photographer', 'Home Inspector'],
+        'Insurance Office': ['Insurance Agent', 'Claims Adjuster', 'Client', 'Receptionist', 'Manager', 'Actuary', 'Intern'],
+        'Post Office': ['Postal Clerk', 'Mail Carrier', 'Customer', 'Sorter', 'Manager', 'Delivery Driver', 'Stamp Collector'],
+        'Print Shop': ['Printer', 'Designer', 'Customer', 'Manager', 'Delivery Driver', 'Intern', 'Bookbinder'],
+        'Copy Center': ['Clerk', 'Student', 'Office Worker', 'Technician', 'Manager', 'Self-Publisher', 'Teacher']
+    },
+    'Services': {
+        'Police Station': ['Detective', 'Police Officer', 'Suspect', 'Lawyer', 'Desk Sergeant', 'Witness', 'Journalist'],
+        'Fire Station': ['Firefighter', 'Fire Chief', 'Dispatcher', 'Paramedic', 'Cook', 'Visitor', 'Mechanic'],
+        'Embassy': ['Ambassador', 'Diplomat', 'Security Guard', 'Translator', 'Visa Applicant', 'Secretary', 'Refugee'],
+        'City Hall': ['Mayor', 'Council Member', 'Clerk', 'Citizen', 'Journalist', 'Security Guard', 'Lobbyist'],
+        'Courthouse': ['Judge', 'Defendant', 'Prosecutor', 'Defense Attorney', 'Juror', 'Bailiff', 'Court Reporter'],
+        'DMV': ['Clerk', 'Driving Examiner', 'Customer', 'Security Guard', 'Manager', 'Photographer', 'Impatient Driver'],
+        'Passport Office': ['Clerk', 'Applicant', 'Photographer', 'Security Guard', 'Manager', 'Traveler', 'Translator'],
+        'Social Security Office': ['Clerk', 'Retiree', 'Applicant', 'Security Guard', 'Manager', 'Social Worker', 'Interpreter'],
+        'Tax Office': ['Tax Inspector', 'Taxpayer', 'Accountant', 'Clerk', 'Manager', 'Auditor', 'Security Guard'],
+        'Hair Salon': ['Hairdresser', 'Customer', 'Colorist', 'Receptionist', 'Manicurist', 'Bride to Be', 'Owner'],
+        'Barbershop': ['Barber', 'Customer', 'Apprentice', 'Owner', 'Regular', 'Child', 'Shoe Shiner'],
+        'Laundromat': ['Attendant', 'Customer', 'Student', 'Repair Technician', 'Owner', 'Parent', 'Delivery Driver'],
+        'Dry Cleaner': ['Dry Cleaner', 'Customer', 'Tailor', 'Delivery Driver', 'Presser', 'Owner', 'Businessperson']
+    },
+    'Accommodation': {
+        'Hotel': ['Receptionist', 'Bellhop', 'Housekeeper', 'Guest', 'Concierge', 'Hotel Manager', 'Room Service Waiter'],
+        'Motel': ['Night Clerk', 'Trucker', 'Road Tripper', 'Housekeeper', 'Owner', 'Traveling Salesperson', 'Private Investigator'],
+        'Hostel': ['Backpacker', 'Receptionist', 'Cleaner', 'Tour Guide', 'Volunteer', 'Student', 'Owner'],
+        'Bed & Breakfast': ['Host', 'Cook', 'Guest', 'Honeymooner', 'Housekeeper', 'Travel Writer', 'Gardener'],
+        'Resort': ['Resort Manager', 'Lifeguard', 'Bartender', 'Guest', 'Entertainer', 'Spa Therapist', 'Chef'],
+        'Camping Ground': ['Camper', 'Park Ranger', 'Scout Leader', 'Hiker', 'Fisherman', 'Campground Host', 'Child'],
+        'RV Park': ['RV Owner', 'Park Manager', 'Retiree', 'Mechanic', 'Traveling Family', 'Maintenance Worker', 'Dog Walker'],
+        'Guest House': ['Host', 'Guest', 'Cleaner', 'Cook', 'Backpacker', 'Neighbor', 'Business Traveler'],
+        'Vacation Rental': ['Host', 'Guest', 'Cleaner', 'Property Manager', 'Neighbor', 'Handyman', 'Family on Vacation']
+    },
+    'Retail': {
+        'Grocery Store': ['Cashier', 'Stocker', 'Butcher', 'Shopper', 'Store Manager', 'Bagger', 'Security Guard'],
+        'Department Store': ['Sales Associate', 'Shopper', 'Store Manager', 'Security Guard', 'Mannequin Dresser', 'Cashier', 'Personal Shopper'],
+        'Clothing Store': ['Sales Associate', 'Shopper', 'Tailor', 'Store Manager', 'Model', 'Cashier', 'Fashion Designer'],
+        'Electronics Store': ['Salesperson', 'Technician', 'Customer', 'Gamer', 'Store Manager', 'Cashier', 'Delivery Driver'],
+        'Bookstore': ['Bookseller', 'Author', 'Reader', 'Student', 'Owner', 'Cafe Barista', 'Book Critic'],
+        'Toy Store': ['Salesperson', 'Child', 'Parent', 'Store Manager', 'Toy Tester', 'Grandparent', 'Cashier'],
+        'Pet Store': ['Clerk', 'Pet Owner', 'Groomer', 'Veterinarian', 'Child', 'Store Manager', 'Aquarium Specialist'],
+        'Jewelry Store': ['Jeweler', 'Customer', 'Security Guard', 'Appraiser', 'Store Manager', 'Engaged Couple', 'Thief'],
+        'Furniture Store': ['Salesperson', 'Customer', 'Interior Designer', 'Delivery Driver', 'Store Manager', 'Couple', 'Carpenter'],
+        'Hardware Store': ['Clerk', 'Contractor', 'Handyman', 'Customer', 'Store Manager', 'Key Cutter', 'Gardener'],
+        'Thrift Shop': ['Volunteer', 'Shopper', 'Donor', 'Store Manager', 'Collector', 'Student', 'Fashion Blogger'],
+        'Antique Shop': ['Antique Dealer', 'Collector', 'Appraiser', 'Customer', 'Restorer', 'Historian', 'Tourist']
+    },
+    'Unique Locations': {
+        'Space Station': ['Astronaut', 'Commander', 'Engineer', 'Scientist', 'Space Tourist', 'Doctor', 'Mission Specialist'],
+        'Pirate Ship': ['Captain', 'First Mate', 'Cook', 'Sailor', 'Prisoner', 'Cannoneer', 'Navigator'],
+        'Polar Station': ['Researcher', 'Expedition Leader', 'Meteorologist', 'Radio Operator', 'Medic', 'Geologist', 'Cook'],
+        'Military Base': ['General', 'Soldier', 'Sniper', 'Medic', 'Drill Sergeant', 'Radio Operator', 'Deserter'],
+        'Prison': ['Warden', 'Prison Guard', 'Prisoner', 'Lawyer', 'Visitor', 'Cook', 'Chaplain'],
+        'Retirement Home': ['Resident', 'Nurse', 'Caretaker', 'Visiting Relative', 'Cook', 'Activities Director', 'Doctor'],
+        'Factory': ['Assembly Worker', 'Foreman', 'Engineer', 'Forklift Driver', 'Safety Inspector', 'Intern', 'Manager'],
+        'Construction Site': ['Construction Worker', 'Architect', 'Crane Operator', 'Foreman', 'Electrician', 'Safety Inspector', 'Plumber'],
+        'Oil Rig': ['Driller', 'Engineer', 'Rig Manager', 'Diver', 'Cook', 'Helicopter Pilot', 'Medic'],
+        'Lighthouse': ['Lighthouse Keeper', 'Sailor', 'Tourist', 'Fisherman', 'Historian', 'Photographer', 'Coast Guard'],
+        'Nuclear Plant': ['Reactor Operator', 'Physicist', 'Safety Inspector', 'Security Guard', 'Engineer', 'Technician', 'Plant Manager']
+    },
+    'Outdoor Adventures': {
+        'Mountain Cabin': ['Hiker', 'Cabin Owner', 'Hunter', 'Writer on Retreat', 'Park Ranger', 'Woodcutter', 'Lost Tourist'],
+        'Lake House': ['Homeowner', 'Guest', 'Fisherman', 'Boat Captain', 'Water Skier', 'Neighbor', 'Caretaker'],
+        'Fishing Pier': ['Fisherman', 'Bait Seller', 'Tourist', 'Pelican Watcher', 'Harbor Master', 'Child', 'Photographer'],
+        'Hiking Trail': ['Hiker', 'Park Ranger', 'Trail Runner', 'Bird Watcher', 'Photographer', 'Dog Walker', 'Botanist'],
+        'Ski Resort': ['Ski Instructor', 'Skier', 'Snowboarder', 'Lift Operator', 'Ski Patrol', 'Bartender', 'Medic'],
+        'Beach Resort': ['Lifeguard', 'Bartender', 'Guest', 'Surf Instructor', 'Masseuse', 'Entertainer', 'Resort Manager'],
+        'National Park': ['Park Ranger', 'Hiker', 'Camper', 'Wildlife Biologist', 'Photographer', 'Tour Guide', 'Tourist'],
+        'Safari': ['Safari Guide', 'Tourist', 'Photographer', 'Driver', 'Wildlife Biologist', 'Hunter', 'Park Ranger'],
+        'Desert Camp': ['Camel Driver', 'Guide', 'Tourist', 'Cook', 'Archaeologist', 'Photographer', 'Nomad'],
+        'Forest Lodge': ['Lodge Owner', 'Hunter', 'Guest', 'Cook', 'Forest Ranger', 'Bird Watcher', 'Lumberjack'],
+        'River Rapids': ['Rafting Guide', 'Kayaker', 'Tourist', 'Lifeguard', 'Photographer', 'Fisherman', 'Park Ranger'],
+        'Cave Exploration': ['Spelunker', 'Guide', 'Geologist', 'Photographer', 'Tourist', 'Rescue Diver', 'Archaeologist']
+    }
+};
+
+// Flatten all locations for backward compatibility
+const LOCATIONS = Object.values(LOCATION_CATEGORIES).flatMap(category => Object.keys(category));
+
+module.exports = { LOCATION_CATEGORIES, LOCATIONS };
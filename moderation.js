@@ -0,0 +1,73 @@
+// Chat word filter. Messages are already sanitized (see sanitizeChatMessage in server.js);
+// this only masks blocked words. The list is the built-in one below plus, if set, one word
+// per line from the file named by BLOCKED_WORDS_FILE ('#' starts a comment). Rooms can add
+// their own words on top (settings.blockedWords).
+const fs = require('fs');
+
+const MAX_ROOM_BLOCKED_WORDS = 50;
+const MAX_BLOCKED_WORD_LENGTH = 30;
+
+const DEFAULT_BLOCKED_WORDS = [
+    'arse', 'arsehole', 'ass', 'asshole', 'bastard', 'bitch', 'bollocks', 'bullshit',
+    'cock', 'crap', 'cunt', 'damn', 'dick', 'dickhead', 'fuck', 'fucker', 'fucking',
+    'motherfucker', 'piss', 'prick', 'pussy', 'shit', 'shitty', 'slut', 'twat', 'wanker', 'whore'
+];
+
+// Lowercase letters, digits and inner spaces only, so a word can go straight into a RegExp
+function normalizeWord(word) {
+    if (typeof word !== 'string') return '';
+    return word.toLowerCase()
+        .replace(/[^a-z0-9 ]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, MAX_BLOCKED_WORD_LENGTH);
+}
+
+// Words from a local file, one per line
+function loadWordList(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .map(line => normalizeWord(line.split('#')[0]))
+        .filter(word => word.length >= 2);
+}
+
+function loadBlockedWordsFromEnv(env = process.env) {
+    if (!env.BLOCKED_WORDS_FILE) return DEFAULT_BLOCKED_WORDS;
+
+    try {
+        return [...new Set([...DEFAULT_BLOCKED_WORDS, ...loadWordList(env.BLOCKED_WORDS_FILE)])];
+    } catch (error) {
+        console.error(`🤬 Could not read BLOCKED_WORDS_FILE (${env.BLOCKED_WORDS_FILE}), using the built-in list:`, error.message);
+        return DEFAULT_BLOCKED_WORDS;
+    }
+}
+
+const BLOCKED_WORDS = loadBlockedWordsFromEnv();
+
+// A room's extra words from the lobby settings: normalized, deduplicated and capped
+function sanitizeBlockedWords(words) {
+    if (!Array.isArray(words)) return [];
+    const normalized = words.map(normalizeWord).filter(word => word.length >= 2);
+    return [...new Set(normalized)].slice(0, MAX_ROOM_BLOCKED_WORDS);
+}
+
+// Mask whole blocked words (and their plurals) with asterisks. Returns {text, matches}.
+function censorText(text, extraWords = []) {
+    const words = [...BLOCKED_WORDS, ...extraWords].map(word => word.replace(/ /g, '\\s+'));
+    const pattern = new RegExp(`\\b(${words.join('|')})(s|es)?\\b`, 'gi');
+
+    let matches = 0;
+    const censored = text.replace(pattern, match => {
+        matches++;
+        return match[0] + '*'.repeat(match.length - 1);
+    });
+    return { text: censored, matches };
+}
+
+module.exports = {
+    MAX_ROOM_BLOCKED_WORDS,
+    BLOCKED_WORDS,
+    loadWordList,
+    sanitizeBlockedWords,
+    censorText
+};
@@ -0,0 +1,69 @@
+// What each recipient may see of a game. Every payload that carries players or spectators
+// goes through these, so internal fields (reconnection tokens, socket ids, roles, IPs)
+// only leave the server for the people allowed to see them:
+//   public   - anyone in the room, including spectators
+//   own      - a player's view of their own seat
+//   revealed - everyone, once the round is over
+
+// Fields anyone in the room may see
+function toPublicPlayer(player) {
+    return {
+        id: player.id,
+        name: player.name,
+        isBot: player.isBot,
+        deviceOwnerId: player.deviceOwnerId,
+        isHost: player.isHost,
+        isConnected: player.isConnected,
+        isCaught: player.isCaught,
+        isMuted: player.isMuted
+    };
+}
+
+// A player's own seat: adds their secret role and per-round state
+function toOwnPlayer(player) {
+    return {
+        ...toPublicPlayer(player),
+        role: player.role,
+        occupation: player.occupation,
+        hasAccused: player.hasAccused,
+        hasGuessed: player.hasGuessed
+    };
+}
+
+// End-of-round reveal
+function toRevealedPlayer(player) {
+    return {
+        id: player.id,
+        name: player.name,
+        role: player.role,
+        occupation: player.occupation,
+        isCaught: player.isCaught
+    };
+}
+
+// Just enough to name someone in an event
+function toPlayerRef(player) {
+    return { id: player.id, name: player.name };
+}
+
+function getPublicPlayers(game) {
+    return Array.from(game.players.values()).map(toPublicPlayer);
+}
+
+function getRevealedPlayers(game) {
+    return Array.from(game.players.values()).map(toRevealedPlayer);
+}
+
+function getSpectatorList(game) {
+    return Array.from(game.spectators.values()).map(spectator => ({ id: spectator.id, name: spectator.name }));
+}
+
+module.exports = {
+    toPublicPlayer,
+    toOwnPlayer,
+    toRevealedPlayer,
+    toPlayerRef,
+    getPublicPlayers,
+    getRevealedPlayers,
+    getSpectatorList
+};
@@ -0,0 +1,189 @@
+// Shared state and Socket.IO adapter for running several server processes.
+// A state store is a small async key/value API shared by every process:
+//   get(key), set(key, value, ttlMs), setIfAbsent(key, value, ttlMs) -> boolean, delete(key),
+//   increment(key, ttlMs) -> number, decrement(key) -> number
+// A ttlMs makes the key expire; without one it is kept until deleted.
+const crypto = require('crypto');
+const { ClusterAdapter } = require('socket.io-adapter');
+
+// Process-local store: the default for a single instance, and the stand-in for tests
+function createMemoryStateStore() {
+    const entries = new Map(); // key -> {value, expiresAt}
+
+    function read(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && Date.now() > entry.expiresAt) {
+            entries.delete(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            return read(key);
+        },
+
+        async set(key, value, ttlMs) {
+            entries.set(key, { value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+        },
+
+        async setIfAbsent(key, value, ttlMs) {
+            if (read(key) !== null) return false;
+            entries.set(key, { value: String(value), expiresAt: ttlMs ? Date.now() + ttlMs : null });
+            return true;
+        },
+
+        async delete(key) {
+            entries.delete(key);
+        },
+
+        async increment(key, ttlMs) {
+            const current = read(key);
+            const count = (current === null ? 0 : parseInt(current, 10)) + 1;
+            const expiresAt = current === null
+                ? (ttlMs ? Date.now() + ttlMs : null)
+                : entries.get(key).expiresAt;
+            entries.set(key, { value: String(count), expiresAt });
+            return count;
+        },
+
+        async decrement(key) {
+            const current = read(key);
+            const count = (current === null ? 0 : parseInt(current, 10)) - 1;
+            if (count <= 0) {
+                entries.delete(key);
+                return 0;
+            }
+            entries.get(key).value = String(count);
+            return count;
+        }
+    };
+}
+
+// Store backed by a connected node-redis v4 client
+function createRedisStateStore(client, prefix = 'spyfall:') {
+    return {
+        name: 'redis',
+
+        async get(key) {
+            return client.get(prefix + key);
+        },
+
+        async set(key, value, ttlMs) {
+            await client.set(prefix + key, String(value), ttlMs ? { PX: ttlMs } : {});
+        },
+
+        async setIfAbsent(key, value, ttlMs) {
+            return (await client.set(prefix + key, String(value), { NX: true, ...(ttlMs ? { PX: ttlMs } : {}) })) === 'OK';
+        },
+
+        async delete(key) {
+            await client.del(prefix + key);
+        },
+
+        async increment(key, ttlMs) {
+            const count = await client.incr(prefix + key);
+            if (count === 1 && ttlMs) {
+                await client.pExpire(prefix + key, ttlMs);
+            }
+            return count;
+        },
+
+        async decrement(key) {
+            const count = await client.decr(prefix + key);
+            if (count <= 0) {
+                await client.del(prefix + key);
+                return 0;
+            }
+            return count;
+        }
+    };
+}
+
+// In-process message bus that lets several Socket.IO servers in one process act as a cluster.
+// Returns an adapter constructor for io.adapter(); give every server in the test the same one.
+function createLocalAdapter() {
+    const adapters = new Set();
+
+    class LocalClusterAdapter extends ClusterAdapter {
+        constructor(nsp) {
+            super(nsp);
+            adapters.add(this);
+        }
+
+        doPublish(message) {
+            setImmediate(() => {
+                adapters.forEach(adapter => {
+                    if (adapter !== this && adapter.nsp.name === message.nsp) {
+                        adapter.onMessage(message);
+                    }
+                });
+            });
+            return Promise.resolve('');
+        }
+
+        doPublishResponse(requesterUid, response) {
+            setImmediate(() => {
+                adapters.forEach(adapter => {
+                    if (adapter.uid === requesterUid && adapter.nsp.name === response.nsp) {
+                        adapter.onResponse(response);
+                    }
+                });
+            });
+            return Promise.resolve();
+        }
+
+        serverCount() {
+            return Promise.resolve(adapters.size);
+        }
+
+        close() {
+            adapters.delete(this);
+        }
+    }
+
+    return LocalClusterAdapter;
+}
+
+// Pick the adapter and state store from the environment.
+// With REDIS_URL set, rooms and shared state go through Redis; otherwise everything stays in this process.
+function setupScaling(io, env = process.env) {
+    const nodeId = env.NODE_ID || crypto.randomBytes(8).toString('hex');
+
+    if (!env.REDIS_URL) {
+        return {
+            nodeId,
+            stateStore: createMemoryStateStore(),
+            ready: Promise.resolve()
+        };
+    }
+
+    const { createClient } = require('redis');
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = createClient({ url: env.REDIS_URL });
+    const subClient = pubClient.duplicate();
+    pubClient.on('error', error => console.error('🧵 Redis error:', error));
+    subClient.on('error', error => console.error('🧵 Redis error:', error));
+
+    const ready = Promise.all([pubClient.connect(), subClient.connect()]).then(() => {
+        io.adapter(createAdapter(pubClient, subClient));
+    });
+
+    return {
+        nodeId,
+        stateStore: createRedisStateStore(pubClient),
+        ready
+    };
+}
+
+module.exports = {
+    createMemoryStateStore,
+    createRedisStateStore,
+    createLocalAdapter,
+    setupScaling
+};
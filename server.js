@@ -7,16 +7,43 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { createStoreFromEnv } = require('./storage');
+const { setupScaling } = require('./scaling');
+const {
+    createGame,
+    dispatch,
+    getPendingTimeouts,
+    restoreClocks,
+    serializeGame,
+    deserializeGame,
+    isNameTaken,
+    getGameLocations,
+    getLocationBoard,
+    getLocationCategoryNames,
+    getCustomPackSummaries,
+    getFellowSpies,
+    getDeviceSeats,
+    buildTimerInfo,
+    buildAccusationInfo,
+    buildAccusationTurnInfo,
+    buildQuestionTurnInfo,
+    buildMatchInfo
+} = require('./gameEngine');
+const { planBotTurns, planRestoredBotTurns, decideBotTurn } = require('./bots');
+const {
+    toOwnPlayer,
+    toPlayerRef,
+    getPublicPlayers,
+    getSpectatorList
+} = require('./projections');
 
 const app = express();
 const server = http.createServer(app);
 
-// Game Configuration Constants
-const GAME_TIMER_SECONDS = 480; // 8 minutes
-const MIN_PLAYERS = 4;
-const MAX_PLAYERS = 15;
-const CHAT_COOLDOWN_MS = 3000;
-const VOTE_COOLDOWN_MS = 5000;
+// Connection Configuration Constants (game rules live in gameEngine.js)
+const MAX_SPECTATORS = 20;
+const VOTE_COOLDOWN_MS = 5000; // Between accusations from the same socket
+const TIMER_SYNC_INTERVAL_MS = 15000; // Clients count down locally; this just corrects their drift
 const MAX_CHAT_LENGTH = 200;
 const MAX_NAME_LENGTH = 20;
 
@@ -25,6 +52,17 @@ const RECONNECTION_GRACE_PERIOD = 180000; // 3 minutes
 const MOBILE_GRACE_PERIOD = 300000; // 5 minutes for mobile
 const RECONNECTION_TOKEN_LENGTH = 32;
 const MAX_RECONNECTION_ATTEMPTS = 5;
+const RECONNECTION_ATTEMPT_WINDOW_MS = 60000; // MAX_RECONNECTION_ATTEMPTS per IP per minute
+const REJOIN_REQUEST_TIMEOUT_MS = 60000; // How long the host has to answer a rejoin request
+const MAX_CONNECTIONS_PER_IP = 10;
+const MAX_ROOM_CODE_ATTEMPTS = 20;
+const CONNECTION_COUNT_TTL_MS = 60 * 60 * 1000; // Lets counts left by a crashed process expire
+const ROOM_CLAIM_TTL_MS = 60000; // A room's owner must renew its claim within this, or another process can take the code
+const ROOM_CLAIM_REFRESH_MS = 20000;
+
+// Persistence Configuration
+const SNAPSHOT_INTERVAL_MS = 5000; // How often live games are written to the store
+const SNAPSHOT_VERSION = 1;
 
 // Security Configuration
 // 1. Helmet - Sets security headers to protect against common attacks
@@ -75,83 +113,26 @@ const chatLimiter = rateLimit({
 
 // Serve static files
 app.use(express.static(__dirname));
-
-// Enhanced location database with categories
-const LOCATION_CATEGORIES = {
-    'Public Places': [
-        'Beach', 'Park', 'Shopping Mall', 'Library', 'Zoo', 'Museum',
-        'Art Gallery', 'Cathedral', 'Stadium', 'Farmers Market', 'Fountain Square',
-        'Memorial', 'Playground', 'Botanical Garden', 'Observatory'
-    ],
-    'Transportation': [
-        'Airport', 'Train Station', 'Subway', 'Bus Stop', 'Taxi',
-        'Passenger Plane', 'Cruise Ship', 'Ferry', 'Helicopter Pad',
-        'Car Dealership', 'Gas Station', 'Parking Garage'
-    ],
-    'Entertainment': [
-        'Movie Theater', 'Theater', 'Casino', 'Circus', 'Night Club',
-        'Bowling Alley', 'Arcade', 'Comedy Club', 'Concert Hall',
-        'Amusement Park', 'Mini Golf', 'Escape Room', 'Karaoke Bar'
-    ],
-    'Food & Dining': [
-        'Restaurant', 'Cafe', 'Fast Food', 'Food Truck', 'Bakery',
-        'Ice Cream Shop', 'Pizza Place', 'Sushi Bar', 'Buffet',
-        'Drive-Through', 'Food Court', 'Wine Tasting', 'Vineyard'
-    ],
-    'Healthcare': [
-        'Hospital', 'Doctors Office', 'Dentist', 'Pharmacy', 'Veterinary Clinic',
-        'Physical Therapy', 'Day Spa', 'Massage Parlor', 'Yoga Studio',
-        'Gym', 'Blood Bank', 'Mental Health Clinic'
-    ],
-    'Education': [
-        'School', 'University', 'Kindergarten', 'Driving School', 'Language School',
-        'Art School', 'Cooking Class', 'Dance Studio', 'Music School',
-        'Tutoring Center', 'Laboratory', 'Lecture Hall'
-    ],
-    'Business': [
-        'Bank', 'Office', 'Corporate Party', 'Meeting Room', 'Coworking Space',
-        'Law Firm', 'Accounting Office', 'Real Estate Agency', 'Insurance Office',
-        'Post Office', 'Print Shop', 'Copy Center'
-    ],
-    'Services': [
-        'Police Station', 'Fire Station', 'Embassy', 'City Hall', 'Courthouse',
-        'DMV', 'Passport Office', 'Social Security Office', 'Tax Office',
-        'Hair Salon', 'Barbershop', 'Laundromat', 'Dry Cleaner'
-    ],
-    'Accommodation': [
-        'Hotel', 'Motel', 'Hostel', 'Bed & Breakfast', 'Resort',
-        'Camping Ground', 'RV Park', 'Guest House', 'Vacation Rental'
-    ],
-    'Retail': [
-        'Grocery Store', 'Department Store', 'Clothing Store', 'Electronics Store',
-        'Bookstore', 'Toy Store', 'Pet Store', 'Jewelry Store', 'Furniture Store',
-        'Hardware Store', 'Thrift Shop', 'Antique Shop'
-    ],
-    'Unique Locations': [
-        'Space Station', 'Pirate Ship', 'Polar Station', 'Military Base',
-        'Prison', 'Retirement Home', 'Factory', 'Construction Site',
-        'Oil Rig', 'Lighthouse', 'Nuclear Plant'
-    ],
-    'Outdoor Adventures': [
-        'Mountain Cabin', 'Lake House', 'Fishing Pier', 'Hiking Trail',
-        'Ski Resort', 'Beach Resort', 'National Park', 'Safari',
-        'Desert Camp', 'Forest Lodge', 'River Rapids', 'Cave Exploration'
-    ]
-};
-
-// Flatten all locations for backward compatibility
-const LOCATIONS = Object.values(LOCATION_CATEGORIES).flat();
-
 // Game state
 const games = new Map(); // roomCode -> game object
 const players = new Map(); // socketId -> player object
-const disconnectedPlayers = new Map(); // reconnectionToken -> {playerId, roomCode, timestamp, isMobile}
-const reconnectionAttempts = new Map(); // IP -> {count, resetTime}
+const spectators = new Map(); // socketId -> {id, name, roomCode}
+const disconnectedPlayers = new Map(); // reconnectionToken -> {playerId, roomCode, timestamp, isMobile, cleanupTimeout}
+const pendingRejoins = new Map(); // requestId -> {roomCode, playerId, socketId, clientIP, timeout}; waiting on the host
+const gameTimers = new Map(); // roomCode -> Map of pending engine timeouts (see scheduleGameTimers)
+const botTimers = new Map(); // roomCode -> Set of timeouts for bot turns (see scheduleBotTurns)
+const gameStore = createStoreFromEnv();
+
+// Games live on the process that created them (which also runs their timers).
+// The shared state store maps room codes and reconnection tokens to that process,
+// and other processes forward socket events for those rooms to it. Room claims expire
+// unless renewed, so the rooms of a crashed process stop being routed to it.
+const { nodeId, stateStore, ready: scalingReady } = setupScaling(io);
+const socketFacades = new Map(); // socketId -> facade used by the game handlers on this process
 
 // Memory cleanup configuration
 const GAME_CLEANUP_INTERVAL = 30 * 60 * 1000; // 30 minutes
 const MAX_GAME_AGE = 2 * 60 * 60 * 1000; // 2 hours
-const CONNECTION_LIMITS = new Map(); // IP -> connection count
 
 // Input sanitization functions
 function sanitizePlayerName(name) {
@@ -174,6 +155,42 @@ function generateRoomCode() {
     return crypto.randomBytes(2).toString('hex').toUpperCase();
 }
 
+// Reserve a room code across every process and record this process as its owner
+async function claimRoomCode() {
+    for (let attempt = 0; attempt < MAX_ROOM_CODE_ATTEMPTS; attempt++) {
+        const roomCode = generateRoomCode();
+        if (!games.has(roomCode) && await stateStore.setIfAbsent(`room:${roomCode}`, nodeId, ROOM_CLAIM_TTL_MS)) {
+            return roomCode;
+        }
+    }
+    throw new Error('No free room code found');
+}
+
+function releaseRoomCode(roomCode) {
+    stateStore.delete(`room:${roomCode}`).catch(logStateStoreError);
+}
+
+// Renew the claims on this process's rooms. A claim that lapsed and was taken by another process stays theirs.
+async function renewRoomClaims() {
+    for (const roomCode of games.keys()) {
+        const ownerId = await stateStore.get(`room:${roomCode}`);
+        if (ownerId === null || ownerId === nodeId) {
+            await stateStore.set(`room:${roomCode}`, nodeId, ROOM_CLAIM_TTL_MS);
+        } else {
+            console.error(`🧵 Room ${roomCode} was taken over by ${ownerId}`);
+        }
+    }
+}
+
+// Reconnection tokens point at their room so any process can route a reconnect
+function registerReconnectionToken(reconnectionToken, roomCode) {
+    stateStore.set(`token:${reconnectionToken}`, roomCode).catch(logStateStoreError);
+}
+
+function releaseReconnectionToken(reconnectionToken) {
+    stateStore.delete(`token:${reconnectionToken}`).catch(logStateStoreError);
+}
+
 // Generate persistent player ID
 function generatePlayerId() {
     return uuidv4();
@@ -204,43 +221,23 @@ function validatePlayerId(id) {
     return uuidRegex.test(id);
 }
 
-// Shuffle array utility
-function shuffleArray(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-}
-
-// Get random location
-function getRandomLocation() {
-    return LOCATIONS[Math.floor(Math.random() * LOCATIONS.length)];
-}
-
 // Memory cleanup functions
 function cleanupAbandonedGames() {
     const now = Date.now();
     let cleanedCount = 0;
 
-    games.forEach((game, roomCode) => {
+    games.forEach(game => {
         const gameAge = now - (game.createdAt || now);
         const isEmpty = game.players.size === 0;
         const isOld = gameAge > MAX_GAME_AGE;
 
         if (isEmpty || isOld) {
-            // Clean up timer if exists
-            if (game.timerInterval) {
-                clearInterval(game.timerInterval);
-            }
-
             // Remove all players from this game
             game.players.forEach(player => {
                 players.delete(player.socketId);
+                releaseReconnectionToken(player.reconnectionToken);
             });
-
-            games.delete(roomCode);
+            closeRoom(game);
             cleanedCount++;
         }
     });
@@ -251,118 +248,384 @@ function cleanupAbandonedGames() {
 }
 
 // Connection throttling functions
-function checkConnectionLimit(ip) {
-    const currentConnections = CONNECTION_LIMITS.get(ip) || 0;
-    return currentConnections < 10; // Max 10 connections per IP
+// Counts are kept in the shared state store so the limit holds across processes
+async function acquireConnection(ip) {
+    const key = `connections:${ip}`;
+    const count = await stateStore.increment(key, CONNECTION_COUNT_TTL_MS);
+    if (count > MAX_CONNECTIONS_PER_IP) {
+        await stateStore.decrement(key);
+        return false;
+    }
+    return true;
+}
+
+function releaseConnection(ip) {
+    stateStore.decrement(`connections:${ip}`).catch(logStateStoreError);
+}
+
+function logStateStoreError(error) {
+    console.error('🧵 State store error:', error);
+}
+console.log('🔒 Memory cleanup system initialized');
+
+// Apply a game action and deliver the events it caused. `socket` is whoever sent it, if
+// anyone: refusals go back to them, and they are skipped for events they already know about.
+function applyAction(game, action, socket = null) {
+    const result = dispatch(game, { ...action, now: Date.now() });
+    if (result.error && socket) {
+        socket.emit('error', result.error);
+    } else if (!result.error) {
+        hasUnsavedChanges = true;
+    }
+
+    result.events.forEach(event => deliverEvent(game, event, socket));
+    if (games.get(game.roomCode) === game) {
+        scheduleGameTimers(game);
+        scheduleBotTurns(game, planBotTurns(game, result.events));
+    }
+    return result;
 }
 
-function addConnection(ip) {
-    const current = CONNECTION_LIMITS.get(ip) || 0;
-    CONNECTION_LIMITS.set(ip, current + 1);
+// Run an action for the player on this socket, if they are in a game here
+// Accusations from one socket are rate limited, whichever player on it makes them
+function runAccusation(socket, action) {
+    if (socket.lastAccusation && Date.now() - socket.lastAccusation < VOTE_COOLDOWN_MS) {
+        socket.emit('error', 'Please wait before making another accusation');
+        return;
+    }
+
+    const result = runPlayerAction(socket, action);
+    if (result && !result.error && result.events.length > 0) {
+        socket.lastAccusation = Date.now();
+    }
 }
 
-function removeConnection(ip) {
-    const current = CONNECTION_LIMITS.get(ip) || 0;
-    if (current <= 1) {
-        CONNECTION_LIMITS.delete(ip);
+function runPlayerAction(socket, action) {
+    const player = players.get(socket.id);
+    if (!player) return null;
+
+    const game = games.get(player.roomCode);
+    if (!game) return null;
+
+    return applyAction(game, { ...action, playerId: player.id }, socket);
+}
+
+function deliverEvent(game, event, socket) {
+    switch (event.type) {
+        case 'roundStarted':
+            sendRoundStart(game);
+            return;
+        case 'seatReleased':
+            releaseSeat(game, event.payload.player, event.payload.reason);
+            return;
+        case 'hostChanged':
+            console.log(`👑 Host of room ${game.roomCode} handed to ${event.payload.newHostName}`);
+            break;
+    }
+
+    if (event.to) {
+        const player = game.players.get(event.to);
+        if (player) io.to(player.socketId).emit(event.type, event.payload);
+    } else if (event.exceptActor && socket) {
+        socket.to(game.roomCode).emit(event.type, event.payload);
     } else {
-        CONNECTION_LIMITS.set(ip, current - 1);
+        io.to(game.roomCode).emit(event.type, event.payload);
     }
 }
 
-// Start cleanup interval
-setInterval(cleanupAbandonedGames, GAME_CLEANUP_INTERVAL);
-console.log('🔒 Memory cleanup system initialized');
+function getFirstQuestioner(game) {
+    const player = game.players.get(game.firstQuestionerId);
+    return player ? toPlayerRef(player) : null;
+}
 
-// Create new game
-function createGame(roomCode, hostId) {
-    return {
-        roomCode,
-        hostId,
-        players: new Map(),
-        status: 'lobby', // lobby, playing, voting, ended
-        location: null,
-        spyId: null,
-        timer: GAME_TIMER_SECONDS,
-        timerInterval: null,
-        votes: new Map(),
-        voteCalled: false,
-        startTime: null,
-        createdAt: Date.now() // For cleanup tracking
-    };
+// Roles of the players sharing this player's phone, for the pass-the-device reveal
+function buildDeviceSeats(game, player) {
+    return getDeviceSeats(game, player.id).map(seat => ({
+        ...toOwnPlayer(seat),
+        location: seat.role === 'spy' ? null : game.location,
+        fellowSpies: getFellowSpies(game, seat)
+    }));
 }
 
-// Add player to game
-function addPlayerToGame(game, playerId, playerName, socketId, existingPlayer = null) {
-    const reconnectionToken = existingPlayer ? existingPlayer.reconnectionToken : generateReconnectionToken();
-
-    const player = {
-        id: playerId,
-        name: playerName,
-        socketId: socketId,
-        reconnectionToken: reconnectionToken,
-        isConnected: true,
-        disconnectedAt: null,
-        role: existingPlayer ? existingPlayer.role : null,
-        isHost: playerId === game.hostId,
-        hasVoted: existingPlayer ? existingPlayer.hasVoted : false,
-        votedFor: existingPlayer ? existingPlayer.votedFor : null,
-        hasGuessed: existingPlayer ? existingPlayer.hasGuessed : false
-    };
+// Deal the round: each player sees only their own role (and those of players sharing their
+// phone), spectators get no secrets
+function sendRoundStart(game) {
+    game.players.forEach(gamePlayer => {
+        if (gamePlayer.isConnected && gamePlayer.socketId) {
+            io.to(gamePlayer.socketId).emit('gameStarted', {
+                role: gamePlayer.role,
+                occupation: gamePlayer.occupation,
+                location: gamePlayer.role === 'spy' ? null : game.location,
+                fellowSpies: getFellowSpies(game, gamePlayer),
+                deviceSeats: buildDeviceSeats(game, gamePlayer),
+                players: getPublicPlayers(game),
+                timer: buildTimerInfo(game),
+                locations: getGameLocations(game),
+                locationBoard: getLocationBoard(game),
+                firstQuestioner: getFirstQuestioner(game),
+                questionTurn: buildQuestionTurnInfo(game),
+                match: buildMatchInfo(game)
+            });
+        }
+    });
+
+    game.spectators.forEach(spectator => {
+        io.to(spectator.socketId).emit('gameStarted', {
+            role: 'spectator',
+            occupation: null,
+            location: null,
+            fellowSpies: [],
+            deviceSeats: [],
+            players: getPublicPlayers(game),
+            timer: buildTimerInfo(game),
+            locations: getGameLocations(game),
+            locationBoard: getLocationBoard(game),
+            firstQuestioner: getFirstQuestioner(game),
+            questionTurn: buildQuestionTurnInfo(game),
+            match: buildMatchInfo(game)
+        });
+    });
+}
 
-    game.players.set(playerId, player);
-    players.set(socketId, { ...player, roomCode: game.roomCode });
+// Keep one timeout per action the engine is waiting on (round clock, final accusation turn)
+function scheduleGameTimers(game) {
+    const timers = gameTimers.get(game.roomCode) || new Map();
+    const pending = new Map(getPendingTimeouts(game)
+        .map(timeout => [`${JSON.stringify(timeout.action)}@${timeout.at}`, timeout]));
 
-    return player;
+    timers.forEach((timeout, key) => {
+        if (!pending.has(key)) {
+            clearTimeout(timeout);
+            timers.delete(key);
+        }
+    });
+
+    pending.forEach(({ at, action }, key) => {
+        if (timers.has(key)) return;
+        timers.set(key, setTimeout(() => {
+            timers.delete(key);
+            if (games.get(game.roomCode) === game) {
+                applyAction(game, action);
+            }
+        }, Math.max(0, at - Date.now())));
+    });
+
+    gameTimers.set(game.roomCode, timers);
 }
 
-// Remove player from game
-function removePlayerFromGame(game, playerId) {
-    const player = game.players.get(playerId);
-    if (player) {
-        game.players.delete(playerId);
-        players.delete(player.socketId);
-
-        // If host left, assign new host
-        if (playerId === game.hostId && game.players.size > 0) {
-            const newHost = game.players.values().next().value;
-            game.hostId = newHost.id;
-            newHost.isHost = true;
+function clearGameTimers(roomCode) {
+    const timers = gameTimers.get(roomCode);
+    if (timers) timers.forEach(timeout => clearTimeout(timeout));
+    gameTimers.delete(roomCode);
+
+    const turns = botTimers.get(roomCode);
+    if (turns) turns.forEach(timeout => clearTimeout(timeout));
+    botTimers.delete(roomCode);
+}
+
+// Let bots act once their turn's delay is up; what they do is decided then, not now
+function scheduleBotTurns(game, turns) {
+    if (turns.length === 0) return;
+
+    const timers = botTimers.get(game.roomCode) || new Set();
+    turns.forEach(turn => {
+        const timeout = setTimeout(() => {
+            timers.delete(timeout);
+            if (games.get(game.roomCode) !== game) return;
+
+            const { action, next = [] } = decideBotTurn(game, turn);
+            if (action) {
+                applyAction(game, { ...action, playerId: turn.botId });
+            }
+            scheduleBotTurns(game, next);
+        }, turn.delayMs);
+        timers.add(timeout);
+    });
+    botTimers.set(game.roomCode, timers);
+}
+
+// Push running clocks to their rooms
+function syncRunningTimers() {
+    games.forEach(game => {
+        if (game.status === 'playing' && game.timer.endsAt !== null) {
+            io.to(game.roomCode).emit('timerSync', buildTimerInfo(game));
         }
+    });
+}
+
+// Tie a new seat to the socket holding it and give it a reconnection token
+function seatPlayer(game, player, socket) {
+    player.socketId = socket.id;
+    player.reconnectionToken = generateReconnectionToken();
+
+    players.set(socket.id, { ...player, roomCode: game.roomCode });
+    game.playerIps.set(player.id, getClientIP(socket));
+    registerReconnectionToken(player.reconnectionToken, game.roomCode);
+}
+
+// A player lost their seat (left, timed out, kicked or banned): forget their socket and token,
+// and close the room once nobody is left
+function releaseSeat(game, player, reason) {
+    if (player.isBot) {
+        console.log(`🤖 Bot ${player.name} left room ${game.roomCode}`);
+        return;
+    }
+
+    // Players on someone else's phone have no socket or token of their own
+    if (player.deviceOwnerId) {
+        console.log(`📱 ${player.name} (shared phone) left room ${game.roomCode}`);
+        return;
+    }
+
+    players.delete(player.socketId);
+    releaseReconnectionToken(player.reconnectionToken);
+
+    // A player in their grace period must not be able to reconnect afterwards
+    const disconnectInfo = disconnectedPlayers.get(player.reconnectionToken);
+    if (disconnectInfo) clearTimeout(disconnectInfo.cleanupTimeout);
+    disconnectedPlayers.delete(player.reconnectionToken);
+
+    if (reason === 'banned') {
+        const ip = game.playerIps.get(player.id);
+        if (ip) game.bannedIps.push(ip);
+    }
+    game.playerIps.delete(player.id);
+
+    if (reason === 'kicked' || reason === 'banned') {
+        io.in(player.socketId).socketsLeave(game.roomCode);
+        io.to(player.socketId).emit('kicked', { banned: reason === 'banned' });
+        console.log(`🚪 ${player.name} was ${reason} from room ${game.roomCode}`);
     }
 
-    // Clean up empty games
     if (game.players.size === 0) {
-        if (game.timerInterval) {
-            clearInterval(game.timerInterval);
-        }
-        games.delete(game.roomCode);
+        closeRoom(game);
     }
+}
 
-    return player;
+function closeRoom(game) {
+    clearGameTimers(game.roomCode);
+    releaseSpectators(game);
+    games.delete(game.roomCode);
+    hasUnsavedChanges = true;
+    releaseRoomCode(game.roomCode);
 }
 
-// Check reconnection rate limiting
-function checkReconnectionLimit(ip) {
-    const now = Date.now();
-    const attempt = reconnectionAttempts.get(ip);
+// Add a spectator to a game
+function addSpectatorToGame(game, spectatorId, spectatorName, socketId) {
+    const spectator = {
+        id: spectatorId,
+        name: spectatorName,
+        socketId: socketId
+    };
 
-    if (!attempt || now > attempt.resetTime) {
-        reconnectionAttempts.set(ip, {
-            count: 1,
-            resetTime: now + 60000 // 1 minute window
-        });
-        return true;
-    }
+    game.spectators.set(spectatorId, spectator);
+    spectators.set(socketId, { id: spectatorId, name: spectatorName, roomCode: game.roomCode });
+
+    return spectator;
+}
+
+// Remove a spectator by socket and tell the room; returns false if the socket wasn't spectating
+function removeSpectator(socketId) {
+    const spectator = spectators.get(socketId);
+    if (!spectator) return false;
 
-    if (attempt.count >= MAX_RECONNECTION_ATTEMPTS) {
-        return false; // Max 5 reconnections per minute
+    spectators.delete(socketId);
+
+    const game = games.get(spectator.roomCode);
+    if (game) {
+        game.spectators.delete(spectator.id);
+        io.to(game.roomCode).emit('spectatorsUpdated', { spectators: getSpectatorList(game) });
     }
 
-    attempt.count++;
     return true;
 }
 
+// Send remaining spectators back to the menu when a room goes away
+function releaseSpectators(game) {
+    game.spectators.forEach(spectator => {
+        spectators.delete(spectator.socketId);
+        io.in(spectator.socketId).socketsLeave(game.roomCode);
+        io.to(spectator.socketId).emit('roomClosed');
+    });
+    game.spectators.clear();
+}
+
+// Check a room code from the client; returns {roomCode} or {error}
+function validateRoomCode(roomCode) {
+    if (!roomCode || typeof roomCode !== 'string' || roomCode.length !== 4) {
+        return { error: 'Invalid room code format' };
+    }
+
+    const normalizedRoomCode = roomCode.toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (normalizedRoomCode.length !== 4) {
+        return { error: 'Invalid room code' };
+    }
+
+    return { roomCode: normalizedRoomCode };
+}
+
+// Bans and the room lock apply to anyone new: players, spectators and spectators taking a seat
+function getEntryError(game, name, ip) {
+    if (game.bannedNames.includes(name.toLowerCase()) || game.bannedIps.includes(ip)) {
+        return 'You are banned from this room';
+    }
+    if (game.isLocked) {
+        return 'This room is locked';
+    }
+    return null;
+}
+
+// Payload for roomCreated / roomJoined
+function buildRoomPayload(game, player) {
+    return {
+        roomCode: game.roomCode,
+        player: toOwnPlayer(player),
+        playerId: player.id,
+        reconnectionToken: player.reconnectionToken,
+        players: getPublicPlayers(game),
+        spectators: getSpectatorList(game),
+        settings: game.settings,
+        isLocked: game.isLocked,
+        locationCategories: getLocationCategoryNames(game),
+        customPacks: getCustomPackSummaries(game)
+    };
+}
+
+// What a spectator may see: no location, no roles, no spy identities until the round ends
+function buildGameStateForSpectator(game, spectator) {
+    const inRound = ['playing', 'accusing', 'voting'].includes(game.status);
+
+    return {
+        roomCode: game.roomCode,
+        spectatorId: spectator.id,
+        spectators: getSpectatorList(game),
+        game: {
+            status: game.status,
+            isLocked: game.isLocked,
+            timer: buildTimerInfo(game),
+            players: getPublicPlayers(game),
+            locations: inRound ? getGameLocations(game) : [],
+            locationBoard: inRound ? getLocationBoard(game) : [],
+            accusation: game.accusation ? buildAccusationInfo(game) : null,
+            accusationTurn: buildAccusationTurnInfo(game),
+            firstQuestioner: inRound ? getFirstQuestioner(game) : null,
+            questionTurn: buildQuestionTurnInfo(game),
+            chatHistory: inRound ? game.chatHistory : [],
+            result: game.status === 'ended' ? game.lastResult : null,
+            match: game.match.currentRound > 0 ? buildMatchInfo(game) : null,
+            settings: game.settings,
+            locationCategories: getLocationCategoryNames(game),
+            customPacks: getCustomPackSummaries(game)
+        }
+    };
+}
+
+// Check reconnection rate limiting (shared across processes)
+async function checkReconnectionLimit(ip) {
+    const attempts = await stateStore.increment(`reconnect-attempts:${ip}`, RECONNECTION_ATTEMPT_WINDOW_MS);
+    return attempts <= MAX_RECONNECTION_ATTEMPTS;
+}
+
 // Handle player disconnection with grace period
 function handlePlayerDisconnect(socket) {
     const player = players.get(socket.id);
@@ -379,43 +642,28 @@ function handlePlayerDisconnect(socket) {
     const isMobile = isMobileDevice(userAgent);
     const gracePeriod = isMobile ? MOBILE_GRACE_PERIOD : RECONNECTION_GRACE_PERIOD;
 
-    // Mark player as disconnected but don't remove yet
-    gamePlayer.isConnected = false;
-    gamePlayer.disconnectedAt = Date.now();
-
     // Store reconnection info
     disconnectedPlayers.set(gamePlayer.reconnectionToken, {
         playerId: player.id,
         roomCode: player.roomCode,
         timestamp: Date.now(),
-        isMobile: isMobile
+        isMobile: isMobile,
+        cleanupTimeout: setTimeout(() => {
+            cleanupDisconnectedPlayer(player.id, player.roomCode);
+        }, gracePeriod)
     });
 
     // Remove socket mapping
     players.delete(socket.id);
 
-    // Notify other players
-    socket.to(player.roomCode).emit('playerDisconnected', {
-        playerId: player.id,
-        playerName: gamePlayer.name,
-        players: Array.from(game.players.values()).map(p => ({
-            id: p.id,
-            name: p.name,
-            isHost: p.isHost,
-            isConnected: p.isConnected
-        }))
-    });
-
-    // Set grace period timeout
-    setTimeout(() => {
-        cleanupDisconnectedPlayer(player.id, player.roomCode, gamePlayer.reconnectionToken);
-    }, gracePeriod);
+    // Mark player as disconnected but don't remove yet
+    applyAction(game, { type: 'disconnect', playerId: player.id });
 
     console.log(`📱 Player ${gamePlayer.name} (${isMobile ? 'mobile' : 'desktop'}) disconnected from room ${player.roomCode}. Grace period: ${gracePeriod/1000}s`);
 }
 
 // Cleanup disconnected player after grace period
-function cleanupDisconnectedPlayer(playerId, roomCode, reconnectionToken) {
+function cleanupDisconnectedPlayer(playerId, roomCode) {
     const game = games.get(roomCode);
     if (!game) return;
 
@@ -425,211 +673,287 @@ function cleanupDisconnectedPlayer(playerId, roomCode, reconnectionToken) {
     // Only remove if still disconnected
     if (!player.isConnected) {
         console.log(`🔄 Grace period expired for ${player.name} in room ${roomCode}. Removing player.`);
+        applyAction(game, { type: 'leave', playerId, reason: 'timed_out' });
+    }
+}
 
-        // Remove from disconnected tracking
-        disconnectedPlayers.delete(reconnectionToken);
-
-        // Remove from game
-        const removedPlayer = removePlayerFromGame(game, playerId);
-
-        // Notify remaining players
-        if (game.players.size > 0) {
-            io.to(roomCode).emit('playerRemoved', {
-                playerId: playerId,
-                playerName: removedPlayer.name,
-                players: Array.from(game.players.values()).map(p => ({
-                    id: p.id,
-                    name: p.name,
-                    isHost: p.isHost,
-                    isConnected: p.isConnected
-                })),
-                newHost: game.hostId
-            });
-        }
+// Hand a disconnected seat to a live socket and send it the whole game. A player rejoining
+// from another device gets a fresh token; the old one is left behind on the lost device.
+function resumeSeat(game, player, socket, clientIP, { freshToken = false } = {}) {
+    const disconnectInfo = disconnectedPlayers.get(player.reconnectionToken);
+    if (disconnectInfo) clearTimeout(disconnectInfo.cleanupTimeout);
+    disconnectedPlayers.delete(player.reconnectionToken);
+
+    if (freshToken) {
+        releaseReconnectionToken(player.reconnectionToken);
+        player.reconnectionToken = generateReconnectionToken();
+        registerReconnectionToken(player.reconnectionToken, game.roomCode);
     }
+
+    player.socketId = socket.id;
+    players.set(socket.id, { ...player, roomCode: game.roomCode });
+    game.playerIps.set(player.id, clientIP);
+
+    socket.join(game.roomCode);
+    applyAction(game, { type: 'reconnect', playerId: player.id }, socket);
+    socket.emit('reconnectSuccess', buildGameStateForPlayer(game, player));
 }
 
-// Build complete game state for reconnecting player
+function endRejoinRequest(requestId) {
+    const request = pendingRejoins.get(requestId);
+    if (!request) return;
+
+    clearTimeout(request.timeout);
+    pendingRejoins.delete(requestId);
+    stateStore.delete(`rejoin:${request.socketId}`).catch(logStateStoreError);
+}
+
+// A requester who leaves before the host answers frees the seat for other rejoin attempts
+function cancelRejoinRequests(socketId) {
+    pendingRejoins.forEach((request, requestId) => {
+        if (request.socketId === socketId) endRejoinRequest(requestId);
+    });
+}
+
+// Build complete game state for reconnecting player: enough to put them back on the
+// screen for the current phase, chat and all
 function buildGameStateForPlayer(game, player) {
+    const inRound = ['playing', 'accusing', 'voting'].includes(game.status);
+    const myVote = game.accusation ? game.accusation.votes.get(player.id) : undefined;
+
     return {
         roomCode: game.roomCode,
         playerId: player.id,
         reconnectionToken: player.reconnectionToken,
-        player: {
-            id: player.id,
-            name: player.name,
-            isHost: player.isHost,
-            role: player.role,
-            hasVoted: player.hasVoted,
-            hasGuessed: player.hasGuessed,
-            isConnected: player.isConnected
-        },
+        player: toOwnPlayer(player),
         game: {
             status: game.status,
             location: player.role === 'spy' ? null : game.location,
-            timer: game.timer,
-            players: Array.from(game.players.values()).map(p => ({
-                id: p.id,
-                name: p.name,
-                isHost: p.isHost,
-                isConnected: p.isConnected,
-                hasVoted: p.hasVoted
-            })),
-            locations: game.status === 'playing' ? LOCATIONS.sort() : [],
-            voteCalled: game.voteCalled,
-            spyId: player.role === 'spy' ? game.spyId : null
+            timer: buildTimerInfo(game),
+            players: getPublicPlayers(game),
+            spectators: getSpectatorList(game),
+            locations: inRound ? getGameLocations(game) : [],
+            locationBoard: inRound ? getLocationBoard(game) : [],
+            accusation: game.accusation ? buildAccusationInfo(game) : null,
+            hasVotedOnAccusation: myVote !== undefined,
+            myVote: myVote === undefined ? null : myVote,
+            accusationTurn: buildAccusationTurnInfo(game),
+            firstQuestioner: getFirstQuestioner(game),
+            questionTurn: buildQuestionTurnInfo(game),
+            fellowSpies: getFellowSpies(game, player),
+            deviceSeats: buildDeviceSeats(game, player),
+            chatHistory: inRound ? game.chatHistory : [],
+            result: game.status === 'ended' ? game.lastResult : null,
+            match: buildMatchInfo(game),
+            settings: game.settings,
+            isLocked: game.isLocked,
+            locationCategories: getLocationCategoryNames(game),
+            customPacks: getCustomPackSummaries(game)
         }
     };
 }
 
-// Start game logic
-function startGame(game) {
-    if (game.players.size < MIN_PLAYERS || game.players.size > MAX_PLAYERS) {
-        return { success: false, error: `Game needs ${MIN_PLAYERS}-${MAX_PLAYERS} players` };
-    }
+// Helper function to get client IP (proxy-aware)
+function getClientIP(socket) {
+    return socket.handshake.headers['x-forwarded-for']?.split(',')[0]?.trim()
+        || socket.handshake.address
+        || 'unknown';
+}
 
-    // Guard against starting already active game (check and set atomically)
-    if (game.status !== 'lobby') {
-        return { success: false, error: 'Game already in progress' };
+let pendingSave = null;
+let hasUnsavedChanges = false; // Set by every applied action; a running round clock counts as a change too
+
+// Write every live game to the store (one write at a time), unless nothing changed since the last write
+function saveGames() {
+    const isClockRunning = Array.from(games.values()).some(game => game.status === 'playing' && game.timer.endsAt !== null);
+    if (!pendingSave && (hasUnsavedChanges || isClockRunning)) {
+        hasUnsavedChanges = false;
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            games: Array.from(games.values()).map(game => serializeGame(game))
+        };
+
+        pendingSave = Promise.resolve()
+            .then(() => gameStore.save(snapshot))
+            .catch(error => {
+                hasUnsavedChanges = true; // Try again next time
+                console.error('💾 Failed to save games:', error);
+            })
+            .finally(() => {
+                pendingSave = null;
+            });
     }
 
-    // Immediately set status to prevent race condition
-    game.status = 'playing';
+    return pendingSave;
+}
 
-    // Clear any existing timer interval
-    if (game.timerInterval) {
-        clearInterval(game.timerInterval);
-        game.timerInterval = null;
+// Load games saved by a previous process. Every socket from before the restart is gone,
+// so players start their reconnection grace period now and clients reconnect with their tokens.
+// Bots have no socket to lose: they stay seated and plan their turns again. Seats on a shared
+// phone come and go with its owner, who is removed along with them if they don't come back.
+async function restoreGames() {
+    let snapshot;
+    try {
+        snapshot = await gameStore.load();
+    } catch (error) {
+        console.error('💾 Failed to load saved games:', error);
+        return;
     }
 
-    // Reset game state for new round
-    game.timer = GAME_TIMER_SECONDS;
-    game.voteCalled = false;
-    game.votes = new Map();
-
-    // Assign roles
-    const playerIds = Array.from(game.players.keys());
-    const spyIndex = Math.floor(Math.random() * playerIds.length);
-    game.spyId = playerIds[spyIndex];
-    game.location = getRandomLocation();
-
-    // Set roles for all players and reset voting/guessing states
-    game.players.forEach((player, playerId) => {
-        if (playerId === game.spyId) {
-            player.role = 'spy';
-        } else {
-            player.role = 'non-spy';
-        }
-        // Reset voting and guessing state for each player
-        player.hasVoted = false;
-        player.votedFor = null;
-        player.hasGuessed = false;
-    });
-
-    game.startTime = Date.now();
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return;
 
-    // Send welcome message to chat
-    const welcomeMessage = {
-        id: Date.now(),
-        playerId: 'system',
-        playerName: 'System',
-        text: `Game started! You have ${Math.floor(game.timer / 60)} minutes to find the spy. Ask questions, discuss, and stay alert!`,
-        timestamp: new Date().toISOString(),
-        type: 'system'
-    };
-    io.to(game.roomCode).emit('chatMessage', welcomeMessage);
+    const now = Date.now();
+    hasUnsavedChanges = true; // Everyone is disconnected now
+    snapshot.games.forEach(data => {
+        const game = deserializeGame(data);
+        games.set(game.roomCode, game);
+        stateStore.set(`room:${game.roomCode}`, nodeId, ROOM_CLAIM_TTL_MS).catch(logStateStoreError);
 
-    // Start timer
-    game.timerInterval = setInterval(() => {
-        game.timer--;
-        io.to(game.roomCode).emit('timerUpdate', game.timer);
+        game.players.forEach(player => {
+            if (player.isBot || player.deviceOwnerId) return;
+
+            player.isConnected = false;
+            player.disconnectedAt = now;
+            registerReconnectionToken(player.reconnectionToken, game.roomCode);
+
+            disconnectedPlayers.set(player.reconnectionToken, {
+                playerId: player.id,
+                roomCode: game.roomCode,
+                timestamp: now,
+                isMobile: false,
+                cleanupTimeout: setTimeout(() => {
+                    cleanupDisconnectedPlayer(player.id, game.roomCode);
+                }, RECONNECTION_GRACE_PERIOD)
+            });
+        });
 
-        if (game.timer <= 0) {
-            clearInterval(game.timerInterval);
-            endGame(game, 'timeout');
-        }
-    }, 1000);
+        // Pick the clock back up where it stopped (unless the host had paused it)
+        restoreClocks(game, now);
+        scheduleGameTimers(game);
+        scheduleBotTurns(game, planRestoredBotTurns(game));
+    });
 
-    return { success: true };
+    console.log(`💾 Restored ${snapshot.games.length} games from ${gameStore.name}`);
 }
 
-// End game logic
-function endGame(game, reason, winner = null) {
-    if (game.timerInterval) {
-        clearInterval(game.timerInterval);
-        game.timerInterval = null;
-    }
+// Save one last time before the platform stops us (deploys send SIGTERM)
+function handleShutdown(signal) {
+    console.log(`💾 ${signal} received, saving games before exit`);
+    // Let an in-flight write finish, then save the latest state
+    Promise.resolve(pendingSave)
+        .then(() => saveGames())
+        .finally(() => process.exit(0));
+}
 
-    game.status = 'ended';
+// Stand-in for a socket that may be connected to another process.
+// Everything goes through `io`, so the adapter delivers it wherever the socket lives.
+function createSocketFacade(socketId, handshake) {
+    const handlers = new Map();
 
-    let result = {
-        reason,
-        winner,
-        spy: game.players.get(game.spyId),
-        location: game.location,
-        players: Array.from(game.players.values())
+    return {
+        id: socketId,
+        handshake,
+        on(event, handler) {
+            handlers.set(event, handler);
+        },
+        dispatch(event, payload) {
+            const handler = handlers.get(event);
+            if (!handler) return;
+            Promise.resolve()
+                .then(() => handler(payload))
+                .catch(error => console.error(`Error handling ${event} for ${socketId}:`, error));
+        },
+        emit: (event, ...args) => io.to(socketId).emit(event, ...args),
+        join: room => io.in(socketId).socketsJoin(room),
+        leave: room => io.in(socketId).socketsLeave(room),
+        to: room => io.to(room).except(socketId)
     };
-
-    io.to(game.roomCode).emit('gameEnded', result);
 }
 
-// Handle voting logic
-function processVotes(game) {
-    const totalPlayers = game.players.size;
-    const votesSubmitted = Array.from(game.players.values()).filter(p => p.hasVoted).length;
+// Run a socket event against the games on this process
+function handleGameEvent({ socketId, handshake, event, payload }) {
+    let facade = socketFacades.get(socketId);
+    if (!facade) {
+        facade = createSocketFacade(socketId, handshake);
+        registerGameHandlers(facade);
+        socketFacades.set(socketId, facade);
+    }
 
-    if (votesSubmitted === totalPlayers) {
-        // Count votes
-        const voteCounts = new Map();
-        game.players.forEach(player => {
-            if (player.votedFor) {
-                const currentCount = voteCounts.get(player.votedFor) || 0;
-                voteCounts.set(player.votedFor, currentCount + 1);
-            }
-        });
+    facade.dispatch(event, payload);
 
-        // Find player(s) with most votes
-        let maxVotes = 0;
-        let accusedPlayerId = null;
-        let playersWithMaxVotes = [];
+    if (event === 'disconnect') {
+        socketFacades.delete(socketId);
+    }
+}
 
-        // First pass: find the maximum vote count
-        voteCounts.forEach((count) => {
-            if (count > maxVotes) {
-                maxVotes = count;
-            }
-        });
+// The game room a connected socket is in (socket.io rooms other than its own id)
+function getSocketRoom(socket) {
+    return Array.from(socket.rooms).find(room => room !== socket.id) || null;
+}
 
-        // Second pass: collect all players with maximum votes
-        voteCounts.forEach((count, playerId) => {
-            if (count === maxVotes) {
-                playersWithMaxVotes.push(playerId);
-            }
-        });
+// Which room an event acts on: joins name it, reconnects carry a token, everything else uses the socket's room
+async function findEventRoom(socket, event, payload) {
+    switch (event) {
+        case 'createRoom':
+            return null;
+        case 'joinRoom':
+        case 'spectateRoom':
+        case 'requestRejoin':
+            return validateRoomCode(payload && payload.roomCode).roomCode || null;
+        case 'reconnect':
+            if (!payload || !validateReconnectionToken(payload.reconnectionToken)) return null;
+            return stateStore.get(`token:${payload.reconnectionToken}`);
+        case 'disconnect':
+            return socket.data.roomCode || stateStore.get(`rejoin:${socket.id}`);
+        default:
+            return getSocketRoom(socket);
+    }
+}
 
-        // Handle tie vs clear winner
-        if (playersWithMaxVotes.length > 1) {
-            // Tie detected - no one gets accused, spy wins
-            endGame(game, 'vote_tie', 'spy');
-        } else {
-            // Clear winner - proceed with normal logic
-            accusedPlayerId = playersWithMaxVotes[0];
+// Handle an event here if this process owns the room (or nobody does: there is no room yet, or its
+// owner stopped renewing the claim), otherwise forward it
+async function routeGameEvent(socket, event, payload) {
+    const message = {
+        socketId: socket.id,
+        handshake: {
+            address: getClientIP(socket),
+            headers: { 'user-agent': socket.handshake.headers['user-agent'] || '' }
+        },
+        event,
+        payload
+    };
 
-            if (accusedPlayerId === game.spyId) {
-                endGame(game, 'spy_caught', 'non-spies');
-            } else {
-                endGame(game, 'innocent_accused', 'spy');
-            }
+    try {
+        const roomCode = await findEventRoom(socket, event, payload);
+        const ownerId = roomCode ? await stateStore.get(`room:${roomCode}`) : null;
+
+        if (!ownerId || ownerId === nodeId) {
+            handleGameEvent(message);
+        } else {
+            io.serverSideEmit('gameEvent', { ...message, nodeId: ownerId });
         }
+    } catch (error) {
+        console.error(`🧵 Could not route ${event} for ${socket.id}:`, error);
     }
 }
 
-// Helper function to get client IP (proxy-aware)
-function getClientIP(socket) {
-    return socket.handshake.headers['x-forwarded-for']?.split(',')[0]?.trim()
-        || socket.request.connection.remoteAddress
-        || 'unknown';
-}
+// Events forwarded by other processes for rooms this process owns
+io.on('gameEvent', (message) => {
+    if (message.nodeId === nodeId) {
+        handleGameEvent(message);
+    }
+});
+
+// Connection limits are checked before the socket reaches the connection handler
+io.use((socket, next) => {
+    acquireConnection(getClientIP(socket))
+        .then(allowed => {
+            socket.data.connectionAllowed = allowed;
+            next();
+        })
+        .catch(next);
+});
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
@@ -642,41 +966,59 @@ io.on('connection', (socket) => {
     });
 
     // Check connection limits
-    if (!checkConnectionLimit(clientIP)) {
+    if (!socket.data.connectionAllowed) {
         console.log(`🚫 Connection rejected - IP limit exceeded: ${clientIP}`);
         socket.emit('error', 'Too many connections from your location. Please try again later.');
         socket.disconnect();
         return;
     }
 
-    // Add connection to tracking
-    addConnection(clientIP);
     console.log(`✅ User connected: ${socket.id} from ${clientIP}`);
 
+    socket.onAny((event, payload) => {
+        if (event === 'disconnect') return; // Only the real disconnect below may trigger it
+        routeGameEvent(socket, event, payload);
+    });
+
+    // socket.rooms is already empty once 'disconnect' fires
+    socket.on('disconnecting', () => {
+        socket.data.roomCode = getSocketRoom(socket);
+    });
+
+    socket.on('disconnect', () => {
+        // Remove connection from tracking
+        releaseConnection(clientIP);
+
+        console.log(`❌ User disconnected: ${socket.id} from ${clientIP}`);
+
+        routeGameEvent(socket, 'disconnect');
+    });
+});
+
+// Game event handlers. `socket` is a facade from createSocketFacade, so the same
+// handlers serve sockets connected to this process and ones forwarded from others.
+// Rules live in gameEngine.js; these check the connection side and dispatch actions.
+function registerGameHandlers(socket) {
     // Create room
-    socket.on('createRoom', (playerName) => {
+    socket.on('createRoom', async (playerName) => {
         const sanitizedName = sanitizePlayerName(playerName);
         if (!sanitizedName || sanitizedName.length < 2) {
             socket.emit('error', 'Player name must be at least 2 characters');
             return;
         }
 
-        const roomCode = generateRoomCode();
+        const roomCode = await claimRoomCode();
         const playerId = generatePlayerId(); // Use UUID instead of socket.id
 
         const game = createGame(roomCode, playerId);
         games.set(roomCode, game);
 
-        const player = addPlayerToGame(game, playerId, sanitizedName, socket.id);
+        applyAction(game, { type: 'join', playerId, name: sanitizedName }, socket);
+        const player = game.players.get(playerId);
+        seatPlayer(game, player, socket);
 
         socket.join(roomCode);
-        socket.emit('roomCreated', {
-            roomCode,
-            player,
-            playerId: player.id,
-            reconnectionToken: player.reconnectionToken,
-            players: Array.from(game.players.values())
-        });
+        socket.emit('roomCreated', buildRoomPayload(game, player));
     });
 
     // Join room
@@ -688,69 +1030,134 @@ io.on('connection', (socket) => {
         }
 
         // Validate room code format
-        if (!roomCode || typeof roomCode !== 'string' || roomCode.length !== 4) {
-            socket.emit('error', 'Invalid room code format');
+        const validation = validateRoomCode(roomCode);
+        if (validation.error) {
+            socket.emit('error', validation.error);
             return;
         }
 
-        const normalizedRoomCode = roomCode.toUpperCase().replace(/[^A-Z0-9]/g, '');
-        if (normalizedRoomCode.length !== 4) {
-            socket.emit('error', 'Invalid room code');
+        const game = games.get(validation.roomCode);
+
+        if (!game) {
+            socket.emit('error', 'Room not found');
             return;
         }
 
-        const game = games.get(normalizedRoomCode);
+        const entryError = getEntryError(game, sanitizedName, getClientIP(socket));
+        if (entryError) {
+            socket.emit('error', entryError);
+            return;
+        }
 
+        const playerId = generatePlayerId(); // Use UUID instead of socket.id
+        const result = applyAction(game, { type: 'join', playerId, name: sanitizedName }, socket);
+        if (result.error) return;
+
+        const player = game.players.get(playerId);
+        seatPlayer(game, player, socket);
+
+        socket.join(game.roomCode);
+        socket.emit('roomJoined', buildRoomPayload(game, player));
+    });
+
+    // Watch a room without playing (allowed mid-round and when the room is full)
+    socket.on('spectateRoom', ({ roomCode, playerName }) => {
+        const sanitizedName = sanitizePlayerName(playerName);
+        if (!sanitizedName || sanitizedName.length < 2) {
+            socket.emit('error', 'Player name must be at least 2 characters');
+            return;
+        }
+
+        if (players.has(socket.id) || spectators.has(socket.id)) {
+            socket.emit('error', 'Leave your current room first');
+            return;
+        }
+
+        const validation = validateRoomCode(roomCode);
+        if (validation.error) {
+            socket.emit('error', validation.error);
+            return;
+        }
+
+        const game = games.get(validation.roomCode);
         if (!game) {
             socket.emit('error', 'Room not found');
             return;
         }
 
-        if (game.status !== 'lobby') {
-            socket.emit('error', 'Game already in progress');
+        const entryError = getEntryError(game, sanitizedName, getClientIP(socket));
+        if (entryError) {
+            socket.emit('error', entryError);
             return;
         }
 
-        if (game.players.size >= MAX_PLAYERS) {
-            socket.emit('error', 'Room is full');
+        if (game.spectators.size >= MAX_SPECTATORS) {
+            socket.emit('error', 'Too many spectators in this room');
             return;
         }
 
-        // Check if name is already taken
-        const nameExists = Array.from(game.players.values()).some(p => p.name === sanitizedName);
-        if (nameExists) {
+        if (isNameTaken(game, sanitizedName)) {
             socket.emit('error', 'Name already taken');
             return;
         }
 
-        const playerId = generatePlayerId(); // Use UUID instead of socket.id
-        const player = addPlayerToGame(game, playerId, sanitizedName, socket.id);
+        const spectator = addSpectatorToGame(game, generatePlayerId(), sanitizedName, socket.id);
 
-        socket.join(roomCode);
+        socket.join(game.roomCode);
+        socket.emit('spectating', buildGameStateForSpectator(game, spectator));
+        socket.to(game.roomCode).emit('spectatorsUpdated', { spectators: getSpectatorList(game) });
 
-        // Notify new player
-        socket.emit('roomJoined', {
-            roomCode,
-            player,
-            playerId: player.id,
-            reconnectionToken: player.reconnectionToken,
-            players: Array.from(game.players.values())
-        });
+        console.log(`👀 ${sanitizedName} is spectating room ${game.roomCode}`);
+    });
 
-        // Notify all players in room
-        socket.to(roomCode).emit('playerJoined', {
-            player,
-            players: Array.from(game.players.values())
-        });
+    // Spectator takes a free seat while the room is in the lobby
+    socket.on('joinAsPlayer', () => {
+        const spectator = spectators.get(socket.id);
+        if (!spectator) return;
+
+        const game = games.get(spectator.roomCode);
+        if (!game) return;
+
+        if (game.status !== 'lobby') {
+            socket.emit('error', 'You can join once the room is back in the lobby');
+            return;
+        }
+
+        const entryError = getEntryError(game, spectator.name, getClientIP(socket));
+        if (entryError) {
+            socket.emit('error', entryError);
+            return;
+        }
+
+        if (game.players.size >= game.settings.maxPlayers) {
+            socket.emit('error', 'Room is full');
+            return;
+        }
+
+        // Drop the spectator first, or their own name would count as taken
+        spectators.delete(socket.id);
+        game.spectators.delete(spectator.id);
+
+        // Keep the spectator id so the room doesn't see a new identity
+        const result = applyAction(game, { type: 'join', playerId: spectator.id, name: spectator.name }, socket);
+        if (result.error) {
+            addSpectatorToGame(game, spectator.id, spectator.name, socket.id); // Still watching
+            return;
+        }
+        const player = game.players.get(spectator.id);
+        seatPlayer(game, player, socket);
+
+        socket.emit('roomJoined', buildRoomPayload(game, player));
+        io.to(game.roomCode).emit('spectatorsUpdated', { spectators: getSpectatorList(game) });
     });
 
     // Reconnect to existing game
-    socket.on('reconnect', ({ reconnectionToken, playerName }) => {
+    socket.on('reconnect', async ({ reconnectionToken, playerName }) => {
         console.log(`🔄 Reconnection attempt from ${socket.id} with token: ${reconnectionToken?.substring(0, 8)}...`);
 
         // Rate limiting check
         const clientIP = getClientIP(socket);
-        if (!checkReconnectionLimit(clientIP)) {
+        if (!(await checkReconnectionLimit(clientIP))) {
             socket.emit('reconnectFailed', 'Too many reconnection attempts. Please wait.');
             return;
         }
@@ -815,289 +1222,371 @@ io.on('connection', (socket) => {
         }
 
         console.log(`✅ Reconnecting ${player.name} to room ${roomCode} (${isMobile ? 'mobile' : 'desktop'})`);
+        resumeSeat(game, player, socket, clientIP);
+    });
 
-        // Restore connection
-        player.socketId = socket.id;
-        player.isConnected = true;
-        player.disconnectedAt = null;
-
-        // Update socket mapping
-        players.set(socket.id, { ...player, roomCode: game.roomCode });
-
-        // Remove from disconnected tracking
-        disconnectedPlayers.delete(reconnectionToken);
+    // Lost the token (new device, cleared storage): ask the host to hand back a
+    // disconnected seat by room code and name
+    socket.on('requestRejoin', async ({ roomCode, playerName } = {}) => {
+        const clientIP = getClientIP(socket);
+        if (!(await checkReconnectionLimit(clientIP))) {
+            socket.emit('reconnectFailed', 'Too many reconnection attempts. Please wait.');
+            return;
+        }
 
-        // Join socket room
-        socket.join(roomCode);
+        if (players.has(socket.id) || spectators.has(socket.id)) {
+            socket.emit('error', 'Leave your current room first');
+            return;
+        }
 
-        // Check if original host is reclaiming control
-        const wasOriginalHost = playerId === game.hostId;
-        let hostChanged = false;
+        const sanitizedName = sanitizePlayerName(playerName);
+        const validation = validateRoomCode(roomCode);
+        const game = validation.error ? null : games.get(validation.roomCode);
+        if (!game) {
+            socket.emit('reconnectFailed', 'Room not found');
+            return;
+        }
 
-        // If this was the original host and someone else is now host, reclaim it
-        if (wasOriginalHost && game.hostId !== playerId) {
-            // Find current host and demote them
-            const currentHost = game.players.get(game.hostId);
-            if (currentHost) {
-                currentHost.isHost = false;
-            }
+        if (game.bannedIps.includes(clientIP)) {
+            socket.emit('reconnectFailed', 'You are banned from this room');
+            return;
+        }
 
-            // Restore original host
-            game.hostId = playerId;
-            player.isHost = true;
-            hostChanged = true;
+        const player = Array.from(game.players.values())
+            .find(candidate => candidate.name === sanitizedName && !candidate.isBot && !candidate.deviceOwnerId);
+        if (!player || player.isConnected) {
+            socket.emit('reconnectFailed', 'Nobody by that name is disconnected from this room');
+            return;
+        }
 
-            console.log(`👑 Original host ${player.name} reclaimed control in room ${roomCode}`);
+        const host = game.players.get(game.hostId);
+        if (!host || host.id === player.id || !host.isConnected) {
+            socket.emit('reconnectFailed', 'The host is away, so nobody can let you back in');
+            return;
         }
 
-        // Build and send full game state
-        const gameState = buildGameStateForPlayer(game, player);
-        socket.emit('reconnectSuccess', gameState);
+        if (Array.from(pendingRejoins.values()).some(request => request.playerId === player.id)) {
+            socket.emit('reconnectFailed', `Someone is already asking to rejoin as ${player.name}`);
+            return;
+        }
 
-        // Notify other players
-        const notificationData = {
+        const requestId = uuidv4();
+        pendingRejoins.set(requestId, {
+            roomCode: game.roomCode,
             playerId: player.id,
-            playerName: player.name,
-            players: Array.from(game.players.values()).map(p => ({
-                id: p.id,
-                name: p.name,
-                isHost: p.isHost,
-                isConnected: p.isConnected
-            })),
-            hostChanged: hostChanged,
-            newHostId: hostChanged ? playerId : null
-        };
-
-        socket.to(roomCode).emit('playerReconnected', notificationData);
+            socketId: socket.id,
+            clientIP,
+            timeout: setTimeout(() => {
+                endRejoinRequest(requestId);
+                socket.emit('reconnectFailed', 'The host did not answer');
+            }, REJOIN_REQUEST_TIMEOUT_MS)
+        });
+        // Lets the requester's disconnect reach this process, which holds the request
+        stateStore.set(`rejoin:${socket.id}`, game.roomCode).catch(logStateStoreError);
 
-        if (hostChanged) {
-            socket.to(roomCode).emit('hostChanged', {
-                newHostId: playerId,
-                newHostName: player.name,
-                message: `${player.name} (original host) has reconnected and reclaimed host control`
-            });
-        }
+        io.to(host.socketId).emit('rejoinRequested', { requestId, playerName: player.name });
+        socket.emit('rejoinPending', { playerName: player.name });
+        console.log(`🙋 Someone asked to rejoin room ${game.roomCode} as ${player.name}`);
     });
 
-    // Start game
-    socket.on('startGame', () => {
-        const player = players.get(socket.id);
-        if (!player) return;
-
-        const game = games.get(player.roomCode);
-        if (!game || player.id !== game.hostId) {
-            socket.emit('error', 'Only host can start the game');
+    // Host lets a rejoin request take over the seat, or turns it down
+    socket.on('answerRejoin', async ({ requestId, approve } = {}) => {
+        const host = players.get(socket.id);
+        const request = pendingRejoins.get(requestId);
+        if (!host || !request || request.roomCode !== host.roomCode) {
+            socket.emit('error', 'That request has expired');
             return;
         }
 
-        const result = startGame(game);
-        if (result.success) {
-            // Send game start event to all players
-            game.players.forEach((gamePlayer, playerId) => {
-                const playerSocket = io.sockets.sockets.get(gamePlayer.socketId);
-                if (playerSocket) {
-                    playerSocket.emit('gameStarted', {
-                        role: gamePlayer.role,
-                        location: gamePlayer.role === 'spy' ? null : game.location,
-                        players: Array.from(game.players.values()).map(p => ({
-                            id: p.id,
-                            name: p.name,
-                            isHost: p.isHost
-                        })),
-                        timer: game.timer,
-                        locations: LOCATIONS.sort()
-                    });
-                }
-            });
-        } else {
-            socket.emit('error', result.error);
-        }
-    });
-
-    // Call vote
-    socket.on('callVote', () => {
-        // Rate limiting for vote calls
-        if (socket.lastVoteCall && Date.now() - socket.lastVoteCall < VOTE_COOLDOWN_MS) {
-            socket.emit('error', 'Please wait before calling another vote');
+        const game = games.get(request.roomCode);
+        if (!game || game.hostId !== host.id) {
+            socket.emit('error', 'Only the host can let players back in');
             return;
         }
-        socket.lastVoteCall = Date.now();
 
-        const player = players.get(socket.id);
-        if (!player) return;
-
-        const game = games.get(player.roomCode);
-        if (!game || game.status !== 'playing') return;
+        endRejoinRequest(requestId);
 
-        if (game.voteCalled) {
-            socket.emit('error', 'Vote already called');
+        const requester = socketFacades.get(request.socketId);
+        const player = game.players.get(request.playerId);
+        const [requesterSocket] = await io.in(request.socketId).fetchSockets();
+        if (!requester || !requesterSocket) {
+            socket.emit('error', 'They are no longer waiting');
             return;
         }
 
-        game.status = 'voting';
-        game.voteCalled = true;
+        if (!approve) {
+            requester.emit('reconnectFailed', 'The host turned down your request');
+            return;
+        }
 
-        if (game.timerInterval) {
-            clearInterval(game.timerInterval);
+        if (!player || player.isConnected) {
+            requester.emit('reconnectFailed', 'That seat is no longer free');
+            return;
         }
 
-        io.to(game.roomCode).emit('voteStarted', {
-            players: Array.from(game.players.values()).map(p => ({
-                id: p.id,
-                name: p.name
-            }))
-        });
+        console.log(`✅ ${player.name} rejoined room ${game.roomCode} from a new device`);
+        resumeSeat(game, player, requester, request.clientIP, { freshToken: true });
     });
 
-    // Submit vote
-    socket.on('submitVote', (accusedPlayerId) => {
-        const player = players.get(socket.id);
-        if (!player) return;
+    socket.on('startGame', () => {
+        runPlayerAction(socket, { type: 'startGame' });
+    });
 
-        const game = games.get(player.roomCode);
-        if (!game || game.status !== 'voting') return;
+    // Host freezes the round clock (not while an accusation is being decided)
+    socket.on('pauseGame', () => {
+        runPlayerAction(socket, { type: 'pauseGame' });
+    });
 
-        // Validate vote target exists in game
-        if (!game.players.has(accusedPlayerId)) {
-            socket.emit('error', 'Invalid vote target');
-            return;
-        }
+    socket.on('resumeGame', () => {
+        runPlayerAction(socket, { type: 'resumeGame' });
+    });
 
-        // Prevent self-voting
-        if (accusedPlayerId === player.id) {
-            socket.emit('error', 'You cannot vote for yourself');
-            return;
-        }
+    // Update room settings (host only, lobby only)
+    socket.on('updateSettings', (updates) => {
+        runPlayerAction(socket, { type: 'updateSettings', settings: updates });
+    });
 
-        const gamePlayer = game.players.get(player.id);
-        if (gamePlayer.hasVoted) return;
+    // Add a custom location pack (host only, lobby only); a pack with the same name is replaced
+    socket.on('addLocationPack', (input) => {
+        const result = runPlayerAction(socket, { type: 'addLocationPack', input });
+        if (result && !result.error) {
+            const game = games.get(players.get(socket.id).roomCode);
+            const pack = game.customPacks.find(customPack => customPack.name === game.settings.categories.at(-1));
+            console.log(`🗺️ Custom pack "${pack.name}" (${Object.keys(pack.locations).length} locations) added to room ${game.roomCode}`);
+        }
+    });
 
-        gamePlayer.hasVoted = true;
-        gamePlayer.votedFor = accusedPlayerId;
+    socket.on('removeLocationPack', (packName) => {
+        runPlayerAction(socket, { type: 'removeLocationPack', packName });
+    });
 
-        // Update all players on vote status
-        const votesSubmitted = Array.from(game.players.values()).filter(p => p.hasVoted).length;
-        io.to(game.roomCode).emit('voteUpdate', {
-            votesSubmitted,
-            totalPlayers: game.players.size
-        });
+    // Accuse a player of being the spy
+    socket.on('accusePlayer', (suspectId) => {
+        runAccusation(socket, { type: 'accusePlayer', suspectId });
+    });
 
-        // Check if all votes are in
-        processVotes(game);
+    // Vote yes/no on the open accusation
+    socket.on('castAccusationVote', (approve) => {
+        runPlayerAction(socket, { type: 'castAccusationVote', approve });
     });
 
     // Spy guess location
     socket.on('spyGuess', (guessedLocation) => {
+        runPlayerAction(socket, { type: 'spyGuess', location: guessedLocation });
+    });
+
+    // Send chat message (with rate limiting)
+    socket.on('sendMessage', (messageText) => {
         const player = players.get(socket.id);
         if (!player) return;
 
         const game = games.get(player.roomCode);
         if (!game || game.status !== 'playing') return;
 
-        const gamePlayer = game.players.get(player.id);
-        if (gamePlayer.role !== 'spy') {
-            socket.emit('error', 'Only spy can guess location');
+        // Sanitize message
+        const sanitizedMessage = sanitizeChatMessage(messageText);
+        if (!sanitizedMessage) return;
+
+        // Mute, cooldown and word filter are game rules (see sendMessage in gameEngine.js)
+        applyAction(game, { type: 'sendMessage', playerId: player.id, text: sanitizedMessage }, socket);
+    });
+
+    // In-person rooms: seat someone without a phone on this player's device
+    socket.on('addDeviceSeat', (playerName) => {
+        const sanitizedName = sanitizePlayerName(playerName);
+        if (!sanitizedName || sanitizedName.length < 2) {
+            socket.emit('error', 'Player name must be at least 2 characters');
             return;
         }
 
-        // Validate guessed location is in the location list
-        if (!LOCATIONS.includes(guessedLocation)) {
-            socket.emit('error', 'Invalid location');
-            return;
+        const result = runPlayerAction(socket, { type: 'addDeviceSeat', newSeatId: generatePlayerId(), name: sanitizedName });
+        if (result && !result.error) {
+            console.log(`📱 ${sanitizedName} is sharing a phone in room ${players.get(socket.id).roomCode}`);
         }
+    });
 
-        // Prevent multiple guesses
-        if (gamePlayer.hasGuessed) {
-            socket.emit('error', 'Already guessed');
+    socket.on('removeDeviceSeat', (targetId) => {
+        runPlayerAction(socket, { type: 'removeDeviceSeat', targetId });
+    });
+
+    // Accuse, vote or guess for a player sharing this phone
+    socket.on('seatAction', (payload) => {
+        const { seatId, type, suspectId, approve, location } = payload || {};
+        if (!['accusePlayer', 'castAccusationVote', 'spyGuess'].includes(type)) return;
+
+        if (typeof seatId !== 'string') {
+            socket.emit('error', 'Pick who on this phone is acting');
             return;
         }
-        gamePlayer.hasGuessed = true;
 
-        if (guessedLocation === game.location) {
-            endGame(game, 'spy_guessed', 'spy');
+        if (type === 'accusePlayer') {
+            runAccusation(socket, { type, seatId, suspectId });
         } else {
-            endGame(game, 'spy_wrong_guess', 'non-spies');
+            runPlayerAction(socket, { type, seatId, approve, location });
         }
     });
 
-    // Send chat message (with rate limiting)
-    socket.on('sendMessage', (messageText) => {
-        // Apply rate limiting
-        const now = Date.now();
+    // Question turns: the asker names a target and a question, the target answers and asks next
+    socket.on('askQuestion', (payload) => {
+        const { targetId, question } = payload || {};
+        const sanitizedQuestion = sanitizeChatMessage(question);
+        if (!sanitizedQuestion) return;
+
+        runPlayerAction(socket, { type: 'askQuestion', targetId, text: sanitizedQuestion });
+    });
+
+    socket.on('answerQuestion', (answerText) => {
+        const sanitizedAnswer = sanitizeChatMessage(answerText);
+        if (!sanitizedAnswer) return;
 
-        // Simple rate limiting: track last message times per socket
-        if (!socket.lastMessageTime) socket.lastMessageTime = 0;
-        if (now - socket.lastMessageTime < CHAT_COOLDOWN_MS) {
-            socket.emit('error', 'Please wait before sending another message');
+        runPlayerAction(socket, { type: 'answerQuestion', text: sanitizedAnswer });
+    });
+
+    // Full room history as JSON, for download. Never mid-round: the log holds roles and votes.
+    socket.on('requestGameLog', () => {
+        const member = players.get(socket.id) || spectators.get(socket.id);
+        if (!member) return;
+
+        const game = games.get(member.roomCode);
+        if (!game) return;
+
+        if (!['lobby', 'ended'].includes(game.status)) {
+            socket.emit('error', 'The log is available once the round is over');
             return;
         }
-        socket.lastMessageTime = now;
 
-        const player = players.get(socket.id);
-        if (!player) return;
+        socket.emit('gameLog', { roomCode: game.roomCode, events: game.eventLog });
+    });
 
-        const game = games.get(player.roomCode);
-        if (!game || game.status !== 'playing') return;
+    // Return everyone to the lobby after a round (ends the current match)
+    socket.on('returnToLobby', () => {
+        runPlayerAction(socket, { type: 'returnToLobby' });
+    });
 
-        const gamePlayer = game.players.get(player.id);
-        if (!gamePlayer) return;
+    // Host removes a player from the lobby
+    socket.on('kickPlayer', (targetId) => {
+        runPlayerAction(socket, { type: 'kickPlayer', targetId });
+    });
 
-        // Sanitize message
-        const sanitizedMessage = sanitizeChatMessage(messageText);
-        if (!sanitizedMessage) return;
+    // Like a kick, but the player's name and IP stay barred from the room
+    socket.on('banPlayer', (targetId) => {
+        runPlayerAction(socket, { type: 'banPlayer', targetId });
+    });
 
-        // Create message object
-        const message = {
-            id: Date.now() + Math.random(), // Simple unique ID
-            playerId: player.id,
-            playerName: gamePlayer.name,
-            text: sanitizedMessage,
-            timestamp: new Date().toISOString(),
-            type: 'player' // player, system
-        };
+    // Hand host controls to another connected player
+    socket.on('transferHost', (targetId) => {
+        runPlayerAction(socket, { type: 'transferHost', targetId });
+    });
+
+    // Host seats a server-side bot (lobby only)
+    socket.on('addBot', () => {
+        const result = runPlayerAction(socket, { type: 'addBot', botId: generatePlayerId() });
+        if (result && !result.error) {
+            console.log(`🤖 Bot added to room ${players.get(socket.id).roomCode}`);
+        }
+    });
+
+    // Host mutes or unmutes a player's chat
+    socket.on('mutePlayer', ({ targetId, muted } = {}) => {
+        runPlayerAction(socket, { type: 'mutePlayer', targetId, muted });
+    });
+
+    // Flag a message for the host; the server log keeps it with the chat around it
+    socket.on('reportMessage', (messageId) => {
+        const result = runPlayerAction(socket, { type: 'reportMessage', messageId });
+        if (result && !result.error) {
+            const game = games.get(players.get(socket.id).roomCode);
+            const report = game.reports[game.reports.length - 1];
+            console.log(`🚩 Message reported in room ${game.roomCode}: ${report.playerName}: "${report.text}"`);
+            report.context.forEach(message => console.log(`   ${message.playerName}: ${message.text}`));
+        }
+    });
 
-        // Send message to all players in the room
-        io.to(game.roomCode).emit('chatMessage', message);
+    // Stop (or allow again) new players and spectators joining
+    socket.on('setRoomLocked', (isLocked) => {
+        runPlayerAction(socket, { type: 'setRoomLocked', isLocked });
     });
 
     // Leave room
     socket.on('leaveRoom', () => {
+        const spectator = spectators.get(socket.id);
+        if (spectator) {
+            socket.leave(spectator.roomCode);
+            removeSpectator(socket.id);
+            return;
+        }
+
         const player = players.get(socket.id);
         if (!player) return;
 
-        const game = games.get(player.roomCode);
-        if (!game) return;
-
         socket.leave(player.roomCode);
-        const removedPlayer = removePlayerFromGame(game, player.id);
-
-        if (game.players.size > 0) {
-            socket.to(player.roomCode).emit('playerLeft', {
-                player: removedPlayer,
-                players: Array.from(game.players.values()),
-                newHost: game.hostId
-            });
-        }
+        runPlayerAction(socket, { type: 'leave' });
     });
 
     // Handle disconnect
     socket.on('disconnect', () => {
-        const clientIP = getClientIP(socket);
+        cancelRejoinRequests(socket.id);
 
-        // Remove connection from tracking
-        removeConnection(clientIP);
-
-        console.log(`❌ User disconnected: ${socket.id} from ${clientIP}`);
+        // Spectators have nothing to hold during a grace period
+        if (removeSpectator(socket.id)) return;
 
         // Use new grace period disconnect handler instead of immediate removal
         handlePlayerDisconnect(socket);
     });
-});
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`🎯 Spyfall server running on port ${PORT} - Azure deployment test`);
-    console.log(`Game available at: http://localhost:${PORT}`);
-});
+const intervals = [];
+
+// Restore saved games, start the background loops and listen. Resolves with the port in use.
+function start(port = process.env.PORT || 3000) {
+    return scalingReady
+        .then(() => restoreGames())
+        .then(() => new Promise(resolve => {
+            intervals.push(
+                setInterval(cleanupAbandonedGames, GAME_CLEANUP_INTERVAL),
+                setInterval(syncRunningTimers, TIMER_SYNC_INTERVAL_MS),
+                setInterval(saveGames, SNAPSHOT_INTERVAL_MS),
+                setInterval(() => renewRoomClaims().catch(logStateStoreError), ROOM_CLAIM_REFRESH_MS)
+            );
+
+            server.listen(port, () => {
+                const actualPort = server.address().port;
+                console.log(`🎯 Spyfall server running on port ${actualPort} - Azure deployment test`);
+                console.log(`Game available at: http://localhost:${actualPort}`);
+                resolve(actualPort);
+            });
+        }));
+}
+
+// Clear every timer and close all connections, so an embedding process (like the tests) can exit
+function stop() {
+    intervals.splice(0).forEach(clearInterval);
+
+    // Closing disconnects every socket, which starts grace periods - clear timers afterwards
+    return new Promise(resolve => io.close(() => resolve())).then(() => {
+        games.forEach((game, roomCode) => clearGameTimers(roomCode));
+        disconnectedPlayers.forEach(entry => clearTimeout(entry.cleanupTimeout));
+        pendingRejoins.forEach(request => clearTimeout(request.timeout));
+    });
+}
+
+if (require.main === module) {
+    process.on('SIGTERM', handleShutdown);
+    process.on('SIGINT', handleShutdown);
+
+    start().catch(error => {
+        console.error('🧵 Could not connect to shared state:', error);
+        process.exit(1);
+    });
+}
 
-module.exports = { app, server, io };
\ No newline at end of file
+module.exports = {
+    app,
+    server,
+    io,
+    start,
+    stop,
+    RECONNECTION_GRACE_PERIOD,
+    MOBILE_GRACE_PERIOD,
+    SNAPSHOT_VERSION
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+// Pluggable persistence for game snapshots.
+// A store is any object with async load() -> snapshot | null and save(snapshot).
+const fs = require('fs');
+const path = require('path');
+
+// Default location lives in a dot-directory so express.static never serves it
+const DEFAULT_STORE_PATH = path.join(__dirname, '.data', 'games.json');
+
+// JSON file on local disk; writes go through a temp file so a crash can't leave half a snapshot
+function createFileStore(filePath = DEFAULT_STORE_PATH) {
+    return {
+        name: `file (${filePath})`,
+
+        async load() {
+            try {
+                const contents = await fs.promises.readFile(filePath, 'utf8');
+                return JSON.parse(contents);
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async save(snapshot) {
+            const tempPath = `${filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+            await fs.promises.rename(tempPath, filePath);
+        }
+    };
+}
+
+// Keeps the last snapshot in memory only (useful for tests, or to turn persistence off)
+function createMemoryStore() {
+    let current = null;
+
+    return {
+        name: 'memory',
+
+        async load() {
+            return current ? JSON.parse(current) : null;
+        },
+
+        async save(snapshot) {
+            current = JSON.stringify(snapshot);
+        }
+    };
+}
+
+// Pick a store from the environment: GAME_STORE=file|memory, GAME_STORE_PATH=<json file>
+function createStoreFromEnv(env = process.env) {
+    switch (env.GAME_STORE || 'file') {
+        case 'memory':
+            return createMemoryStore();
+        case 'file':
+            return createFileStore(env.GAME_STORE_PATH || DEFAULT_STORE_PATH);
+        default:
+            throw new Error(`Unknown GAME_STORE "${env.GAME_STORE}" (expected "file" or "memory")`);
+    }
+}
+
+module.exports = { createFileStore, createMemoryStore, createStoreFromEnv };
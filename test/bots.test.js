@@ -0,0 +1,230 @@
+// Bot decisions, driven without a server: turns are planned from engine events and played
+// out on a hand-set clock, the way server.js schedules them.
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGame, dispatch, getPendingTimeouts, serializeGame, deserializeGame, restoreClocks } = require('../gameEngine');
+const { planBotTurns, planRestoredBotTurns, decideBotTurn, rankSuspects, guessLocation } = require('../bots');
+
+const START = 1_000_000;
+
+// Deterministic stand-in for Math.random
+function seededRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+// A human host plus `botCount` bots, with the round started
+function startBotRound(botCount = 3, random = seededRandom(), settings = {}) {
+    const game = createGame('ABCD', 'host', START);
+    dispatch(game, { type: 'join', playerId: 'host', name: 'Ann', now: START });
+    dispatch(game, { type: 'updateSettings', playerId: 'host', settings, now: START });
+    for (let i = 0; i < botCount; i++) {
+        assert.equal(dispatch(game, { type: 'addBot', playerId: 'host', botId: `bot${i}`, now: START }).error, undefined);
+    }
+
+    const { events } = dispatch(game, { type: 'startGame', playerId: 'host', now: START });
+    return { game, turns: planBotTurns(game, events, random).map(turn => ({ ...turn, at: START + turn.delayMs })) };
+}
+
+function say(game, playerId, text, now = START + 1000) {
+    return dispatch(game, { type: 'sendMessage', playerId, text, now });
+}
+
+function getBot(game, role) {
+    return Array.from(game.players.values()).find(player => player.isBot && player.role === role);
+}
+
+describe('planning', () => {
+    test('every bot plans a question and its big move when the round starts', () => {
+        const { game, turns } = startBotRound();
+        const roundMs = game.settings.roundSeconds * 1000;
+
+        game.players.forEach(player => {
+            if (!player.isBot) return;
+            const intents = turns.filter(turn => turn.botId === player.id).map(turn => turn.intent);
+            assert.deepEqual(intents.sort(), ['ask', player.role === 'spy' ? 'guess' : 'accuse'].sort());
+        });
+        assert.ok(turns.every(turn => turn.delayMs < roundMs));
+    });
+
+    test('only the bot a question names answers it', () => {
+        const { game } = startBotRound();
+        const [first, second] = Array.from(game.players.values()).filter(player => player.isBot);
+
+        const { events } = say(game, 'host', `${first.name}, what do you do here?`);
+        assert.deepEqual(planBotTurns(game, events).map(turn => [turn.botId, turn.intent]), [[first.id, 'answer']]);
+
+        const statement = say(game, 'host', `I trust ${second.name}.`);
+        assert.deepEqual(planBotTurns(game, statement.events), []);
+    });
+
+    test('a question turn held up by a pause is still a question turn when play resumes', () => {
+        const random = seededRandom(3);
+        const { game } = startBotRound(3, random, { questionTurns: true });
+        const asker = Array.from(game.players.values()).find(player => player.isBot);
+        game.questionTurn.askerId = asker.id;
+
+        dispatch(game, { type: 'pauseGame', playerId: 'host', now: START + 1000 });
+        const { next: [retry] } = decideBotTurn(game, { botId: asker.id, intent: 'ask', round: game.startTime, delayMs: 0, inTurn: true }, random);
+        assert.equal(retry.inTurn, true);
+
+        dispatch(game, { type: 'resumeGame', playerId: 'host', now: START + 2000 });
+        const { action } = decideBotTurn(game, retry, random);
+        assert.equal(action.type, 'askQuestion');
+        assert.equal(dispatch(game, { ...action, playerId: asker.id, now: START + 3000 }).error, undefined);
+        assert.ok(game.questionTurn.targetId);
+    });
+
+    test('a round restored after a restart plans every bot again, within what is left of it', () => {
+        const { game } = startBotRound();
+        const roundMs = game.settings.roundSeconds * 1000;
+        const savedAt = START + roundMs * 0.8;
+        const restored = deserializeGame(JSON.parse(JSON.stringify(serializeGame(game, savedAt))));
+        restoreClocks(restored, savedAt + 60000);
+
+        const turns = planRestoredBotTurns(restored, seededRandom());
+        restored.players.forEach(player => {
+            if (!player.isBot) return;
+            const intents = turns.filter(turn => turn.botId === player.id).map(turn => turn.intent);
+            assert.deepEqual(intents.sort(), ['ask', player.role === 'spy' ? 'guess' : 'accuse'].sort());
+        });
+        assert.ok(turns.every(turn => turn.round === game.startTime && turn.delayMs < roundMs * 0.2));
+    });
+
+    test('bots restored during an accusation still vote on it', () => {
+        const { game } = startBotRound();
+        assert.equal(dispatch(game, { type: 'accusePlayer', playerId: 'host', suspectId: 'bot0', now: START + 1000 }).error, undefined);
+        const restored = deserializeGame(JSON.parse(JSON.stringify(serializeGame(game, START + 2000))));
+        restoreClocks(restored, START + 3000);
+
+        const votes = planRestoredBotTurns(restored, seededRandom()).filter(turn => turn.intent === 'vote');
+        assert.deepEqual(votes.map(turn => turn.botId).sort(), ['bot1', 'bot2']);
+        assert.ok(votes.every(turn => turn.suspectId === 'bot0'));
+    });
+
+    test('turns planned in an earlier round do nothing', () => {
+        const { game, turns } = startBotRound();
+        const stale = { ...turns[0], round: START - 1 };
+        assert.deepEqual(decideBotTurn(game, stale), {});
+    });
+});
+
+describe('decisions', () => {
+    test('answers hint at the location without naming it, and spies stay vague', () => {
+        const random = seededRandom(7);
+        const { game } = startBotRound(3, random);
+        const agent = getBot(game, 'non-spy');
+
+        const { action } = decideBotTurn(game, { botId: agent.id, intent: 'answer', round: game.startTime }, random);
+        assert.equal(action.type, 'sendMessage');
+        assert.ok(!action.text.toLowerCase().includes(game.location.toLowerCase()));
+
+        const spy = getBot(game, 'spy');
+        if (spy) {
+            const spyAnswer = decideBotTurn(game, { botId: spy.id, intent: 'answer', round: game.startTime }, random);
+            assert.match(spyAnswer.action.text, /depends|hard to say|probably|sometimes|usual/i);
+        }
+    });
+
+    test('vague answers raise suspicion and knowing the location clears it', () => {
+        const { game } = startBotRound(3);
+        const [agent, other] = Array.from(game.players.values()).filter(player => player.isBot && player.role === 'non-spy');
+
+        say(game, 'host', 'Hmm, it depends. Probably normal.');
+        say(game, other.id, `The ${other.occupation} here keeps me busy.`);
+
+        const ranking = rankSuspects(game, agent, seededRandom());
+        assert.equal(ranking[0].player.id, 'host');
+        assert.equal(ranking[ranking.length - 1].player.id, other.id);
+    });
+
+    test('a spy bot guesses the location the chat gives away', () => {
+        const { game } = startBotRound(3);
+        const spy = getBot(game, 'spy') || Array.from(game.players.values()).find(player => player.isBot);
+        game.location = 'Hospital';
+
+        say(game, 'host', 'The nurse and the surgeon were busy, and the doctor ran late.');
+        assert.equal(guessLocation(game, spy, seededRandom()), 'Hospital');
+    });
+
+    test('spy bots back accusations against others; non-spy bots follow their suspicion', () => {
+        const { game } = startBotRound(3);
+        const agents = Array.from(game.players.values()).filter(player => player.isBot && player.role === 'non-spy');
+        const spyId = game.spyIds[0];
+
+        say(game, spyId, 'Hmm, hard to say. Sometimes, I guess.');
+        const accuser = agents.find(agent => agent.id !== spyId);
+        const { events } = dispatch(game, { type: 'accusePlayer', playerId: accuser.id, suspectId: spyId, now: START + 2000 });
+        const voteTurns = planBotTurns(game, events).filter(turn => turn.intent === 'vote');
+
+        voteTurns.forEach(turn => {
+            const bot = game.players.get(turn.botId);
+            const { action } = decideBotTurn(game, turn);
+            assert.equal(action.type, 'castAccusationVote');
+            assert.equal(action.approve, true, `${bot.role} bot should convict`);
+        });
+    });
+});
+
+describe('a round with bots', () => {
+    // Plays bot turns and engine timeouts in time order until the round ends.
+    // The host accepts every accusation and otherwise stays quiet.
+    function playOut(game, turns, random) {
+        let queue = turns;
+        let now = START;
+
+        const apply = (action, at) => {
+            const result = dispatch(game, { ...action, now: at });
+            queue.push(...planBotTurns(game, result.events, random).map(turn => ({ ...turn, at: at + turn.delayMs })));
+        };
+
+        for (let step = 0; step < 500 && game.status !== 'ended'; step++) {
+            const [timeout] = getPendingTimeouts(game);
+            queue.sort((a, b) => a.at - b.at);
+            const nextTurn = queue[0];
+
+            if (game.accusation && !game.accusation.votes.has('host') && game.accusation.suspectId !== 'host') {
+                apply({ type: 'castAccusationVote', playerId: 'host', approve: true }, now);
+            } else if (nextTurn && (!timeout || nextTurn.at <= timeout.at)) {
+                queue = queue.slice(1);
+                now = nextTurn.at;
+                const { action, next = [] } = decideBotTurn(game, nextTurn, random);
+                if (action) apply({ ...action, playerId: nextTurn.botId }, now);
+                queue.push(...next.map(turn => ({ ...turn, at: now + turn.delayMs })));
+            } else if (timeout) {
+                now = timeout.at;
+                apply(timeout.action, now);
+            } else {
+                break;
+            }
+        }
+    }
+
+    test('three bots and one person play a round to the end', () => {
+        const random = seededRandom(42);
+        const { game, turns } = startBotRound(3, random);
+        playOut(game, turns, random);
+
+        assert.equal(game.status, 'ended');
+        const chat = game.eventLog.filter(event => event.type === 'chat');
+        assert.ok(chat.some(event => event.text.endsWith('?')), 'bots should ask questions');
+    });
+
+    test('with question turns on, bots take their turns to ask and answer', () => {
+        const random = seededRandom(42);
+        const { game } = startBotRound(3, random, { questionTurns: true });
+        game.questionTurn.askerId = Array.from(game.players.values()).find(player => player.isBot).id;
+        playOut(game, planBotTurns(game, [{ type: 'roundStarted' }], random).map(turn => ({ ...turn, at: START + turn.delayMs })), random);
+
+        assert.equal(game.status, 'ended');
+        const asked = game.eventLog.filter(event => event.type === 'question_asked');
+        const answered = game.eventLog.filter(event => event.type === 'question_answered');
+        assert.ok(asked.length > 0, 'bots should ask on their turn');
+        assert.ok(asked.every(event => event.playerId !== 'host'));
+        assert.ok(answered.length >= asked.length - 1);
+        assert.equal(game.eventLog.filter(event => event.type === 'chat').length, 0);
+    });
+});
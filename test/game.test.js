@@ -0,0 +1,601 @@
+// Drives whole games through the harness: lobby, accusations, spy guesses, the round clock
+// and reconnection grace periods. Clock-driven steps fake setTimeout and Date, so a
+// full eight-minute round runs in milliseconds.
+const { describe, test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const { createRoom, joinRoom, startRound, getSpies, getNonSpies, getLocation, TestClient } = harness;
+const { FINAL_ACCUSATION_TURN_MS } = require('../gameEngine');
+const { VOTE_DELAY_MS } = require('../bots');
+const { RECONNECTION_GRACE_PERIOD, MOBILE_GRACE_PERIOD } = require('../server');
+
+const BOT_VOTE_DELAY_MS = VOTE_DELAY_MS[1]; // The longest a bot takes to vote
+
+const NAMES = ['Ann', 'Bob', 'Cy', 'Di'];
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148';
+
+function fakeClock(t) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+    return t.mock.timers;
+}
+
+afterEach(() => harness.stopServer());
+
+describe('lobby', () => {
+    test('players join in order and see each other', async () => {
+        const room = await createRoom(NAMES);
+        const last = room.players[3].last('roomJoined');
+
+        assert.match(room.roomCode, /^[A-Z0-9]{4}$/);
+        assert.deepEqual(last.players.map(p => p.name), NAMES);
+        assert.equal(last.players.filter(p => p.isHost).length, 1);
+        assert.equal(room.host.all('playerJoined').length, 3);
+    });
+
+    test('a duplicate name is refused', async () => {
+        const room = await createRoom(NAMES.slice(0, 2));
+        const client = new TestClient('Bob');
+        const error = client.waitFor('error');
+        client.emit('joinRoom', { roomCode: room.roomCode, playerName: 'Bob' });
+        assert.match(await error, /name/i);
+    });
+
+    test('only the host can start, and only with enough players', async () => {
+        const room = await createRoom(NAMES.slice(0, 3));
+
+        const notHost = room.players[1].waitFor('error');
+        room.players[1].emit('startGame');
+        assert.match(await notHost, /host/i);
+
+        const tooFew = room.host.waitFor('error');
+        room.host.emit('startGame');
+        assert.match(await tooFew, /needs 4/i);
+    });
+
+    test('starting deals one spy and tells only non-spies the location', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+
+        assert.equal(getSpies(room).length, 1);
+        assert.equal(getSpies(room)[0].round.location, null);
+        const locations = new Set(getNonSpies(room).map(client => client.round.location));
+        assert.equal(locations.size, 1);
+        assert.ok(getSpies(room)[0].round.locations.includes(getLocation(room)));
+    });
+
+    test('the location board lists every location in play once, by category', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+
+        const { locations, locationBoard } = room.host.round;
+        const boardLocations = locationBoard.flatMap(group => group.locations);
+        assert.deepEqual([...boardLocations].sort(), locations);
+        assert.equal(locationBoard[0].category, 'Public Places');
+    });
+});
+
+describe('accusations', () => {
+    test('a unanimous vote against the spy ends the round for the non-spies', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [spy] = getSpies(room);
+        const [accuser, ...voters] = getNonSpies(room);
+
+        const started = room.host.waitFor('accusationStarted');
+        accuser.emit('accusePlayer', spy.playerId);
+        assert.equal((await started).suspectId, spy.playerId);
+
+        const ended = room.host.waitFor('gameEnded');
+        voters.forEach(client => client.emit('castAccusationVote', true));
+        const result = await ended;
+
+        assert.equal(result.reason, 'spy_caught');
+        assert.equal(result.winner, 'non-spies');
+        assert.deepEqual(result.spies.map(s => s.id), [spy.playerId]);
+        assert.equal(room.host.last('accusationResult').passed, true);
+        assert.equal(room.host.last('accusationVoteUpdate').votesSubmitted, 3);
+    });
+
+    test('a split vote clears the suspect and restarts the clock', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [spy] = getSpies(room);
+        const [accuser, suspect, voter] = getNonSpies(room);
+
+        const started = room.host.waitFor('accusationStarted');
+        accuser.emit('accusePlayer', suspect.playerId);
+        await started;
+
+        const resumed = room.host.waitFor('roundResumed');
+        voter.emit('castAccusationVote', false);
+        spy.emit('castAccusationVote', true);
+        const { timer } = await resumed;
+
+        const result = room.host.last('accusationResult');
+        assert.equal(result.passed, false);
+        assert.equal(result.noVotes, 1);
+        assert.equal(timer.isPaused, false);
+    });
+
+    test('each player accuses at most once per round', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [accuser, suspect, other] = getNonSpies(room);
+        const [spy] = getSpies(room);
+
+        const resumed = room.host.waitFor('roundResumed');
+        accuser.emit('accusePlayer', suspect.playerId);
+        await room.host.waitFor('accusationStarted');
+        [other, spy].forEach(client => client.emit('castAccusationVote', false));
+        await resumed;
+
+        const error = accuser.waitFor('error');
+        accuser.emit('accusePlayer', spy.playerId);
+        assert.match(await error, /already|wait/i);
+    });
+
+    test('convicting an innocent player hands the spy the win', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [spy] = getSpies(room);
+        const [innocent, ...others] = getNonSpies(room);
+
+        const ended = room.host.waitFor('gameEnded');
+        spy.emit('accusePlayer', innocent.playerId);
+        await room.host.waitFor('accusationStarted');
+        others.forEach(client => client.emit('castAccusationVote', true));
+        const result = await ended;
+
+        assert.equal(result.reason, 'innocent_accused');
+        assert.equal(result.winner, 'spy');
+    });
+});
+
+describe('spy guesses', () => {
+    test('the right location wins the round for the spy', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [spy] = getSpies(room);
+
+        const ended = room.host.waitFor('gameEnded');
+        spy.emit('spyGuess', getLocation(room));
+        const result = await ended;
+
+        assert.equal(result.reason, 'spy_guessed');
+        assert.equal(result.location, getLocation(room));
+        const standing = result.match.standings.find(entry => entry.playerId === spy.playerId);
+        assert.equal(standing.roundPoints, 4);
+    });
+
+    test('a wrong location exposes the spy', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [spy] = getSpies(room);
+
+        const ended = room.host.waitFor('gameEnded');
+        spy.emit('spyGuess', spy.round.locations.find(location => location !== getLocation(room)));
+        const result = await ended;
+
+        assert.equal(result.reason, 'spy_wrong_guess');
+        assert.equal(result.winner, 'non-spies');
+    });
+
+    test('non-spies cannot guess', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [agent] = getNonSpies(room);
+
+        const error = agent.waitFor('error');
+        agent.emit('spyGuess', getLocation(room));
+        assert.match(await error, /spy/i);
+    });
+});
+
+describe('the round clock', () => {
+    test('running out of time starts final accusations, and the spy wins if nobody accuses', async (t) => {
+        const room = await createRoom(NAMES);
+        const clock = fakeClock(t);
+        await startRound(room);
+
+        const firstTurn = room.host.waitFor('accusationTurn');
+        clock.tick(room.settings.roundSeconds * 1000);
+        const turns = [await firstTurn];
+
+        const ended = room.host.waitFor('gameEnded');
+        for (let i = 1; i < NAMES.length; i++) {
+            const nextTurn = room.host.waitFor('accusationTurn');
+            clock.tick(FINAL_ACCUSATION_TURN_MS);
+            turns.push(await nextTurn);
+        }
+        clock.tick(FINAL_ACCUSATION_TURN_MS);
+        const result = await ended;
+
+        assert.deepEqual(new Set(turns.map(turn => turn.playerId)), new Set(room.players.map(c => c.playerId)));
+        assert.equal(result.reason, 'timeout');
+        assert.equal(result.winner, 'spy');
+    });
+
+    test('a final accusation against the spy still catches them', async (t) => {
+        const room = await createRoom(NAMES);
+        const clock = fakeClock(t);
+        await startRound(room);
+
+        const firstTurn = room.host.waitFor('accusationTurn');
+        clock.tick(room.settings.roundSeconds * 1000);
+        let turn = await firstTurn;
+
+        // Skip turns until a non-spy holds the floor
+        const [spy] = getSpies(room);
+        while (turn.playerId === spy.playerId) {
+            const nextTurn = room.host.waitFor('accusationTurn');
+            clock.tick(FINAL_ACCUSATION_TURN_MS);
+            turn = await nextTurn;
+        }
+
+        const accuser = room.players.find(client => client.playerId === turn.playerId);
+        const ended = room.host.waitFor('gameEnded');
+        accuser.emit('accusePlayer', spy.playerId);
+        await room.host.waitFor('accusationStarted', { where: info => info.isFinal });
+        getNonSpies(room).filter(client => client !== accuser)
+            .forEach(client => client.emit('castAccusationVote', true));
+
+        assert.equal((await ended).reason, 'spy_caught');
+    });
+
+    test('the host can pause the clock', async (t) => {
+        const room = await createRoom(NAMES);
+        const clock = fakeClock(t);
+        await startRound(room);
+
+        const paused = room.host.waitFor('timerSync', { where: timer => timer.isPaused });
+        clock.tick(60000);
+        room.host.emit('pauseGame');
+        const timer = await paused;
+        assert.equal(timer.pausedBy, 'host');
+        assert.equal(timer.remainingMs, (room.settings.roundSeconds - 60) * 1000);
+
+        // A paused round never runs out
+        clock.tick(room.settings.roundSeconds * 1000);
+        await harness.settle();
+        assert.equal(room.host.all('accusationTurn').length, 0);
+    });
+});
+
+describe('question turns', () => {
+    test('the asker questions a player, who answers and asks next', async () => {
+        const room = await createRoom(NAMES);
+        const settingsUpdated = room.players[1].waitFor('settingsUpdated');
+        room.host.emit('updateSettings', { questionTurns: true });
+        await settingsUpdated;
+        await startRound(room);
+
+        const { askerId } = room.host.round.questionTurn;
+        const asker = room.players.find(client => client.playerId === askerId);
+        const target = room.players.find(client => client !== asker);
+
+        const asked = room.host.waitFor('questionTurn');
+        const question = room.host.waitFor('chatMessage', { where: message => message.type === 'question' });
+        asker.emit('askQuestion', { targetId: target.playerId, question: 'What can you hear?' });
+        assert.equal((await asked).targetId, target.playerId);
+        assert.equal((await question).targetName, target.name);
+
+        const answered = room.host.waitFor('questionTurn');
+        target.emit('answerQuestion', 'Waves');
+        assert.deepEqual(await answered, {
+            askerId: target.playerId,
+            askerName: target.name,
+            targetId: null,
+            targetName: null,
+            question: null,
+            noAskBackId: asker.playerId
+        });
+
+        const refused = target.waitFor('error');
+        target.emit('askQuestion', { targetId: asker.playerId, question: 'Same to you?' });
+        assert.match(await refused, /No asking back/);
+    });
+});
+
+describe('in-person rooms', () => {
+    test('a shared phone gets the roles of its players and votes for them', async () => {
+        const room = await createRoom(NAMES.slice(0, 3));
+        const settingsUpdated = room.players[1].waitFor('settingsUpdated');
+        room.host.emit('updateSettings', { inPerson: true });
+        await settingsUpdated;
+
+        const seated = room.host.waitFor('playerJoined');
+        room.players[1].emit('addDeviceSeat', 'Di');
+        const seat = (await seated).players.find(player => player.name === 'Di');
+        assert.equal(seat.deviceOwnerId, room.players[1].playerId);
+
+        await startRound(room);
+        const [sharedSeat] = room.players[1].round.deviceSeats;
+        assert.equal(sharedSeat.id, seat.id);
+        assert.ok(['spy', 'non-spy'].includes(sharedSeat.role));
+        assert.ok(room.players.every(client => client.round.firstQuestioner));
+        room.players.filter(client => client !== room.players[1])
+            .forEach(client => assert.deepEqual(client.round.deviceSeats, []));
+
+        // Di's phone owner accuses on Di's behalf; nobody else can
+        const suspect = room.players.find(client => client !== room.players[1]);
+        const refused = suspect.waitFor('error');
+        suspect.emit('seatAction', { seatId: seat.id, type: 'accusePlayer', suspectId: room.players[1].playerId });
+        assert.match(await refused, /not on your phone/);
+
+        const noSeat = room.players[1].waitFor('error');
+        room.players[1].emit('seatAction', { type: 'accusePlayer', suspectId: suspect.playerId });
+        assert.equal(await noSeat, 'Pick who on this phone is acting');
+
+        const started = room.host.waitFor('accusationStarted');
+        room.players[1].emit('seatAction', { seatId: seat.id, type: 'accusePlayer', suspectId: suspect.playerId });
+        assert.equal((await started).accuserId, seat.id);
+
+        // Accusations for a seat go through the same cooldown as the phone's own
+        const tooSoon = room.players[1].waitFor('error');
+        room.players[1].emit('seatAction', { seatId: seat.id, type: 'accusePlayer', suspectId: room.host.playerId });
+        assert.equal(await tooSoon, 'Please wait before making another accusation');
+    });
+});
+
+describe('bots', () => {
+    test('bots fill the room and vote on accusations', async (t) => {
+        const room = await createRoom(NAMES.slice(0, 2));
+        for (let i = 0; i < 2; i++) {
+            const joined = room.players[1].waitFor('playerJoined');
+            room.host.emit('addBot');
+            await joined;
+        }
+        const bots = room.players[1].last('playerJoined').players.filter(p => p.isBot);
+        assert.equal(bots.length, 2);
+
+        const clock = fakeClock(t);
+        await startRound(room);
+
+        const suspect = bots[0];
+        const started = room.host.waitFor('accusationStarted');
+        const resolved = room.host.waitFor('accusationResult');
+        room.host.emit('accusePlayer', suspect.id);
+        await started;
+        room.players[1].emit('castAccusationVote', true);
+        await harness.settle();
+        clock.tick(BOT_VOTE_DELAY_MS);
+
+        const result = await resolved;
+        assert.equal(result.yesVotes + result.noVotes, 3);
+    });
+});
+
+describe('reconnection', () => {
+    test('a player who comes back within the grace period keeps their seat and role', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const leaving = room.players[2];
+
+        const dropped = room.host.waitFor('playerDisconnected');
+        leaving.disconnect();
+        assert.equal((await dropped).playerId, leaving.playerId);
+
+        const returning = new TestClient(leaving.name);
+        const back = room.host.waitFor('playerReconnected');
+        const success = returning.waitFor('reconnectSuccess');
+        returning.emit('reconnect', { reconnectionToken: leaving.token, playerName: leaving.name });
+        const state = await success;
+
+        assert.equal((await back).playerId, leaving.playerId);
+        assert.equal(state.player.role, leaving.role);
+        assert.ok(state.game.players.every(p => p.isConnected));
+    });
+
+    test('a player who comes back mid-vote gets the chat so far and their own vote', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [spy] = getSpies(room);
+        const [accuser, leaving] = getNonSpies(room);
+
+        const chatted = room.host.waitFor('chatMessage', { where: message => message.type === 'player' });
+        accuser.emit('sendMessage', 'Who orders the ice cream?');
+        await chatted;
+
+        const started = room.host.waitFor('accusationStarted');
+        accuser.emit('accusePlayer', spy.playerId);
+        await started;
+        const counted = room.host.waitFor('accusationVoteUpdate');
+        leaving.emit('castAccusationVote', false);
+        await counted;
+
+        leaving.disconnect();
+        const returning = new TestClient(leaving.name);
+        const success = returning.waitFor('reconnectSuccess');
+        returning.emit('reconnect', { reconnectionToken: leaving.token, playerName: leaving.name });
+        const state = await success;
+
+        assert.equal(state.game.status, 'accusing');
+        assert.equal(state.game.myVote, false);
+        assert.deepEqual(state.game.chatHistory.filter(message => message.type === 'player').map(message => message.text),
+            ['Who orders the ice cream?']);
+        assert.ok(state.game.locations.length > 0);
+    });
+
+    test('a player who comes back after the round sees its results', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const [spy] = getSpies(room);
+        const leaving = getNonSpies(room)[0];
+
+        const ended = room.host.waitFor('gameEnded');
+        spy.emit('spyGuess', getLocation(room));
+        await ended;
+
+        leaving.disconnect();
+        const returning = new TestClient(leaving.name);
+        const success = returning.waitFor('reconnectSuccess');
+        returning.emit('reconnect', { reconnectionToken: leaving.token, playerName: leaving.name });
+        const state = await success;
+
+        assert.equal(state.game.status, 'ended');
+        assert.equal(state.game.result.reason, 'spy_guessed');
+        assert.equal(state.game.result.location, getLocation(room));
+    });
+
+    test('a player who lost their token can rejoin by name once the host agrees', async () => {
+        const room = await createRoom(NAMES);
+        await startRound(room);
+        const leaving = room.players[2];
+
+        const dropped = room.host.waitFor('playerDisconnected');
+        leaving.disconnect();
+        await dropped;
+
+        const refused = new TestClient('Stranger');
+        const asked = room.host.waitFor('rejoinRequested');
+        const turnedDown = refused.waitFor('reconnectFailed');
+        refused.emit('requestRejoin', { roomCode: room.roomCode, playerName: leaving.name });
+        room.host.emit('answerRejoin', { requestId: (await asked).requestId, approve: false });
+        assert.equal(await turnedDown, 'The host turned down your request');
+
+        const returning = new TestClient(leaving.name);
+        const askedAgain = room.host.waitFor('rejoinRequested');
+        const success = returning.waitFor('reconnectSuccess');
+        returning.emit('requestRejoin', { roomCode: room.roomCode, playerName: leaving.name });
+        const request = await askedAgain;
+        assert.equal(request.playerName, leaving.name);
+        room.host.emit('answerRejoin', { requestId: request.requestId, approve: true });
+        const state = await success;
+
+        assert.equal(state.playerId, leaving.playerId);
+        assert.equal(state.player.role, leaving.role);
+        assert.notEqual(state.reconnectionToken, leaving.token);
+    });
+
+    test('a rejoin request is dropped when the requester leaves before the host answers', async () => {
+        const room = await createRoom(NAMES);
+        const leaving = room.players[2];
+        const dropped = room.host.waitFor('playerDisconnected');
+        leaving.disconnect();
+        await dropped;
+
+        const gone = new TestClient(leaving.name);
+        const asked = room.host.waitFor('rejoinRequested');
+        gone.emit('requestRejoin', { roomCode: room.roomCode, playerName: leaving.name });
+        const stale = await asked;
+        gone.disconnect();
+        await harness.settle();
+
+        // The seat is free to ask for again, and the old request can't be approved
+        const returning = new TestClient(leaving.name);
+        const askedAgain = room.host.waitFor('rejoinRequested');
+        returning.emit('requestRejoin', { roomCode: room.roomCode, playerName: leaving.name });
+        assert.notEqual((await askedAgain).requestId, stale.requestId);
+
+        const expired = room.host.waitFor('error');
+        room.host.emit('answerRejoin', { requestId: stale.requestId, approve: true });
+        assert.equal(await expired, 'That request has expired');
+    });
+
+    test('a player who stays away past the grace period is removed', async (t) => {
+        const room = await createRoom(NAMES);
+        const clock = fakeClock(t);
+        const leaving = room.players[3];
+
+        const dropped = room.host.waitFor('playerDisconnected');
+        leaving.disconnect();
+        await dropped;
+
+        const removed = room.host.waitFor('playerRemoved');
+        clock.tick(RECONNECTION_GRACE_PERIOD);
+        const { playerId, players } = await removed;
+
+        assert.equal(playerId, leaving.playerId);
+        assert.equal(players.length, NAMES.length - 1);
+
+        const late = new TestClient(leaving.name);
+        const refused = late.waitFor('reconnectFailed');
+        late.emit('reconnect', { reconnectionToken: leaving.token, playerName: leaving.name });
+        await refused;
+    });
+
+    test('mobile players get a longer grace period', async (t) => {
+        const room = await createRoom(NAMES.slice(0, 2));
+        const phone = new TestClient('Eve', { userAgent: MOBILE_USER_AGENT });
+        const joined = phone.waitFor('roomJoined');
+        phone.emit('joinRoom', { roomCode: room.roomCode, playerName: 'Eve' });
+        phone.playerId = (await joined).playerId;
+        const clock = fakeClock(t);
+
+        const dropped = room.host.waitFor('playerDisconnected');
+        phone.disconnect();
+        await dropped;
+
+        clock.tick(RECONNECTION_GRACE_PERIOD);
+        await harness.settle();
+        assert.equal(room.host.all('playerRemoved').length, 0);
+
+        const removed = room.host.waitFor('playerRemoved');
+        clock.tick(MOBILE_GRACE_PERIOD - RECONNECTION_GRACE_PERIOD);
+        assert.equal((await removed).playerId, phone.playerId);
+    });
+
+    test('the host leaving hands the room to the next player', async () => {
+        const room = await createRoom(NAMES.slice(0, 3));
+        const left = room.players[1].waitFor('playerLeft');
+        room.host.emit('leaveRoom');
+        assert.equal((await left).newHost, room.players[1].playerId);
+
+        const late = await joinRoom(room.roomCode, 'Di');
+        const host = late.last('roomJoined').players.find(p => p.isHost);
+        assert.equal(host.id, room.players[1].playerId);
+    });
+});
+
+describe('host tools', () => {
+    test('a banned player cannot come back by token, name, another name or a spectator seat', async () => {
+        const room = await createRoom(NAMES.slice(0, 3), { spectators: ['Flo'] });
+        const banned = room.players[2];
+
+        const kicked = banned.waitFor('kicked');
+        room.host.emit('banPlayer', banned.playerId);
+        assert.equal((await kicked).banned, true);
+        banned.disconnect();
+
+        const late = new TestClient(banned.name);
+        const refused = late.waitFor('reconnectFailed');
+        late.emit('reconnect', { reconnectionToken: banned.token, playerName: banned.name });
+        await refused;
+
+        for (const name of [banned.name, 'Eve']) {
+            const client = new TestClient(name);
+            const error = client.waitFor('error');
+            client.emit('joinRoom', { roomCode: room.roomCode, playerName: name });
+            assert.equal(await error, 'You are banned from this room');
+        }
+
+        // The test clients share one IP address, so the spectator is banned along with it
+        const [spectator] = room.spectators;
+        const seatError = spectator.waitFor('error');
+        spectator.emit('joinAsPlayer');
+        assert.equal(await seatError, 'You are banned from this room');
+    });
+
+    test('a locked room turns away new players but not players reconnecting', async () => {
+        const room = await createRoom(NAMES.slice(0, 3));
+
+        const locked = room.players[1].waitFor('roomLockChanged');
+        room.host.emit('setRoomLocked', true);
+        assert.equal((await locked).isLocked, true);
+
+        const newcomer = new TestClient('Eve');
+        const error = newcomer.waitFor('error');
+        newcomer.emit('joinRoom', { roomCode: room.roomCode, playerName: 'Eve' });
+        assert.equal(await error, 'This room is locked');
+
+        const leaving = room.players[2];
+        const dropped = room.host.waitFor('playerDisconnected');
+        leaving.disconnect();
+        await dropped;
+
+        const back = new TestClient(leaving.name);
+        const success = back.waitFor('reconnectSuccess');
+        back.emit('reconnect', { reconnectionToken: leaving.token, playerName: leaving.name });
+        assert.equal((await success).roomCode, room.roomCode);
+    });
+});
@@ -0,0 +1,620 @@
+// Drives the rules engine directly: no server, no sockets, no real clock.
+// Every action carries its own `now`, and timeouts are fired by dispatching what
+// getPendingTimeouts asks for, the way server.js does.
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FINAL_ACCUSATION_TURN_MS,
+    buildMatchInfo,
+    createGame,
+    dispatch,
+    getFellowSpies,
+    getLocationBoard,
+    getPendingTimeouts,
+    restoreClocks,
+    serializeGame,
+    deserializeGame
+} = require('../gameEngine');
+
+const START = 1_000_000;
+const NAMES = ['Ann', 'Bob', 'Cy', 'Di'];
+
+// A lobby with one seat per name; the first name hosts
+function createLobby(names = NAMES) {
+    const game = createGame('ABCD', 'p0', START);
+    names.forEach((name, i) => {
+        assert.deepEqual(dispatch(game, { type: 'join', playerId: `p${i}`, name, now: START }).error, undefined);
+    });
+    return game;
+}
+
+function startRound(names = NAMES) {
+    const game = createLobby(names);
+    const result = dispatch(game, { type: 'startGame', playerId: 'p0', now: START });
+    assert.equal(result.error, undefined);
+    return { game, events: result.events };
+}
+
+function eventTypes(result) {
+    return result.events.map(event => event.type);
+}
+
+// Dispatch the next due timeout, as the transport would when its timer fires
+function fireNextTimeout(game) {
+    const [next] = getPendingTimeouts(game);
+    assert.ok(next, 'expected a pending timeout');
+    return dispatch(game, { ...next.action, now: next.at });
+}
+
+function getSpy(game) {
+    return game.players.get(game.spyIds[0]);
+}
+
+function getNonSpies(game) {
+    return Array.from(game.players.values()).filter(player => player.role === 'non-spy');
+}
+
+describe('lobby', () => {
+    test('the creator hosts and later joiners are announced', () => {
+        const game = createGame('ABCD', 'p0', START);
+        assert.deepEqual(dispatch(game, { type: 'join', playerId: 'p0', name: 'Ann', now: START }).events, []);
+
+        const result = dispatch(game, { type: 'join', playerId: 'p1', name: 'Bob', now: START });
+        assert.deepEqual(eventTypes(result), ['playerJoined']);
+        assert.equal(result.events[0].exceptActor, true);
+        assert.equal(game.players.get('p0').isHost, true);
+        assert.equal(game.players.get('p1').isHost, false);
+    });
+
+    test('duplicate names and full rooms are refused', () => {
+        const game = createLobby();
+        assert.equal(dispatch(game, { type: 'join', playerId: 'x', name: 'Bob' }).error, 'Name already taken');
+
+        game.settings.maxPlayers = NAMES.length;
+        assert.match(dispatch(game, { type: 'join', playerId: 'x', name: 'Eve' }).error, /full/);
+    });
+
+    test('round length stays within what the lobby offers', () => {
+        const game = createLobby();
+        const roundSeconds = value => {
+            dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { roundSeconds: value } });
+            return game.settings.roundSeconds;
+        };
+
+        assert.equal(roundSeconds(60), 180);
+        assert.equal(roundSeconds(3600), 900);
+        assert.equal(roundSeconds(370), 360);
+    });
+
+    test('host-only actions are refused for everyone else', () => {
+        const game = createLobby();
+        assert.equal(dispatch(game, { type: 'startGame', playerId: 'p1' }).error, 'Only host can start the game');
+        assert.equal(game.status, 'lobby');
+    });
+
+    test('the host leaving hands the room to the next player and releases the seat', () => {
+        const game = createLobby();
+        const result = dispatch(game, { type: 'leave', playerId: 'p0', now: START });
+
+        assert.deepEqual(eventTypes(result), ['seatReleased', 'playerLeft']);
+        assert.equal(result.events[0].payload.reason, 'left');
+        assert.equal(result.events[1].payload.newHost, 'p1');
+        assert.equal(game.hostId, 'p1');
+        assert.equal(game.players.get('p1').isHost, true);
+    });
+
+    test('the host can add bots, which never host and never keep a room open alone', () => {
+        const game = createLobby(['Ann', 'Bob']);
+        assert.equal(dispatch(game, { type: 'addBot', playerId: 'p1', botId: 'b0' }).error, 'Only host can add bots');
+
+        const result = dispatch(game, { type: 'addBot', playerId: 'p0', botId: 'b0' });
+        dispatch(game, { type: 'addBot', playerId: 'p0', botId: 'b1' });
+        assert.deepEqual(eventTypes(result), ['playerJoined']);
+        assert.equal(result.events[0].payload.players.find(player => player.id === 'b0').isBot, true);
+        assert.equal(dispatch(game, { type: 'transferHost', playerId: 'p0', targetId: 'b0' }).error, 'Bots cannot be host');
+
+        dispatch(game, { type: 'leave', playerId: 'p0' });
+        assert.equal(game.hostId, 'p1');
+        dispatch(game, { type: 'leave', playerId: 'p1' });
+        assert.equal(game.players.size, 0);
+    });
+
+    test('banning bars the name from the room', () => {
+        const game = createLobby();
+        const result = dispatch(game, { type: 'banPlayer', playerId: 'p0', targetId: 'p3' });
+
+        assert.equal(result.events[0].payload.reason, 'banned');
+        assert.deepEqual(game.bannedNames, ['di']);
+        assert.equal(game.players.has('p3'), false);
+        assert.equal(dispatch(game, { type: 'reconnect', playerId: 'p3' }).error, 'Player no longer in game');
+        game.settings.inPerson = true;
+        assert.equal(dispatch(game, { type: 'addDeviceSeat', playerId: 'p1', newSeatId: 's0', name: 'DI' }).error,
+            'That name is banned from this room');
+    });
+
+    test('the host can remove players mid-round, and the round carries on without them', () => {
+        const { game } = startRound([...NAMES, 'Ed', 'Flo']);
+        const [host, kicked] = getNonSpies(game);
+        game.hostId = host.id; // Whoever the spy is, the host isn't
+
+        const result = dispatch(game, { type: 'kickPlayer', playerId: host.id, targetId: kicked.id, now: START + 1000 });
+        assert.equal(result.events.find(event => event.type === 'seatReleased').payload.reason, 'kicked');
+        assert.equal(game.status, 'playing');
+        assert.equal(game.players.size, 5);
+
+        const spy = getSpy(game);
+        const banned = dispatch(game, { type: 'banPlayer', playerId: host.id, targetId: spy.id, now: START + 2000 });
+        assert.equal(banned.events.find(event => event.type === 'gameEnded').payload.reason, 'spy_left');
+        assert.deepEqual(game.bannedNames, [spy.name.toLowerCase()]);
+    });
+
+    test('host controls only go to a connected player', () => {
+        const game = createLobby();
+        dispatch(game, { type: 'disconnect', playerId: 'p2', now: START });
+        assert.equal(dispatch(game, { type: 'transferHost', playerId: 'p0', targetId: 'p2' }).error, 'Cy is disconnected');
+        assert.equal(game.hostId, 'p0');
+
+        dispatch(game, { type: 'reconnect', playerId: 'p2', now: START });
+        const result = dispatch(game, { type: 'transferHost', playerId: 'p0', targetId: 'p2', now: START });
+        assert.equal(result.events[0].payload.newHostId, 'p2');
+        assert.deepEqual([game.players.get('p0').isHost, game.players.get('p2').isHost], [false, true]);
+        assert.equal(dispatch(game, { type: 'transferHost', playerId: 'p0', targetId: 'p1' }).error, 'Only host can transfer host controls');
+    });
+});
+
+describe('rounds', () => {
+    test('starting deals the roles and runs the clock', () => {
+        const { game, events } = startRound();
+
+        assert.equal(game.status, 'playing');
+        assert.deepEqual(events.map(event => event.type), ['chatMessage', 'roundStarted']);
+        assert.equal(game.spyIds.length, 1);
+        assert.equal(getNonSpies(game).length, NAMES.length - 1);
+        assert.ok(getNonSpies(game).every(player => player.occupation));
+        assert.equal(buildMatchInfo(game).startedAt, START);
+        assert.deepEqual(getPendingTimeouts(game), [
+            { at: START + game.settings.roundSeconds * 1000, action: { type: 'clockExpired' } }
+        ]);
+    });
+
+    test('actions in the wrong state are refused or ignored', () => {
+        const { game } = startRound();
+        assert.equal(dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: {} }).error,
+            'Settings can only be changed in the lobby');
+        assert.deepEqual(dispatch(game, { type: 'castAccusationVote', playerId: 'p1', approve: true }),
+            { events: [] });
+    });
+
+    test('an accusation stops the clock and a unanimous vote convicts', () => {
+        const { game } = startRound();
+        const spy = getSpy(game);
+        const [accuser, ...voters] = getNonSpies(game);
+
+        const accused = dispatch(game, { type: 'accusePlayer', playerId: accuser.id, suspectId: spy.id, now: START + 1000 });
+        assert.ok(eventTypes(accused).includes('accusationStarted'));
+        assert.equal(game.status, 'accusing');
+        assert.deepEqual(getPendingTimeouts(game), []);
+
+        voters.forEach(voter => dispatch(game, { type: 'castAccusationVote', playerId: voter.id, approve: true }));
+        assert.equal(game.status, 'ended');
+        assert.equal(spy.isCaught, true);
+    });
+
+    test('the host pause holds the remaining time', () => {
+        const { game } = startRound();
+        dispatch(game, { type: 'pauseGame', playerId: 'p0', now: START + 60000 });
+        assert.deepEqual(getPendingTimeouts(game), []);
+
+        dispatch(game, { type: 'resumeGame', playerId: 'p0', now: START + 120000 });
+        assert.equal(getPendingTimeouts(game)[0].at, START + 60000 + game.settings.roundSeconds * 1000);
+    });
+
+    test('when the clock runs out every player gets a timed turn, then the spy wins', () => {
+        const { game } = startRound();
+
+        const expired = fireNextTimeout(game);
+        assert.equal(game.status, 'voting');
+        assert.ok(eventTypes(expired).includes('accusationTurn'));
+
+        const turns = [expired.events.find(event => event.type === 'accusationTurn').payload.playerId];
+        for (let i = 1; i < NAMES.length; i++) {
+            const [{ at }] = getPendingTimeouts(game);
+            const result = fireNextTimeout(game);
+            assert.equal(getPendingTimeouts(game)[0].at, at + FINAL_ACCUSATION_TURN_MS);
+            turns.push(result.events.find(event => event.type === 'accusationTurn').payload.playerId);
+        }
+
+        const last = fireNextTimeout(game);
+        assert.deepEqual(new Set(turns), new Set(game.players.keys()));
+        assert.equal(last.events.find(event => event.type === 'gameEnded').payload.reason, 'timeout');
+        assert.deepEqual(getPendingTimeouts(game), []);
+    });
+
+    test('a stale turn timeout does nothing', () => {
+        const { game } = startRound();
+        fireNextTimeout(game);
+        fireNextTimeout(game); // Turn 0 expires; turn 1 is up
+
+        assert.deepEqual(dispatch(game, { type: 'turnExpired', turn: 0 }).events, []);
+        assert.equal(game.finalAccusations.turn, 1);
+    });
+});
+
+describe('question turns', () => {
+    function startTurnRound(names = NAMES) {
+        const game = createLobby(names);
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { questionTurns: true } });
+        dispatch(game, { type: 'startGame', playerId: 'p0', now: START });
+        return game;
+    }
+
+    function ask(game, playerId, targetId, text = 'What do you see?') {
+        return dispatch(game, { type: 'askQuestion', playerId, targetId, text, now: START + 1000 });
+    }
+
+    test('they are off unless the host turns them on', () => {
+        const { game } = startRound();
+        assert.equal(game.questionTurn, null);
+        assert.equal(ask(game, 'p0', 'p1').error, 'Question turns are off in this room');
+    });
+
+    test('the asker picks a target, the target answers and asks next', () => {
+        const game = startTurnRound();
+        const askerId = game.questionTurn.askerId;
+        const [targetId, otherId] = Array.from(game.players.keys()).filter(id => id !== askerId);
+
+        assert.equal(ask(game, targetId, askerId).error, "It's not your turn to ask");
+        const asked = ask(game, askerId, targetId);
+        assert.deepEqual(eventTypes(asked), ['chatMessage', 'questionTurn']);
+        assert.equal(asked.events[0].payload.type, 'question');
+        assert.equal(asked.events[1].payload.targetId, targetId);
+        assert.equal(ask(game, askerId, otherId).error, 'Wait for the answer first');
+
+        assert.equal(dispatch(game, { type: 'answerQuestion', playerId: otherId, text: 'Sand' }).error,
+            "You haven't been asked anything");
+        const answered = dispatch(game, { type: 'answerQuestion', playerId: targetId, text: 'Sand' });
+        assert.deepEqual(answered.events[1].payload, {
+            askerId: targetId,
+            askerName: game.players.get(targetId).name,
+            targetId: null,
+            targetName: null,
+            question: null,
+            noAskBackId: askerId
+        });
+    });
+
+    test('no asking back, unless there is nobody else to ask', () => {
+        const game = startTurnRound();
+        const [first, second, ...others] = Array.from(game.players.keys());
+        game.questionTurn = { askerId: first, targetId: null, question: null, noAskBackId: null };
+
+        ask(game, first, second);
+        dispatch(game, { type: 'answerQuestion', playerId: second, text: 'Sand' });
+        assert.match(ask(game, second, first).error, /No asking back/);
+
+        others.forEach(id => { game.players.get(id).isCaught = true; });
+        assert.equal(ask(game, second, first).error, undefined);
+    });
+
+    test('the turn moves on when the player on the spot leaves', () => {
+        const game = startTurnRound([...NAMES, 'Ed']); // Four would be too few to carry on
+        const askerId = game.questionTurn.askerId;
+        const targetId = getNonSpies(game).map(player => player.id).find(id => id !== askerId);
+        ask(game, askerId, targetId);
+
+        const result = dispatch(game, { type: 'leave', playerId: targetId, now: START + 2000 });
+        assert.equal(result.events.at(-1).type, 'questionTurn');
+        assert.deepEqual([game.questionTurn.askerId, game.questionTurn.targetId], [askerId, null]);
+    });
+});
+
+describe('in-person rooms', () => {
+    function createInPersonLobby() {
+        const game = createLobby(['Ann', 'Bob', 'Cy']);
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { inPerson: true } });
+        return game;
+    }
+
+    test('chat is off and someone is picked to ask first', () => {
+        const game = createInPersonLobby();
+        dispatch(game, { type: 'addDeviceSeat', playerId: 'p1', newSeatId: 's0', name: 'Di' });
+        dispatch(game, { type: 'startGame', playerId: 'p0', now: START });
+
+        assert.ok(game.players.has(game.firstQuestionerId));
+        assert.equal(dispatch(game, { type: 'sendMessage', playerId: 'p0', text: 'Hi' }).error, 'Chat is off in in-person rooms');
+    });
+
+    test('a phone can be shared, and its owner acts for the players on it', () => {
+        const game = createLobby();
+        assert.equal(dispatch(game, { type: 'addDeviceSeat', playerId: 'p1', newSeatId: 's0', name: 'Eve' }).error,
+            'Sharing a phone needs in-person mode');
+
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { inPerson: true } });
+        const added = dispatch(game, { type: 'addDeviceSeat', playerId: 'p1', newSeatId: 's0', name: 'Eve' });
+        assert.equal(added.events[0].payload.players.find(player => player.id === 's0').deviceOwnerId, 'p1');
+        assert.equal(dispatch(game, { type: 'transferHost', playerId: 'p0', targetId: 's0' }).error,
+            'Players on a shared phone cannot be host');
+
+        dispatch(game, { type: 'startGame', playerId: 'p0', now: START });
+        const suspectId = game.players.get('s0').role === 'spy' ? 'p2' : game.spyIds[0];
+        assert.equal(dispatch(game, { type: 'accusePlayer', playerId: 'p2', seatId: 's0', suspectId }).error,
+            'That player is not on your phone');
+        assert.equal(dispatch(game, { type: 'sendMessage', playerId: 'p1', seatId: 's0', text: 'Hi' }).error,
+            'That player is not on your phone');
+
+        dispatch(game, { type: 'accusePlayer', playerId: 'p1', seatId: 's0', suspectId, now: START + 1000 });
+        assert.equal(game.accusation.accuserId, 's0');
+    });
+
+    test('players on a phone leave with its owner', () => {
+        const game = createInPersonLobby();
+        dispatch(game, { type: 'addDeviceSeat', playerId: 'p0', newSeatId: 's0', name: 'Di' });
+
+        const result = dispatch(game, { type: 'leave', playerId: 'p0' });
+        assert.deepEqual(result.events.filter(event => event.type === 'seatReleased').map(event => event.payload.player.id), ['s0', 'p0']);
+        assert.equal(game.hostId, 'p1');
+    });
+});
+
+describe('chat moderation', () => {
+    function chat(game, playerId, text, now) {
+        return dispatch(game, { type: 'sendMessage', playerId, text, now });
+    }
+
+    function startRoundWith(settings) {
+        const game = createLobby();
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings });
+        dispatch(game, { type: 'startGame', playerId: 'p0', now: START });
+        return game;
+    }
+
+    test('blocked words are masked and each one slows the sender down', () => {
+        const game = startRoundWith({ blockedWords: ['Beach!'] });
+
+        const result = chat(game, 'p1', 'What a shitty beach', START);
+        assert.equal(result.events[0].payload.text, 'What a s***** b****');
+        assert.equal(game.players.get('p1').chatStrikes, 1);
+
+        assert.match(chat(game, 'p1', 'Sorry', START + 5000).error, /^Slow down - you can send one message every 6 seconds/);
+        assert.equal(chat(game, 'p1', 'Sorry', START + 6000).error, undefined);
+        assert.equal(chat(game, 'p2', 'Fine', START + 100).error, undefined);
+        assert.equal(chat(game, 'p2', 'Fine', START + 200).error, 'Please wait before sending another message');
+    });
+
+    test('the filter can be turned off', () => {
+        const game = startRoundWith({ wordFilter: false });
+
+        assert.equal(chat(game, 'p1', 'Oh shit', START).events[0].payload.text, 'Oh shit');
+        assert.equal(game.players.get('p1').chatStrikes, 0);
+    });
+
+    test('the host can mute a player', () => {
+        const { game } = startRound();
+        assert.equal(dispatch(game, { type: 'mutePlayer', playerId: 'p1', targetId: 'p2', muted: true }).error,
+            'Only host can mute players');
+
+        const result = dispatch(game, { type: 'mutePlayer', playerId: 'p0', targetId: 'p2', muted: true });
+        assert.equal(result.events[0].payload.players.find(player => player.id === 'p2').isMuted, true);
+        assert.equal(chat(game, 'p2', 'Hi', START).error, 'The host has muted you');
+
+        dispatch(game, { type: 'mutePlayer', playerId: 'p0', targetId: 'p2', muted: false });
+        assert.equal(chat(game, 'p2', 'Hi', START).error, undefined);
+    });
+
+    test('a muted player sits out question turns', () => {
+        const game = startRoundWith({ questionTurns: true });
+        game.questionTurn = { askerId: 'p2', targetId: null, question: null, noAskBackId: null };
+
+        const muted = dispatch(game, { type: 'mutePlayer', playerId: 'p0', targetId: 'p2', muted: true });
+        assert.equal(muted.events.at(-1).type, 'questionTurn');
+        assert.notEqual(game.questionTurn.askerId, 'p2');
+
+        const askerId = game.questionTurn.askerId;
+        assert.equal(dispatch(game, { type: 'askQuestion', playerId: askerId, targetId: 'p2', text: 'Hi?' }).error, 'Invalid player');
+
+        game.questionTurn.askerId = 'p2'; // Even if the turn lands on them
+        assert.equal(dispatch(game, { type: 'askQuestion', playerId: 'p2', targetId: 'p1', text: 'Hi?', now: START }).error,
+            'The host has muted you');
+        assert.equal(game.chatHistory.filter(message => message.type === 'question').length, 0);
+    });
+
+    test('a report reaches the host with the chat before it, but not who sent it', () => {
+        const { game } = startRound();
+        chat(game, 'p0', 'Hello', START);
+        chat(game, 'p1', 'Hi', START);
+        const messageId = chat(game, 'p2', 'You are all idiots', START).events[0].payload.id;
+
+        assert.equal(dispatch(game, { type: 'reportMessage', playerId: 'p2', messageId }).error, "You can't report your own message");
+
+        const result = dispatch(game, { type: 'reportMessage', playerId: 'p3', messageId, now: START });
+        assert.deepEqual(result.events.map(event => [event.type, event.to]), [['messageReported', 'p3'], ['chatReported', 'p0']]);
+        assert.equal(JSON.stringify(result.events[1].payload).includes('p3'), false);
+        assert.deepEqual(game.reports[0].context.map(message => message.text), ['Hello', 'Hi']);
+
+        assert.equal(dispatch(game, { type: 'reportMessage', playerId: 'p3', messageId }).error, 'You already reported that message');
+    });
+});
+
+describe('multiple spies', () => {
+    const SIX = ['Ann', 'Bob', 'Cy', 'Di', 'Ed', 'Flo'];
+
+    function startSpyRound(settings = {}) {
+        const game = createLobby(SIX);
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { spyCount: 2, ...settings } });
+        assert.equal(dispatch(game, { type: 'startGame', playerId: 'p0', now: START }).error, undefined);
+        return { game, spies: game.spyIds.map(id => game.players.get(id)) };
+    }
+
+    // Accuse and have everyone else agree
+    function convict(game, accuser, suspect, now = START + 1000) {
+        dispatch(game, { type: 'accusePlayer', playerId: accuser.id, suspectId: suspect.id, now });
+        return Array.from(game.players.values())
+            .filter(player => player.id !== suspect.id && player.id !== accuser.id && !player.isCaught)
+            .map(voter => dispatch(game, { type: 'castAccusationVote', playerId: voter.id, approve: true, now }));
+    }
+
+    function score(game, player) {
+        return game.match.scores.get(player.id).score;
+    }
+
+    test('each extra spy needs another player', () => {
+        const game = createLobby(SIX.slice(0, 5));
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { spyCount: 3 } });
+        assert.equal(dispatch(game, { type: 'startGame', playerId: 'p0', now: START }).error, '3 spies need at least 6 players');
+    });
+
+    test('spies only know each other when the host allows it', () => {
+        const hidden = startSpyRound();
+        assert.equal(hidden.spies.length, 2);
+        assert.ok(hidden.spies.every(spy => spy.role === 'spy' && getFellowSpies(hidden.game, spy).length === 0));
+
+        const known = startSpyRound({ spiesKnowEachOther: true });
+        const [first, second] = known.spies;
+        assert.deepEqual(getFellowSpies(known.game, first), [{ id: second.id, name: second.name }]);
+        assert.deepEqual(getFellowSpies(known.game, getNonSpies(known.game)[0]), []);
+    });
+
+    test('catching one spy resumes play, and the round ends once every spy is out', () => {
+        const { game, spies } = startSpyRound();
+        const [accuser, other] = getNonSpies(game);
+
+        const votes = convict(game, accuser, spies[0]);
+        const eliminated = votes.at(-1).events.find(event => event.type === 'spyEliminated').payload;
+        assert.equal(eliminated.spiesRemaining, 1);
+        assert.equal(game.status, 'playing');
+        assert.equal(getPendingTimeouts(game)[0].action.type, 'clockExpired');
+        assert.equal(dispatch(game, { type: 'accusePlayer', playerId: other.id, suspectId: spies[0].id }).error, 'Invalid suspect');
+
+        convict(game, other, spies[1], START + 2000);
+        assert.equal(game.lastResult.reason, 'spy_caught');
+        assert.deepEqual(game.lastResult.spies.map(spy => spy.id).sort(), game.spyIds.slice().sort());
+        assert.equal(score(game, other), 2);
+        assert.equal(score(game, accuser), 1);
+    });
+
+    test('a wrong guess exposes only that spy', () => {
+        const { game, spies } = startSpyRound();
+        const wrong = getLocationBoard(game).flatMap(category => category.locations).find(location => location !== game.location);
+
+        dispatch(game, { type: 'spyGuess', playerId: spies[0].id, location: wrong, now: START + 1000 });
+        assert.deepEqual(spies.map(spy => spy.isCaught), [true, false]);
+        assert.equal(game.status, 'playing');
+
+        dispatch(game, { type: 'spyGuess', playerId: spies[1].id, location: game.location, now: START + 2000 });
+        assert.equal(game.lastResult.winner, 'spy');
+        assert.ok(spies.every(spy => score(game, spy) === 4));
+    });
+
+    test('the accuser keeps the bonus when the last spy then guesses wrong', () => {
+        const { game, spies } = startSpyRound();
+        const [accuser, ...others] = getNonSpies(game);
+        const wrong = getLocationBoard(game).flatMap(category => category.locations).find(location => location !== game.location);
+
+        convict(game, accuser, spies[0]);
+        dispatch(game, { type: 'spyGuess', playerId: spies[1].id, location: wrong, now: START + 2000 });
+        assert.equal(game.lastResult.reason, 'spy_wrong_guess');
+        assert.equal(score(game, accuser), 2);
+        assert.ok(others.every(player => score(game, player) === 1));
+        assert.ok(spies.every(spy => score(game, spy) === 0));
+    });
+});
+
+describe('players leaving mid-round', () => {
+    const FIVE = ['Ann', 'Bob', 'Cy', 'Di', 'Ed'];
+
+    function leave(game, playerId, now = START) {
+        return dispatch(game, { type: 'leave', playerId, reason: 'left', now });
+    }
+
+    test('the spy leaving ends the round for the non-spies', () => {
+        const { game } = startRound(FIVE);
+        const spy = getSpy(game);
+
+        const result = leave(game, spy.id);
+        const ended = result.events.find(event => event.type === 'gameEnded').payload;
+        assert.equal(ended.reason, 'spy_left');
+        assert.equal(ended.winner, 'non-spies');
+        assert.deepEqual(ended.spies.map(player => player.id), [spy.id]);
+        assert.ok(getNonSpies(game).every(player => game.match.scores.get(player.id).score === 1));
+    });
+
+    test('a voter leaving completes the vote on the ones left', () => {
+        const { game } = startRound(FIVE);
+        const spy = getSpy(game);
+        const [accuser, stayer, ...leavers] = getNonSpies(game);
+
+        dispatch(game, { type: 'accusePlayer', playerId: accuser.id, suspectId: stayer.id, now: START });
+        dispatch(game, { type: 'castAccusationVote', playerId: spy.id, approve: false });
+        dispatch(game, { type: 'castAccusationVote', playerId: leavers[0].id, approve: true });
+
+        const result = leave(game, leavers[1].id);
+        assert.deepEqual(result.events.find(event => event.type === 'accusationVoteUpdate').payload,
+            { votesSubmitted: 3, totalVoters: 3 });
+        assert.equal(result.events.find(event => event.type === 'accusationResult').payload.passed, false);
+        assert.equal(game.status, 'playing');
+    });
+
+    test('dropping below the minimum calls the round off', () => {
+        const { game } = startRound();
+        const [nonSpy] = getNonSpies(game);
+
+        const result = leave(game, nonSpy.id);
+        assert.equal(game.status, 'lobby');
+        assert.equal(result.events.find(event => event.type === 'returnedToLobby').payload.reason, 'not_enough_players');
+        assert.deepEqual(getPendingTimeouts(game), []);
+    });
+
+    test('the room can wait for a dropped player', () => {
+        const game = createLobby(FIVE);
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { pauseOnDisconnect: true } });
+        dispatch(game, { type: 'startGame', playerId: 'p0', now: START });
+
+        const dropped = dispatch(game, { type: 'disconnect', playerId: 'p3', now: START + 60000 });
+        const timer = dropped.events.find(event => event.type === 'timerSync').payload;
+        assert.equal(timer.pausedBy, 'disconnect');
+        assert.deepEqual(timer.waitingFor, ['Di']);
+        assert.deepEqual(getPendingTimeouts(game), []);
+        assert.equal(dispatch(game, { type: 'spyGuess', playerId: getSpy(game).id, location: 'Beach' }).error, 'The game is paused');
+
+        dispatch(game, { type: 'reconnect', playerId: 'p3', now: START + 90000 });
+        assert.equal(game.timer.pausedBy, null);
+        assert.equal(getPendingTimeouts(game)[0].at, START + 30000 + game.settings.roundSeconds * 1000);
+    });
+});
+
+describe('saving', () => {
+    test('a saved round resumes with the time it had left', () => {
+        const { game } = startRound();
+        const saved = JSON.parse(JSON.stringify(serializeGame(game, START + 100000)));
+
+        const restored = deserializeGame(saved);
+        assert.deepEqual(getPendingTimeouts(restored), []);
+
+        const later = START + 10 * 60 * 1000;
+        restoreClocks(restored, later);
+        assert.equal(restored.players.size, NAMES.length);
+        assert.equal(restored.location, game.location);
+        assert.deepEqual(getPendingTimeouts(restored), [
+            { at: later + game.settings.roundSeconds * 1000 - 100000, action: { type: 'clockExpired' } }
+        ]);
+    });
+
+    test('a restored round waiting for dropped players stays paused until they are back', () => {
+        const game = createLobby();
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { pauseOnDisconnect: true } });
+        dispatch(game, { type: 'startGame', playerId: 'p0', now: START });
+        const restored = deserializeGame(JSON.parse(JSON.stringify(serializeGame(game, START + 100000))));
+        restored.players.forEach(player => {
+            player.isConnected = false;
+        });
+
+        const later = START + 10 * 60 * 1000;
+        restoreClocks(restored, later);
+        assert.equal(restored.timer.pausedBy, 'disconnect');
+        assert.deepEqual(getPendingTimeouts(restored), []);
+
+        NAMES.forEach((name, i) => dispatch(restored, { type: 'reconnect', playerId: `p${i}`, now: later }));
+        assert.equal(restored.timer.pausedBy, null);
+        assert.equal(getPendingTimeouts(restored)[0].at, later + game.settings.roundSeconds * 1000 - 100000);
+    });
+});
@@ -0,0 +1,196 @@
+// Headless multi-client harness: boots the real server on a free port and drives
+// socket.io-client players through it. Every event a client receives is recorded,
+// so tests can assert on the whole conversation as well as wait for the next event.
+// Each server is a fresh copy of server.js with its own state (rooms, rate limits),
+// so stopping it between tests keeps them independent of the order they run in.
+process.env.GAME_STORE = 'memory';
+
+// The test runner reads results from this process's stdout, and server logs interleaved
+// with them can corrupt the stream. Keep the logs, but on stderr.
+console.log = console.error;
+
+const { io: connect } = require('socket.io-client');
+
+// Captured at load, before any test fakes the clock, so waits can still time out
+const realSetTimeout = setTimeout;
+const realClearTimeout = clearTimeout;
+
+const DEFAULT_WAIT_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let server = null;
+let url = null;
+const clients = new Set();
+
+function loadServer() {
+    const serverPath = require.resolve('../server');
+    delete require.cache[serverPath];
+    try {
+        return require('../server');
+    } finally {
+        delete require.cache[serverPath];
+    }
+}
+
+async function startServer() {
+    if (!url) {
+        server = loadServer();
+        // Heartbeats run on setTimeout too: keep them beyond any faked clock jump, or ticking
+        // through a round would time out every connection. A socket that closes under a fake
+        // clock can't clear its real heartbeat, so don't let one keep the process alive.
+        server.io.engine.opts.pingInterval = HEARTBEAT_INTERVAL_MS;
+        server.io.engine.on('connection', socket => socket.pingIntervalTimer?.unref?.());
+        url = `http://localhost:${await server.start(0)}`;
+    }
+    return url;
+}
+
+async function stopServer() {
+    disconnectAll();
+    if (server) await server.stop();
+    server = null;
+    url = null;
+}
+
+function disconnectAll() {
+    clients.forEach(client => client.disconnect());
+}
+
+class TestClient {
+    constructor(name, { userAgent } = {}) {
+        this.name = name;
+        this.received = []; // [{event, payload}] in arrival order
+        this.playerId = null;
+        this.token = null;
+        this.round = null; // This client's gameStarted payload for the current round
+
+        this.socket = connect(url, {
+            transports: ['websocket'],
+            forceNew: true,
+            reconnection: false,
+            extraHeaders: userAgent ? { 'user-agent': userAgent } : {}
+        });
+        this.socket.onAny((event, payload) => this.received.push({ event, payload }));
+        clients.add(this);
+    }
+
+    emit(event, payload) {
+        this.socket.emit(event, payload);
+    }
+
+    // Resolve with the next `event` payload (optionally the next one matching `where`)
+    waitFor(event, { timeoutMs = DEFAULT_WAIT_MS, where = () => true } = {}) {
+        return new Promise((resolve, reject) => {
+            const onEvent = payload => {
+                if (!where(payload)) return;
+                realClearTimeout(timer);
+                this.socket.off(event, onEvent);
+                resolve(payload);
+            };
+            const timer = realSetTimeout(() => {
+                this.socket.off(event, onEvent);
+                reject(new Error(`${this.name} did not receive "${event}" within ${timeoutMs}ms`));
+            }, timeoutMs);
+            this.socket.on(event, onEvent);
+        });
+    }
+
+    // Every payload received so far for an event
+    all(event) {
+        return this.received.filter(entry => entry.event === event).map(entry => entry.payload);
+    }
+
+    last(event) {
+        return this.all(event).pop();
+    }
+
+    get role() {
+        return this.round ? this.round.role : null;
+    }
+
+    disconnect() {
+        this.socket.disconnect();
+        clients.delete(this);
+    }
+}
+
+// Open a room: the first name hosts, the rest join in order.
+// Returns {roomCode, host, players, spectators, settings}.
+async function createRoom(names, { spectators = [] } = {}) {
+    await startServer();
+
+    const [hostName, ...guestNames] = names;
+    const host = new TestClient(hostName);
+    const created = host.waitFor('roomCreated');
+    host.emit('createRoom', hostName);
+    const room = await created;
+    Object.assign(host, { playerId: room.playerId, token: room.reconnectionToken });
+
+    const players = [host];
+    for (const name of guestNames) {
+        const seen = host.waitFor('playerJoined');
+        players.push(await joinRoom(room.roomCode, name));
+        await seen;
+    }
+
+    const watchers = [];
+    for (const name of spectators) {
+        const spectator = new TestClient(name);
+        const watching = spectator.waitFor('spectating');
+        spectator.emit('spectateRoom', { roomCode: room.roomCode, playerName: name });
+        spectator.playerId = (await watching).spectatorId;
+        watchers.push(spectator);
+    }
+
+    return { roomCode: room.roomCode, host, players, spectators: watchers, settings: room.settings };
+}
+
+async function joinRoom(roomCode, name) {
+    const client = new TestClient(name);
+    const joined = client.waitFor('roomJoined');
+    client.emit('joinRoom', { roomCode, playerName: name });
+    const data = await joined;
+    Object.assign(client, { playerId: data.playerId, token: data.reconnectionToken });
+    return client;
+}
+
+// Host starts the next round; every player's gameStarted lands on client.round
+async function startRound(room) {
+    const everyone = [...room.players, ...room.spectators];
+    const started = everyone.map(client => client.waitFor('gameStarted'));
+    room.host.emit('startGame');
+    (await Promise.all(started)).forEach((payload, i) => {
+        everyone[i].round = payload;
+    });
+}
+
+function getSpies(room) {
+    return room.players.filter(client => client.role === 'spy');
+}
+
+function getNonSpies(room) {
+    return room.players.filter(client => client.role === 'non-spy');
+}
+
+function getLocation(room) {
+    return getNonSpies(room)[0].round.location;
+}
+
+// Let in-flight socket traffic land (uses the real clock)
+function settle(ms = 50) {
+    return new Promise(resolve => realSetTimeout(resolve, ms));
+}
+
+module.exports = {
+    TestClient,
+    startServer,
+    stopServer,
+    disconnectAll,
+    createRoom,
+    joinRoom,
+    startRound,
+    getSpies,
+    getNonSpies,
+    getLocation,
+    settle
+};
@@ -0,0 +1,128 @@
+// Custom location packs come from hosts, uploaded files and share codes pasted from
+// anywhere, so the limits here are what stands between that input and a game.
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeLocationPack, encodePackCode, decodePackCode } = require('../locationPacks');
+const { createGame, dispatch } = require('../gameEngine');
+
+const PACK = {
+    name: 'Space Station',
+    locations: {
+        'Airlock': ['Engineer', 'Pilot'],
+        'Hydroponics Bay': ['Botanist']
+    }
+};
+
+function locationList(count) {
+    return Array.from({ length: count }, (_, i) => `Place ${i + 1}`);
+}
+
+describe('sanitizing packs', () => {
+    test('names, locations and roles are cleaned and deduplicated', () => {
+        const { pack } = sanitizeLocationPack({
+            name: '  <b>Space</b>   Station  ',
+            locations: [
+                { name: 'Airlock', roles: ['Pilot', ' Pilot ', '', 'Engineer'] },
+                'airlock', // Same location, different case
+                { name: '"Bridge"', roles: null },
+                ''
+            ]
+        });
+
+        assert.deepEqual(pack, {
+            name: 'bSpace/b Station',
+            locations: { Airlock: ['Pilot', 'Engineer'], Bridge: [] }
+        });
+    });
+
+    test('long text is cut to length', () => {
+        const { pack } = sanitizeLocationPack({
+            name: 'N'.repeat(100),
+            locations: { ['L'.repeat(100)]: ['R'.repeat(100)], Other: [] }
+        });
+
+        assert.equal(pack.name.length, 30);
+        const [location] = Object.keys(pack.locations);
+        assert.equal(location.length, 40);
+        assert.equal(pack.locations[location][0].length, 30);
+    });
+
+    test('packs outside the limits are refused', () => {
+        assert.equal(sanitizeLocationPack(null).error, 'Invalid location pack');
+        assert.equal(sanitizeLocationPack({ name: 'X', locations: locationList(2) }).error,
+            'Pack name must be at least 2 characters');
+        assert.equal(sanitizeLocationPack({ name: 'Pack', locations: 'Airlock' }).error, 'A pack needs a list of locations');
+        assert.equal(sanitizeLocationPack({ name: 'Pack', locations: ['Airlock', 'AIRLOCK'] }).error,
+            'A pack needs at least 2 different locations');
+        assert.equal(sanitizeLocationPack({ name: 'Pack', locations: locationList(51) }).error,
+            'A pack can have at most 50 locations');
+        assert.equal(sanitizeLocationPack({ name: 'Pack', locations: { Airlock: 'Pilot', Bridge: [] } }).error,
+            'Roles for "Airlock" must be a list');
+
+        const roles = Array.from({ length: 16 }, (_, i) => `Role ${i}`);
+        assert.equal(sanitizeLocationPack({ name: 'Pack', locations: { Airlock: roles, Bridge: [] } }).error,
+            '"Airlock" can have at most 15 roles');
+    });
+});
+
+describe('share codes', () => {
+    test('a pack survives the round trip', () => {
+        const code = encodePackCode(PACK);
+        assert.match(code, /^SPYPACK1-[A-Za-z0-9_-]+$/);
+        assert.deepEqual(decodePackCode(`  ${code}\n`), { pack: PACK });
+    });
+
+    test('decoded packs are sanitized like any other', () => {
+        const code = encodePackCode({ name: '<Evil>', locations: { '<script>': [], 'Fine': [] } });
+        assert.deepEqual(decodePackCode(code), { pack: { name: 'Evil', locations: { script: [], Fine: [] } } });
+    });
+
+    test('malformed codes are refused', () => {
+        const garbage = [
+            undefined,
+            42,
+            'Space Station',
+            'SPYPACK2-' + Buffer.from(JSON.stringify(PACK)).toString('base64url'),
+            'SPYPACK1-',
+            'SPYPACK1-not json at all',
+            'SPYPACK1-' + Buffer.from('{"name":').toString('base64url'),
+            'SPYPACK1-' + 'A'.repeat(20000)
+        ];
+        garbage.forEach(code => assert.deepEqual(decodePackCode(code), { error: 'Invalid pack code' }, String(code).slice(0, 20)));
+    });
+
+    test('a code holding an invalid pack gives the pack error', () => {
+        const code = encodePackCode({ name: 'Pack', locations: { Airlock: [] } });
+        assert.equal(decodePackCode(code).error, 'A pack needs at least 2 different locations');
+        assert.equal(decodePackCode('SPYPACK1-' + Buffer.from('"a string"').toString('base64url')).error, 'Invalid location pack');
+    });
+});
+
+describe('adding packs to a room', () => {
+    function createLobby() {
+        const game = createGame('ABCD', 'p0', 0);
+        dispatch(game, { type: 'join', playerId: 'p0', name: 'Ann', now: 0 });
+        return game;
+    }
+
+    function addPack(game, input) {
+        return dispatch(game, { type: 'addLocationPack', playerId: 'p0', input, now: 0 });
+    }
+
+    test('a pack named like a built-in category is refused, whatever the case', () => {
+        const game = createLobby();
+        const result = addPack(game, { ...PACK, name: 'healthcare' });
+
+        assert.equal(result.error, '"Healthcare" is a built-in pack - pick another name');
+        assert.deepEqual(game.customPacks, []);
+    });
+
+    test('a share code adds the pack, and the same name replaces it', () => {
+        const game = createLobby();
+        assert.equal(addPack(game, { code: encodePackCode(PACK) }).error, undefined);
+        assert.equal(addPack(game, { name: 'space station', locations: ['Airlock', 'Bridge'] }).error, undefined);
+
+        assert.deepEqual(game.customPacks.map(pack => pack.name), ['space station']);
+        assert.deepEqual(game.settings.categories.filter(category => /space/i.test(category)), ['space station']);
+    });
+});
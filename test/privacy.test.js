@@ -0,0 +1,154 @@
+// Plays a full round against a real server and checks that no payload ever carries
+// something its recipient shouldn't see: other players' reconnection tokens, socket ids,
+// IPs, or (before the round ends) other players' roles and the location.
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const harness = require('./harness');
+const { toPublicPlayer, toOwnPlayer } = require('../projections');
+
+const NEVER_SENT = ['socketId', 'playerIps', 'bannedIps', 'ip', 'votedFor'];
+
+// Every problem in one client's payloads, as readable strings
+function findLeaks(client, allTokens) {
+    const leaks = [];
+    let roundOver = false;
+
+    client.received.forEach(({ event, payload }) => {
+        if (event === 'gameEnded' || event === 'gameLog') roundOver = true;
+        if (event === 'gameStarted') roundOver = false;
+
+        const json = JSON.stringify(payload) || '';
+        allTokens.filter(token => token !== client.token).forEach(token => {
+            if (json.includes(token)) leaks.push(`${event}: another player's reconnection token`);
+        });
+
+        const walk = (value, owner) => {
+            if (!value || typeof value !== 'object') return;
+            const id = value.id || owner;
+            Object.entries(value).forEach(([key, child]) => {
+                if (NEVER_SENT.includes(key)) leaks.push(`${event}: ${key}`);
+                if (key === 'reconnectionToken' && child !== client.token) leaks.push(`${event}: foreign token`);
+                if (!roundOver && (key === 'role' || key === 'occupation') && id && id !== client.playerId && child) {
+                    leaks.push(`${event}: ${key} of another player`);
+                }
+                if (!roundOver && key === 'location' && child && client.role !== 'non-spy') {
+                    leaks.push(`${event}: location sent to a ${client.role}`);
+                }
+                walk(child, id);
+            });
+        };
+        walk(payload, null);
+    });
+
+    return leaks;
+}
+
+after(() => harness.stopServer());
+
+describe('projections', () => {
+    const player = {
+        id: 'p1',
+        name: 'Ann',
+        isBot: false,
+        deviceOwnerId: null,
+        socketId: 'abc',
+        reconnectionToken: 'secret',
+        isConnected: true,
+        isHost: true,
+        isMuted: false,
+        chatStrikes: 1,
+        role: 'spy',
+        occupation: null,
+        hasAccused: false,
+        hasGuessed: false,
+        isCaught: false
+    };
+
+    test('public view has no secrets', () => {
+        assert.deepEqual(Object.keys(toPublicPlayer(player)).sort(), ['deviceOwnerId', 'id', 'isBot', 'isCaught', 'isConnected', 'isHost', 'isMuted', 'name']);
+    });
+
+    test('own view adds the role but never the token or socket', () => {
+        const own = toOwnPlayer(player);
+        assert.equal(own.role, 'spy');
+        assert.equal(own.reconnectionToken, undefined);
+        assert.equal(own.socketId, undefined);
+    });
+});
+
+describe('a full round', () => {
+    let clients;
+    let spectator;
+    let tokens;
+
+    before(async () => {
+        const room = await harness.createRoom(['Ann', 'Bob', 'Cy', 'Di'], { spectators: ['Eve'] });
+        const { host, players } = room;
+        [spectator] = room.spectators;
+        await harness.startRound(room);
+
+        // Chat, then a failed accusation with a yes/no vote
+        const chat = host.waitFor('chatMessage');
+        players[1].emit('sendMessage', 'Who has been here before?');
+        await chat;
+
+        const result = host.waitFor('accusationResult');
+        players[1].emit('accusePlayer', players[2].playerId);
+        await host.waitFor('accusationStarted');
+        [players[0], players[3]].forEach(client => client.emit('castAccusationVote', false));
+        await result;
+
+        // Di drops and comes back on a new socket
+        const dropped = host.waitFor('playerDisconnected');
+        players[3].disconnect();
+        await dropped;
+        const returning = new harness.TestClient('Di');
+        Object.assign(returning, { playerId: players[3].playerId, token: players[3].token, round: players[3].round });
+        const success = returning.waitFor('reconnectSuccess');
+        returning.emit('reconnect', { reconnectionToken: players[3].token, playerName: 'Di' });
+        await success;
+        players[3] = returning;
+
+        // The spy guesses wrong, which ends a one-spy round
+        const [spy] = harness.getSpies(room);
+        const ended = host.waitFor('gameEnded');
+        spy.emit('spyGuess', spy.round.locations.find(location => location !== harness.getLocation(room)));
+        await ended;
+
+        const log = host.waitFor('gameLog');
+        host.emit('requestGameLog');
+        await log;
+
+        tokens = players.map(client => client.token);
+        clients = [...players, spectator];
+    });
+
+    test('every client saw the round end', () => {
+        clients.forEach(client => {
+            assert.ok(client.last('gameEnded'), `${client.name} missed gameEnded`);
+        });
+    });
+
+    test('no player receives another player\'s token, socket id or role', () => {
+        clients.filter(client => client.role !== 'spectator').forEach(client => {
+            assert.deepEqual(findLeaks(client, tokens), [], client.name);
+        });
+    });
+
+    test('the spy and spectators never see the location mid-round', () => {
+        const spy = clients.find(client => client.role === 'spy');
+        assert.deepEqual(findLeaks(spy, tokens), []);
+        assert.deepEqual(findLeaks(spectator, tokens), []);
+    });
+
+    test('spectators never receive a reconnection token', () => {
+        const json = JSON.stringify(spectator.received);
+        assert.ok(!json.includes('reconnectionToken'));
+    });
+
+    test('results reveal roles to everyone', () => {
+        const payload = spectator.last('gameEnded');
+        assert.ok(payload.players.every(player => player.role));
+        assert.ok(payload.players.every(player => player.reconnectionToken === undefined));
+    });
+});
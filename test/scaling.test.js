@@ -0,0 +1,144 @@
+// Two servers in one process, joined by scaling.js's in-process adapter and a shared
+// memory state store: the same routing a Redis deployment does across processes.
+process.env.GAME_STORE = 'memory';
+console.log = console.error; // Keep server logs off the test runner's stdout (see harness.js)
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io: connect } = require('socket.io-client');
+const scaling = require('../scaling');
+
+const WAIT_MS = 2000;
+
+// A fresh copy of server.js, wired to the shared cluster instead of the environment
+function loadServer(nodeId, Adapter, stateStore) {
+    const setupScaling = scaling.setupScaling;
+    scaling.setupScaling = io => {
+        io.adapter(Adapter);
+        return { nodeId, stateStore, ready: Promise.resolve() };
+    };
+
+    const serverPath = require.resolve('../server');
+    delete require.cache[serverPath];
+    try {
+        return require('../server');
+    } finally {
+        scaling.setupScaling = setupScaling;
+        delete require.cache[serverPath];
+    }
+}
+
+function waitFor(socket, event) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`no "${event}" within ${WAIT_MS}ms`)), WAIT_MS);
+        socket.once(event, payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+}
+
+describe('memory state store', () => {
+    test('claims, counters and expiry', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 0 });
+        const store = scaling.createMemoryStateStore();
+
+        assert.equal(await store.setIfAbsent('room:ABCD', 'a'), true);
+        assert.equal(await store.setIfAbsent('room:ABCD', 'b'), false);
+        assert.equal(await store.get('room:ABCD'), 'a');
+
+        assert.equal(await store.increment('hits', 1000), 1);
+        assert.equal(await store.increment('hits', 1000), 2);
+        assert.equal(await store.decrement('hits'), 1);
+        t.mock.timers.tick(1001);
+        assert.equal(await store.get('hits'), null);
+
+        assert.equal(await store.setIfAbsent('room:BEEF', 'a', 1000), true);
+        await store.set('token:abc', 'BEEF', 500);
+        t.mock.timers.tick(1001);
+        assert.equal(await store.get('token:abc'), null);
+        assert.equal(await store.setIfAbsent('room:BEEF', 'b', 1000), true);
+
+        assert.equal(await store.decrement('missing'), 0);
+        await store.delete('room:ABCD');
+        assert.equal(await store.get('room:ABCD'), null);
+    });
+});
+
+describe('two servers', () => {
+    const Adapter = scaling.createLocalAdapter();
+    const stateStore = scaling.createMemoryStateStore();
+    const servers = [loadServer('node-a', Adapter, stateStore), loadServer('node-b', Adapter, stateStore)];
+    const urls = [];
+    const sockets = [];
+
+    function connectTo(serverIndex) {
+        const socket = connect(urls[serverIndex], { transports: ['websocket'], forceNew: true, reconnection: false });
+        sockets.push(socket);
+        return socket;
+    }
+
+    async function join(serverIndex, roomCode, playerName) {
+        const socket = connectTo(serverIndex);
+        const joined = waitFor(socket, 'roomJoined');
+        socket.emit('joinRoom', { roomCode, playerName });
+        return { socket, room: await joined };
+    }
+
+    before(async () => {
+        for (const server of servers) {
+            urls.push(`http://localhost:${await server.start(0)}`);
+        }
+    });
+
+    after(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await Promise.all(servers.map(server => server.stop()));
+    });
+
+    test('a room belongs to the server that created it', async () => {
+        const host = connectTo(0);
+        const created = waitFor(host, 'roomCreated');
+        host.emit('createRoom', 'Ann');
+        const { roomCode } = await created;
+
+        assert.equal(await stateStore.get(`room:${roomCode}`), 'node-a');
+    });
+
+    test('a room whose owner stopped renewing its claim is no longer forwarded there', async () => {
+        await stateStore.set('room:DEAD', 'node-gone', 20);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        const client = connectTo(1);
+        const error = waitFor(client, 'error');
+        client.emit('joinRoom', { roomCode: 'DEAD', playerName: 'Bob' });
+        assert.equal(await error, 'Room not found');
+    });
+
+    test('players on the other server are forwarded to the room and hear everything', async () => {
+        const host = connectTo(0);
+        const created = waitFor(host, 'roomCreated');
+        host.emit('createRoom', 'Ann');
+        const { roomCode } = await created;
+
+        const seen = waitFor(host, 'playerJoined');
+        const bob = await join(1, roomCode, 'Bob');
+        assert.deepEqual(bob.room.players.map(player => player.name), ['Ann', 'Bob']);
+        assert.equal((await seen).player.name, 'Bob');
+
+        const others = [bob.socket];
+        for (const [serverIndex, name] of [[1, 'Cy'], [0, 'Di']]) {
+            others.push((await join(serverIndex, roomCode, name)).socket);
+        }
+
+        const started = [host, ...others].map(socket => waitFor(socket, 'gameStarted'));
+        host.emit('startGame');
+        const rounds = await Promise.all(started);
+        assert.equal(rounds.filter(round => round.role === 'spy').length, 1);
+
+        // Chat from the forwarded side reaches players on both servers
+        const heard = [host, others[1]].map(socket => waitFor(socket, 'chatMessage'));
+        bob.socket.emit('sendMessage', 'Hello from the other server');
+        (await Promise.all(heard)).forEach(message => assert.equal(message.text, 'Hello from the other server'));
+    });
+});
@@ -0,0 +1,172 @@
+// Saved games on disk: the file store on its own, and a server restarting from what it wrote.
+// Everything lives in a temp directory that is removed afterwards.
+console.log = console.error; // Keep server logs off the test runner's stdout (see harness.js)
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { createFileStore } = require('../storage');
+const { createGame, dispatch, serializeGame } = require('../gameEngine');
+const { SNAPSHOT_VERSION } = require('../server'); // Never started; each test boots a fresh copy
+const WAIT_MS = 2000;
+const NAMES = ['Ann', 'Bob', 'Cy', 'Di'];
+
+let tempDir;
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spyfall-storage-'));
+});
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// A room mid-round with non-default settings, seated the way server.js seats players
+function createSavedRoom(now = Date.now(), { names = NAMES, botCount = 0, seatNames = [] } = {}) {
+    const game = createGame('BEEF', 'p0', now);
+    names.forEach((name, i) => {
+        dispatch(game, { type: 'join', playerId: `p${i}`, name, now });
+        game.players.get(`p${i}`).reconnectionToken = crypto.randomBytes(32).toString('hex');
+    });
+    dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { roundSeconds: 300, chatEnabled: false }, now });
+    for (let i = 0; i < botCount; i++) {
+        dispatch(game, { type: 'addBot', playerId: 'p0', botId: `bot${i}`, now });
+    }
+    if (seatNames.length > 0) {
+        dispatch(game, { type: 'updateSettings', playerId: 'p0', settings: { inPerson: true }, now });
+    }
+    seatNames.forEach((name, i) => {
+        dispatch(game, { type: 'addDeviceSeat', playerId: 'p0', newSeatId: `s${i}`, name, now });
+    });
+    dispatch(game, { type: 'startGame', playerId: 'p0', now });
+    return game;
+}
+
+function snapshotOf(games, now = Date.now()) {
+    return { version: SNAPSHOT_VERSION, savedAt: now, games: games.map(game => serializeGame(game, now)) };
+}
+
+// A fresh copy of server.js that saves to `filePath`
+function loadServer(filePath) {
+    process.env.GAME_STORE = 'file';
+    process.env.GAME_STORE_PATH = filePath;
+
+    const serverPath = require.resolve('../server');
+    delete require.cache[serverPath];
+    try {
+        return require('../server');
+    } finally {
+        delete require.cache[serverPath];
+    }
+}
+
+function waitFor(socket, event) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`no "${event}" within ${WAIT_MS}ms`)), WAIT_MS);
+        socket.once(event, payload => {
+            clearTimeout(timer);
+            resolve(payload);
+        });
+    });
+}
+
+describe('file store', () => {
+    test('nothing saved yet loads as null', async () => {
+        assert.equal(await createFileStore(path.join(tempDir, 'none', 'games.json')).load(), null);
+    });
+
+    test('a snapshot survives the round trip, in a directory created on first save', async () => {
+        const filePath = path.join(tempDir, 'nested', 'games.json');
+        const snapshot = snapshotOf([createSavedRoom()]);
+        await createFileStore(filePath).save(snapshot);
+
+        assert.deepEqual(await createFileStore(filePath).load(), JSON.parse(JSON.stringify(snapshot)));
+        assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+    });
+
+    test('a write cut off before the rename leaves the last snapshot in place', async () => {
+        const filePath = path.join(tempDir, 'interrupted.json');
+        const snapshot = snapshotOf([createSavedRoom()]);
+        await createFileStore(filePath).save(snapshot);
+        fs.writeFileSync(`${filePath}.tmp`, '{"version":1,"games":[{"roomCo');
+
+        assert.equal((await createFileStore(filePath).load()).games[0].roomCode, 'BEEF');
+    });
+
+    test('a corrupt file fails to load instead of passing on garbage', async () => {
+        const filePath = path.join(tempDir, 'corrupt.json');
+        fs.writeFileSync(filePath, '{"version":1,"games":[{"roomCo');
+
+        await assert.rejects(createFileStore(filePath).load(), SyntaxError);
+    });
+});
+
+describe('restarting the server', () => {
+    const sockets = [];
+    const servers = [];
+
+    async function boot(filePath) {
+        const server = loadServer(filePath);
+        servers.push(server);
+        return `http://localhost:${await server.start(0)}`;
+    }
+
+    function connectTo(url) {
+        const socket = connect(url, { transports: ['websocket'], forceNew: true, reconnection: false });
+        sockets.push(socket);
+        return socket;
+    }
+
+    after(async () => {
+        sockets.forEach(socket => socket.disconnect());
+        await Promise.all(servers.map(server => server.stop()));
+    });
+
+    test('saved rooms come back with their players, roles and settings', async () => {
+        const filePath = path.join(tempDir, 'restart.json');
+        const game = createSavedRoom();
+        await createFileStore(filePath).save(snapshotOf([game]));
+
+        const url = await boot(filePath);
+        const bob = game.players.get('p1');
+        const socket = connectTo(url);
+        const success = waitFor(socket, 'reconnectSuccess');
+        socket.emit('reconnect', { reconnectionToken: bob.reconnectionToken, playerName: bob.name });
+        const state = await success;
+
+        assert.equal(state.roomCode, 'BEEF');
+        assert.equal(state.player.role, bob.role);
+        assert.equal(state.game.status, 'playing');
+        assert.deepEqual(state.game.players.map(player => player.name), NAMES);
+        assert.equal(state.game.settings.roundSeconds, 300);
+        assert.equal(state.game.settings.chatEnabled, false);
+        assert.ok(state.game.timer.remainingMs > 290000);
+    });
+
+    test('bots and shared-phone seats stay seated through a restart', async () => {
+        const filePath = path.join(tempDir, 'restart-seats.json');
+        const game = createSavedRoom(Date.now(), { names: NAMES.slice(0, 2), botCount: 1, seatNames: ['Eve'] });
+        await createFileStore(filePath).save(snapshotOf([game]));
+
+        const url = await boot(filePath);
+        const ann = game.players.get('p0');
+        const socket = connectTo(url);
+        const success = waitFor(socket, 'reconnectSuccess');
+        socket.emit('reconnect', { reconnectionToken: ann.reconnectionToken, playerName: ann.name });
+        const { game: restored } = await success;
+
+        assert.equal(restored.status, 'playing');
+        assert.equal(restored.players.length, 4);
+        assert.deepEqual(restored.players.filter(player => !player.isConnected).map(player => player.name), ['Bob']);
+    });
+
+    test('a corrupt save is skipped and the server starts empty', async () => {
+        const filePath = path.join(tempDir, 'corrupt-restart.json');
+        fs.writeFileSync(filePath, 'not json');
+
+        const socket = connectTo(await boot(filePath));
+        const created = waitFor(socket, 'roomCreated');
+        socket.emit('createRoom', 'Ann');
+        assert.match((await created).roomCode, /^[A-F0-9]{4}$/);
+    });
+});